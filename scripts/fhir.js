@@ -0,0 +1,150 @@
+import { readFile, readdir } from 'node:fs/promises';
+import { join } from 'node:path';
+import { runScreening } from '../src/utils/screeningPipeline.js';
+import { readLinkedResponseSet, INFORMANTS } from '../src/utils/informants.js';
+import { TRACKS } from '../src/utils/tracks.js';
+import { createFhirQuestionnaire, createFhirBundle, readFhirResource } from '../src/utils/fhir.js';
+
+/**
+ * FHIR tools
+ * questionnaire: writes a question bank as a FHIR R4 Questionnaire
+ * check:         imports FHIR fixture files, re-scores them and checks that
+ *                the scores match the Observations they carry and survive an
+ *                export and re-import unchanged
+ *
+ * Usage:
+ *   npm run fhir -- questionnaire [child|teacher|selfReport|adult]
+ *   npm run fhir -- check [files...]   (defaults to examples/fhir/*.json)
+ */
+
+const USAGE = 'Usage: npm run fhir -- questionnaire [child|teacher|selfReport|adult] | check [files...]';
+
+const FIXTURE_DIR = 'examples/fhir';
+
+/**
+ * Question banks by form name
+ */
+const QUESTION_BANKS = {
+  child: TRACKS.child.questionBank,
+  teacher: INFORMANTS.teacher.questionBank,
+  selfReport: INFORMANTS.selfReport.questionBank,
+  adult: TRACKS.adult.questionBank
+};
+
+/**
+ * Import a FHIR resource and score it
+ */
+function scoreFhirResource(resource, probabilityMode) {
+  const imported = readFhirResource(resource);
+  const { track, childId, responses, informants } = readLinkedResponseSet(imported.responseSet);
+  const results = runScreening(responses, {
+    track,
+    informants,
+    notAsked: imported.notAsked,
+    probabilityMode: probabilityMode || (imported.reported && imported.reported.probabilityMode) || undefined
+  });
+
+  return { imported, results, responses, informants, childId };
+}
+
+/**
+ * Round a percentage the way Observations report it
+ */
+const roundPercent = value => Math.round(value * 10) / 10;
+
+/**
+ * Check one fixture file
+ * @returns {Array} Problems found
+ */
+function checkFixture(resource) {
+  const problems = [];
+  const first = scoreFhirResource(resource);
+  first.imported.warnings.forEach(warning => problems.push(`import warning: ${warning}`));
+
+  // Scores must match the Observations the file was exported with
+  if (first.imported.reported) {
+    Object.entries(first.imported.reported.probabilities).forEach(([condition, reported]) => {
+      const scored = roundPercent(first.results.probabilities[condition]);
+      if (scored !== reported) {
+        problems.push(`${condition}: scored ${scored}%, file reports ${reported}%`);
+      }
+    });
+  }
+
+  // Export and re-import: answers and scores must come back unchanged
+  const bundle = createFhirBundle(first.results, {
+    responses: first.responses,
+    informantResponses: first.informants,
+    childId: first.childId,
+    notAsked: first.imported.notAsked
+  });
+  const second = scoreFhirResource(JSON.parse(JSON.stringify(bundle)), first.results.probabilityMode);
+
+  // Compared after migration: a fixture from an older instrument version is
+  // re-exported at the current one
+  const answers = ({ childId, responses, informants }) => JSON.stringify({ childId, responses, informants });
+  if (answers(second) !== answers(first)) {
+    problems.push('answers changed after export and re-import');
+  }
+  ['probabilities', 'intervals', 'completeness', 'confidence'].forEach(key => {
+    if (JSON.stringify(second.results[key]) !== JSON.stringify(first.results[key])) {
+      problems.push(`${key} changed after export and re-import`);
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Check fixture files, listing each result
+ */
+async function check(files) {
+  const paths = files.length > 0
+    ? files
+    : (await readdir(FIXTURE_DIR)).filter(file => file.endsWith('.json')).sort().map(file => join(FIXTURE_DIR, file));
+  let failed = 0;
+
+  for (const path of paths) {
+    const resource = JSON.parse(await readFile(path, 'utf8'));
+    let problems;
+    try {
+      problems = checkFixture(resource);
+    } catch (error) {
+      problems = [error.message];
+    }
+
+    if (problems.length === 0) {
+      console.log(`ok    ${path}`);
+    } else {
+      failed += 1;
+      console.log(`FAIL  ${path}`);
+      problems.forEach(problem => console.log(`        ${problem}`));
+    }
+  }
+
+  console.log(`${paths.length - failed} of ${paths.length} FHIR fixture${paths.length === 1 ? '' : 's'} round-trip cleanly.`);
+  if (failed > 0) process.exitCode = 1;
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  if (command === 'questionnaire') {
+    const form = args[0] || 'child';
+    if (!QUESTION_BANKS[form]) {
+      throw new Error(`Unknown form: ${form} (${Object.keys(QUESTION_BANKS).join(', ')})`);
+    }
+    console.log(JSON.stringify(createFhirQuestionnaire(QUESTION_BANKS[form]), null, 2));
+  } else if (command === 'check') {
+    await check(args);
+  } else {
+    console.log(USAGE);
+    process.exitCode = command === '--help' || command === '-h' ? 0 : 1;
+  }
+}
+
+main().catch(error => {
+  console.error(`Error: ${error.message}`);
+  console.error(USAGE);
+  process.exitCode = 1;
+});
@@ -0,0 +1,18 @@
+import { readFile } from 'node:fs/promises';
+
+/**
+ * Node module loader hook
+ * Serves .json files as ES modules with a default export, matching Vite's behaviour
+ */
+export async function load(url, context, nextLoad) {
+  if (url.startsWith('file:') && url.endsWith('.json')) {
+    const source = await readFile(new URL(url), 'utf8');
+    return {
+      format: 'module',
+      source: `export default ${source};`,
+      shortCircuit: true
+    };
+  }
+
+  return nextLoad(url, context);
+}
@@ -0,0 +1,8 @@
+import { register } from 'node:module';
+
+/**
+ * Registers the JSON loader hooks so the browser-oriented utils
+ * (which import JSON data files without import attributes) run under Node
+ * Usage: node --import ./scripts/register-json-loader.js <script>
+ */
+register('./json-loader-hooks.js', import.meta.url);
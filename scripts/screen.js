@@ -0,0 +1,278 @@
+import { readFile } from 'node:fs/promises';
+import { runScreening } from '../src/utils/screeningPipeline.js';
+import { generateRecommendations, getMatchedPatternsSummary } from '../src/utils/mlMatcher.js';
+import { readLinkedResponseSet } from '../src/utils/informants.js';
+import { getTrack } from '../src/utils/tracks.js';
+import { LOCALES } from '../src/utils/i18n.js';
+import { createScreeningReport } from '../src/utils/pdfReport.js';
+import { createFhirBundle, readFhirResource } from '../src/utils/fhir.js';
+import { createScreeningCsv, readScreeningExport, EXPORT_FORMAT } from '../src/utils/screeningExport.js';
+import { createReferralLetter, LETTER_TEMPLATES } from '../src/utils/referralLetter.js';
+
+/**
+ * Command-line scorer
+ * Scores a responses JSON file with the same pipeline as the web app
+ * Accepts a parent response set, a linked set with teacher and self-report forms,
+ * or an adult track response set ({ "track": "adult", ... }); screening files saved
+ * from the app and FHIR Bundles or QuestionnaireResponses are re-scored with the
+ * current engine
+ * --locale translates question, pattern, age note and recommendation text; the
+ * report headings and the scores stay the same
+ * --format pdf writes the clinician PDF report (always in English) to stdout
+ * --format fhir writes a FHIR R4 Bundle of QuestionnaireResponses and probability Observations
+ * --format csv writes a header row and one row of results and answers
+ * --format letter writes a referral letter (always in English); --letter picks
+ * the template (gp, the default, senco or camhs)
+ *
+ * Usage:
+ *   npm run screen -- <responses.json> [--format json|text|pdf|fhir|csv|letter] [--letter gp|senco|camhs] [--profile <id>] [--mode relative|independent] [--locale <id>]
+ */
+
+const USAGE = 'Usage: npm run screen -- <responses.json> [--format json|text|pdf|fhir|csv|letter] [--letter gp|senco|camhs] [--profile <id>] [--mode relative|independent] [--locale <id>]';
+
+const CONDITION_LABELS = {
+  adhd: 'ADHD',
+  autism: 'Autism Spectrum',
+  anxiety: 'Anxiety',
+  trauma: 'Trauma/PTSD'
+};
+
+/**
+ * Parse command-line arguments
+ */
+function parseArgs(argv) {
+  const args = { file: null, format: 'json', letter: 'gp', profile: undefined, mode: undefined, locale: undefined };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--format') {
+      args.format = argv[++i];
+    } else if (arg === '--letter') {
+      args.letter = argv[++i];
+    } else if (arg === '--profile') {
+      args.profile = argv[++i];
+    } else if (arg === '--mode') {
+      args.mode = argv[++i];
+    } else if (arg === '--locale') {
+      args.locale = argv[++i];
+    } else if (arg === '--help' || arg === '-h') {
+      args.help = true;
+    } else if (!args.file) {
+      args.file = arg;
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+
+  if (!['json', 'text', 'pdf', 'fhir', 'csv', 'letter'].includes(args.format)) {
+    throw new Error(`Unknown format: ${args.format}`);
+  }
+
+  if (!LETTER_TEMPLATES[args.letter]) {
+    throw new Error(`Unknown letter: ${args.letter} (${Object.keys(LETTER_TEMPLATES).join(', ')})`);
+  }
+
+  if (args.mode && !['relative', 'independent'].includes(args.mode)) {
+    throw new Error(`Unknown probability mode: ${args.mode}`);
+  }
+
+  if (args.locale && !LOCALES[args.locale]) {
+    throw new Error(`Unknown locale: ${args.locale} (${Object.keys(LOCALES).join(', ')})`);
+  }
+
+  return args;
+}
+
+/**
+ * Format results as a plain-text report
+ */
+function formatTextReport(results, locale) {
+  const lines = [];
+  const track = getTrack(results.track);
+  const recs = generateRecommendations(results.probabilities, results.impairment, results.sleepScore, track.id, locale);
+
+  lines.push('NHS ADHD Screening Tool - Screening Results');
+  lines.push('='.repeat(43));
+  lines.push(`Track: ${track.label}`);
+  lines.push(`Instrument version: ${results.instrumentVersion}`);
+  lines.push(`Engine version: ${results.engineVersion}`);
+  lines.push(`${track.id === 'adult' ? 'Age' : 'Child age'}: ${results.childAge}`);
+  lines.push(`Prevalence profile: ${results.prevalenceProfile}`);
+  lines.push(`Probability mode: ${results.probabilityMode}`);
+  lines.push(`Confidence: ${results.confidence}`);
+  lines.push(`Completeness: ${results.completeness.answered}/${results.completeness.total} questions answered`);
+  if (results.completeness.notSure > 0) {
+    lines.push(`Not sure: ${results.completeness.notSure} answers (treated as missing evidence)`);
+    results.completeness.notSureItems.forEach(item => lines.push(`  - ${item.text}`));
+  }
+  if (results.completeness.insufficientInformation) {
+    lines.push('INSUFFICIENT INFORMATION - key questions not answered:');
+    results.completeness.missingKeyItems.forEach(item => lines.push(`  - ${item.text}`));
+  }
+  lines.push('');
+
+  lines.push(`Condition Probabilities (${Math.round(results.intervalLevel * 100)}% uncertainty range)`);
+  Object.entries(results.probabilities)
+    .sort(([, a], [, b]) => b - a)
+    .forEach(([condition, probability]) => {
+      const interval = results.intervals[condition];
+      lines.push(`  ${CONDITION_LABELS[condition].padEnd(16)} ${String(Math.round(probability)).padStart(3)}%` +
+        `  (${Math.round(interval.lower)}-${Math.round(interval.upper)}%)`);
+    });
+  lines.push('');
+
+  if (results.asrs.completed) {
+    const { partA, partB } = results.asrs;
+    lines.push(`ASRS v1.1 Part A: ${results.asrs.status} (${partA.shaded}/${partA.total} in the shaded range, needs ${partA.threshold}+)`);
+    lines.push(`  Part B: ${partB.shaded}/${partB.total} in the shaded range`);
+    lines.push('');
+  }
+
+  if (results.dsmCriteria.completed) {
+    const criteria = results.dsmCriteria;
+    lines.push(`DSM-5 Criteria: ${criteria.status}${criteria.presentationLabel ? ` (${criteria.presentationLabel})` : ''}`);
+    Object.values(criteria.domains).forEach(domain => {
+      lines.push(`  ${domain.label.padEnd(26)} ${domain.count}/${domain.total} symptoms (needs ${domain.threshold}+): ${domain.status}`);
+    });
+    lines.push(`  ${'Symptoms before age 12'.padEnd(26)} ${criteria.onset.status}`);
+    lines.push(`  ${'Two or more settings'.padEnd(26)} ${criteria.settings.status}`);
+    lines.push('');
+  }
+
+  if (results.informants.forms.length > 1) {
+    lines.push('Informant Agreement (% of each form\'s range)');
+    Object.entries(results.informants.agreement).forEach(([condition, agreement]) => {
+      const ratings = agreement.ratings
+        .map(rating => `${rating.label} ${Math.round(rating.elevation)}%`)
+        .join(', ');
+      lines.push(`  ${CONDITION_LABELS[condition].padEnd(16)} ${agreement.status.padEnd(10)} ${ratings}`);
+    });
+    results.informants.crossSettingEvidence.forEach(evidence => {
+      lines.push(`  Setting added from ${evidence.label.toLowerCase()} form: ${evidence.setting}`);
+    });
+    lines.push('');
+  }
+
+  const patterns = getMatchedPatternsSummary(results.patternMatches);
+  lines.push('Pattern Analysis');
+  if (patterns.length === 0) {
+    lines.push('  No specific patterns matched.');
+  }
+  patterns.forEach(pattern => {
+    lines.push(`  ${pattern.patternName}: ${pattern.matchPercentage}% match (${pattern.matchedFeatures}/${pattern.totalFeatures} features), +${pattern.confidenceBoost}`);
+  });
+  lines.push('');
+
+  const domains = Object.keys(track.impairmentDomains);
+  lines.push('Functional Impact');
+  domains.forEach(domain => {
+    lines.push(`  ${domain.padEnd(13)} ${results.impairment[domain]}/4`);
+  });
+  lines.push(`  ${'Total'.padEnd(13)} ${results.impairment.total}/${domains.length * 4}`);
+  lines.push(`Sleep score: ${results.sleepScore}`);
+  lines.push('');
+
+  if (results.freeTextAnswers.length > 0) {
+    lines.push('Additional Context (not scored)');
+    results.freeTextAnswers.forEach(({ questionText, answer }) => {
+      lines.push(`  ${questionText}`);
+      answer.split('\n').forEach(line => lines.push(`    ${line}`));
+    });
+    lines.push('');
+  }
+
+  if (results.ageContext) {
+    lines.push(`Age context: ${results.ageContext.note}`);
+    lines.push('');
+  }
+
+  lines.push(`Next Steps (urgency: ${recs.urgency})`);
+  recs.flags.forEach(flag => lines.push(`  ! ${flag}`));
+  recs.referrals.forEach(referral => lines.push(`  - ${referral}`));
+  recs.support.forEach(strategy => lines.push(`  * ${strategy}`));
+
+  return lines.join('\n');
+}
+
+/**
+ * Read the input file's answers, whichever kind of file it is
+ * Response sets saved under older instrument versions are upgraded
+ * @returns {Object} { track, childId, responses, informants, notAsked, probabilityMode, migratedFrom, warnings }
+ */
+function readInput(data) {
+  if (data.format === EXPORT_FORMAT) {
+    const file = readScreeningExport(data);
+    return { ...file, probabilityMode: file.results.probabilityMode };
+  }
+
+  if (data.resourceType) {
+    const fhir = readFhirResource(data);
+    const responseSet = readLinkedResponseSet(fhir.responseSet);
+    return {
+      ...responseSet,
+      notAsked: fhir.notAsked,
+      probabilityMode: fhir.reported && fhir.reported.probabilityMode,
+      warnings: [...fhir.warnings, ...responseSet.warnings]
+    };
+  }
+
+  return { ...readLinkedResponseSet(data), notAsked: [], probabilityMode: null };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.help || !args.file) {
+    console.log(USAGE);
+    process.exitCode = args.help ? 0 : 1;
+    return;
+  }
+
+  const data = JSON.parse(await readFile(args.file, 'utf8'));
+
+  const { track, childId, responses, informants, notAsked, probabilityMode, migratedFrom, warnings } = readInput(data);
+  if (migratedFrom) {
+    console.error(`Migrated responses from instrument version ${migratedFrom}`);
+  }
+  warnings.forEach(warning => console.error(`Warning: ${warning}`));
+
+  const results = runScreening(responses, {
+    track,
+    prevalenceProfile: args.profile,
+    probabilityMode: args.mode || probabilityMode || undefined,
+    informants,
+    notAsked,
+    locale: ['pdf', 'letter'].includes(args.format) ? 'en' : args.locale
+  });
+  results.informants.warnings.forEach(warning => console.error(`Warning: ${warning}`));
+
+  if (args.format === 'pdf') {
+    process.stdout.write(createScreeningReport(results, {
+      responses,
+      informantResponses: informants,
+      childId,
+      locale: args.locale
+    }));
+  } else if (args.format === 'fhir') {
+    console.log(JSON.stringify(createFhirBundle(results, {
+      responses,
+      informantResponses: informants,
+      childId,
+      notAsked
+    }), null, 2));
+  } else if (args.format === 'csv') {
+    process.stdout.write(createScreeningCsv(results, { responses, informantResponses: informants, childId }));
+  } else if (args.format === 'letter') {
+    process.stdout.write(createReferralLetter(args.letter, results, { responses, childId }));
+  } else if (args.format === 'text') {
+    console.log(formatTextReport(results, args.locale));
+  } else {
+    console.log(JSON.stringify(results, null, 2));
+  }
+}
+
+main().catch(error => {
+  console.error(`Error: ${error.message}`);
+  console.error(USAGE);
+  process.exitCode = 1;
+});
@@ -0,0 +1,21 @@
+import { validateDataFiles, formatValidationError } from '../src/utils/schemaValidator.js';
+
+/**
+ * Data file validator
+ * Checks the question banks (parent, teacher, self-report, adult), mlPatterns.json, ageNorms.json
+ * and the locale bundles
+ * Exits with a non-zero status if any problems are found
+ *
+ * Usage:
+ *   npm run validate
+ */
+
+const { valid, errors } = validateDataFiles();
+
+if (valid) {
+  console.log('Question banks, ML patterns, age norms and locale bundles are valid.');
+} else {
+  console.error(`Found ${errors.length} problem${errors.length === 1 ? '' : 's'}:`);
+  errors.forEach(error => console.error(`  ${formatValidationError(error)}`));
+  process.exitCode = 1;
+}
@@ -1,67 +1,191 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import './App.css';
 
-// Import data
-import questionsData from './data/questions.json';
-import ageNormsData from './data/ageNorms.json';
-
 // Import utilities
-import { calculateScores, isImpairmentSignificant, hasSleepConfounder } from './utils/calculator';
-import { calculateBayesianProbabilities, applyPatternBoosts, getConfidenceLevel } from './utils/bayesianEngine';
-import { matchPatterns } from './utils/mlMatcher';
+import { isImpairmentSignificant, hasSleepConfounder } from './utils/calculator';
+import { runScreening, ENGINE_VERSION } from './utils/screeningPipeline';
+import { getVisibleSections } from './utils/branching';
+import { getInformant, getAvailableInformants, createChildId } from './utils/informants';
+import { selectNextQuestion, getAdaptiveCandidates } from './utils/adaptiveOrdering';
+import { getQuestion, getAgeFromDateOfBirth } from './utils/questionBank';
+import { getTrack } from './utils/tracks';
+import { validateDataFiles, formatValidationError } from './utils/schemaValidator';
+import { validateAnswers } from './utils/answerValidation';
+import { canSaveSessions, getSavedSession, createSessionKey, saveSession, openSavedSession, clearSavedSession, SESSION_SETTINGS } from './utils/sessionStore';
+import { getLocale, getPreferredLocale, savePreferredLocale, localizeQuestionBank, translate, DEFAULT_LOCALE } from './utils/i18n';
+import { createScreeningExport, readScreeningExport, createScreeningCsv } from './utils/screeningExport';
+import { createReferralLetter, createLetterDocument, LETTER_TEMPLATES } from './utils/referralLetter';
+import { hasProfileStore, createProfileStore, openProfileStore, saveProfiles, deleteProfileStore, createProfile, addScreening, removeScreening } from './utils/childProfiles';
 
 // Import components
 import NHSHeader from './components/NHSHeader';
-import WarningCallout, { ClinicalDisclaimer, SleepWarning, LowImpairmentWarning, AgeAppropriateWarning } from './components/WarningCallout';
+import WarningCallout, { ClinicalDisclaimer, SleepWarning, LowImpairmentWarning, AgeAppropriateWarning, InsufficientInformationWarning, InvalidQuestionBankWarning } from './components/WarningCallout';
 import ProgressBar, { TierProgress } from './components/ProgressBar';
 import QuestionRenderer from './components/QuestionRenderer';
 import ResultsDisplay from './components/ResultsDisplay';
+import ResumePrompt, { SaveProgressPanel } from './components/SavedSession';
+import OpenScreeningPanel, { SaveScreeningPanel, OpenedFileNotice } from './components/ScreeningFile';
+import ReferralLetterPanel from './components/ReferralLetter';
+import ProfilesPanel, { AddToProfilePanel, ProfileHistory } from './components/ChildProfiles';
+import ErrorSummary from './components/ErrorSummary';
+import LocaleProvider from './components/LocaleProvider';
+
+// Validate the question bank once at startup; an invalid bank is never scored
+const dataValidation = validateDataFiles();
+
+// How long saved progress is kept (hours)
+const sessionExpiryHours = Number(import.meta.env.VITE_SESSION_EXPIRY_HOURS) || SESSION_SETTINGS.expiryHours;
 
 function App() {
   // State management
-  const [currentStep, setCurrentStep] = useState('intro'); // 'intro', 'screening', 'results'
+  const [currentStep, setCurrentStep] = useState('intro'); // 'intro', 'screening', 'adaptive', 'results', 'history'
+  const [track, setTrack] = useState('child'); // 'child', 'adult'
   const [currentSectionIndex, setCurrentSectionIndex] = useState(0);
   const [responses, setResponses] = useState({});
   const [results, setResults] = useState(null);
   const [childAge, setChildAge] = useState(null);
+  const [probabilityMode, setProbabilityMode] = useState('relative'); // 'relative', 'independent'
+  const [childId, setChildId] = useState(null); // links every informant's form for this child
+  const [activeInformant, setActiveInformant] = useState('parent'); // 'parent', 'teacher', 'selfReport'
+  const [informantResponses, setInformantResponses] = useState({}); // teacher and self-report responses
+  const [questionOrder, setQuestionOrder] = useState('fixed'); // 'fixed', 'adaptive'
+  const [adaptiveAsked, setAdaptiveAsked] = useState([]); // adaptive question ids, in the order asked
+  const [adaptiveQuestion, setAdaptiveQuestion] = useState(null); // adaptive question on screen
+  const [savedSession, setSavedSession] = useState(() => getSavedSession()); // saved screening offered for resume
+  const [sessionKey, setSessionKey] = useState(null); // set once the user chooses a PIN for saving
+  const [savedAt, setSavedAt] = useState(null); // time of the last automatic save
+  const [answerErrors, setAnswerErrors] = useState([]); // validation errors for the questions on screen
+  const [locale, setLocale] = useState(getPreferredLocale); // 'en', 'cy', 'pl', 'ur', 'bn'
+  const [openedFile, setOpenedFile] = useState(null); // { exportedAt, engineVersion, notAsked, rescored } for results opened from a file
+  const [hasProfiles, setHasProfiles] = useState(() => hasProfileStore()); // child profiles have been set up on this device
+  const [profileStore, setProfileStore] = useState(null); // { profiles, storeKey } once the profiles PIN is entered
+  const [historyProfileId, setHistoryProfileId] = useState(null); // profile shown in the history view
 
-  const sections = questionsData.sections;
+  const t = (key, params) => translate(locale, key, params);
+  const { dir, bundle } = getLocale(locale);
+
+  // The form being filled in: the track's questionnaire or another informant's form
+  const activeTrack = getTrack(track);
+  const informant = getInformant(activeInformant);
+  const activeResponses = activeInformant === 'parent' ? responses : (informantResponses[activeInformant] || {});
+  const questionBank = localizeQuestionBank(
+    activeInformant === 'parent' ? activeTrack.questionBank : informant.questionBank,
+    locale
+  );
+
+  // Only sections and questions whose showIf/skipIf rules pass are shown
+  const visibleSections = getVisibleSections(activeResponses, childAge, questionBank);
+
+  // Adaptive route: the first section, then adaptive questions one at a time,
+  // then the remaining unweighted questions (functional impact, checklist)
+  const isAdaptive = questionOrder === 'adaptive' && activeInformant === 'parent';
+  const sections = isAdaptive
+    ? [
+      visibleSections[0],
+      ...visibleSections.slice(1)
+        .map(section => ({ ...section, questions: section.questions.filter(q => !q.weights) }))
+        .filter(section => section.questions.length > 0)
+    ]
+    : visibleSections;
   const currentSection = sections[currentSectionIndex];
 
+  // Save progress automatically while answering, once the user has chosen a PIN
+  useEffect(() => {
+    if (!sessionKey || (currentStep !== 'screening' && currentStep !== 'adaptive')) return;
+
+    saveSession({
+      track,
+      childId,
+      responses,
+      informantResponses,
+      progress: {
+        currentStep,
+        currentSectionIndex,
+        childAge,
+        activeInformant,
+        questionOrder,
+        adaptiveAsked,
+        adaptiveQuestionId: adaptiveQuestion ? adaptiveQuestion.id : null
+      }
+    }, sessionKey, { expiryHours: sessionExpiryHours })
+      .then(saved => setSavedAt(saved.savedAt))
+      .catch(() => setSavedAt(null));
+  }, [sessionKey, currentStep, currentSectionIndex, track, childId, responses, informantResponses, childAge, activeInformant, questionOrder, adaptiveAsked, adaptiveQuestion]);
+
+  // Errors belong to the questions on screen, so they are cleared on moving to other
+  // questions (or changing language, as the messages are worded in it)
+  useEffect(() => {
+    setAnswerErrors([]);
+  }, [currentStep, currentSectionIndex, activeInformant, adaptiveQuestion, locale]);
+
+  // Screen readers and the browser need the page language and text direction
+  useEffect(() => {
+    document.documentElement.lang = locale;
+    document.documentElement.dir = dir;
+  }, [locale, dir]);
+
+  // Switch language, keeping every answer; results are re-worded, never re-scored differently
+  // (results opened from a file are kept as saved until the user re-scores them)
+  const handleLocaleChange = (localeId) => {
+    setLocale(localeId);
+    savePreferredLocale(localeId);
+    if (results && !(openedFile && !openedFile.rescored)) {
+      setResults(scoreResponses(probabilityMode, localeId));
+    }
+  };
+
   // Handle response change
   const handleResponseChange = (questionId, value) => {
+    if (activeInformant !== 'parent') {
+      setInformantResponses({
+        ...informantResponses,
+        [activeInformant]: { ...activeResponses, [questionId]: value }
+      });
+      return;
+    }
+
     const newResponses = { ...responses, [questionId]: value };
+
+    // A date of birth fills in age, so the two answers cannot disagree
+    const question = getQuestion(questionId, questionBank);
+    const derivedAge = question && question.derivesAge ? getAgeFromDateOfBirth(value) : null;
+    if (derivedAge) {
+      newResponses.age = derivedAge.years;
+    }
     setResponses(newResponses);
 
     // If age is being set, store it
     if (questionId === 'age') {
       setChildAge(value);
+    } else if (derivedAge) {
+      setChildAge(derivedAge.years);
     }
   };
 
-  // Validate current section
-  const validateSection = () => {
-    if (!currentSection) return true;
-
-    const errors = [];
-    currentSection.questions.forEach(question => {
-      if (question.required && !responses[question.id]) {
-        errors.push(`${question.text} is required`);
-      }
-    });
+  // Validate the questions on screen (hidden questions are never validated)
+  // Errors are shown inline and in the error summary at the top of the page
+  const validateQuestions = (questions) => {
+    const errors = validateAnswers(questions, activeResponses, locale);
+    setAnswerErrors(errors);
+    return errors.length === 0;
+  };
 
-    if (errors.length > 0) {
-      alert('Please answer all required questions:\n' + errors.join('\n'));
-      return false;
-    }
+  const validateSection = () => !currentSection || validateQuestions(currentSection.questions);
 
-    return true;
+  const getAnswerError = (questionId) => {
+    const error = answerErrors.find(answerError => answerError.questionId === questionId);
+    return error ? error.message : null;
   };
 
   // Navigate to next section
   const handleNext = () => {
     if (!validateSection()) return;
 
+    if (isAdaptive && currentSectionIndex === 0) {
+      showNextAdaptiveQuestion(responses, adaptiveAsked);
+      return;
+    }
+
     if (currentSectionIndex < sections.length - 1) {
       setCurrentSectionIndex(currentSectionIndex + 1);
       window.scrollTo(0, 0);
@@ -73,135 +197,498 @@ function App() {
 
   // Navigate to previous section
   const handlePrevious = () => {
+    if (isAdaptive && currentSectionIndex === 1) {
+      showPreviousAdaptiveQuestion();
+      return;
+    }
+
     if (currentSectionIndex > 0) {
       setCurrentSectionIndex(currentSectionIndex - 1);
       window.scrollTo(0, 0);
     }
   };
 
+  // Ask the most informative remaining question, or move on once the result is clear
+  const showNextAdaptiveQuestion = (currentResponses, asked) => {
+    const next = selectNextQuestion(currentResponses, currentResponses.age || childAge, asked, {
+      prevalenceProfile: import.meta.env.VITE_PREVALENCE_PROFILE
+    });
+
+    if (next.stop) {
+      setAdaptiveQuestion(null);
+      if (sections.length > 1) {
+        setCurrentStep('screening');
+        setCurrentSectionIndex(1);
+      } else {
+        calculateResults();
+      }
+    } else {
+      setAdaptiveQuestion(next.question);
+      setCurrentStep('adaptive');
+    }
+    window.scrollTo(0, 0);
+  };
+
+  // Record the adaptive answer (or skip it) and choose the next question
+  const handleAdaptiveNext = (skip) => {
+    if (!skip && !validateQuestions([adaptiveQuestion])) return;
+
+    const currentResponses = { ...responses };
+    if (skip) {
+      delete currentResponses[adaptiveQuestion.id];
+      setResponses(currentResponses);
+    }
+
+    const asked = [...adaptiveAsked, adaptiveQuestion.id];
+    setAdaptiveAsked(asked);
+    showNextAdaptiveQuestion(currentResponses, asked);
+  };
+
+  // Go back to the previous adaptive question (or the first section)
+  const showPreviousAdaptiveQuestion = () => {
+    if (adaptiveAsked.length === 0) {
+      setAdaptiveQuestion(null);
+      setCurrentStep('screening');
+      setCurrentSectionIndex(0);
+    } else {
+      setAdaptiveQuestion(getQuestion(adaptiveAsked[adaptiveAsked.length - 1]));
+      setAdaptiveAsked(adaptiveAsked.slice(0, -1));
+      setCurrentStep('adaptive');
+    }
+    window.scrollTo(0, 0);
+  };
+
+  // Questions quick screening left out (as recorded in the file for an opened screening)
+  const getNotAsked = () => {
+    if (openedFile) return openedFile.notAsked;
+    return questionOrder === 'adaptive'
+      ? getAdaptiveCandidates(responses, responses.age || childAge)
+        .map(question => question.id)
+        .filter(id => !adaptiveAsked.includes(id))
+      : [];
+  };
+
+  // Run the scoring pipeline on a screening's responses, merging other informants' forms
+  const scoreScreening = (screening, mode, localeId = locale) => runScreening(screening.responses, {
+    track: screening.track,
+    locale: localeId,
+    age: screening.responses.age || screening.age,
+    prevalenceProfile: getTrack(screening.track).prevalenceProfile || import.meta.env.VITE_PREVALENCE_PROFILE,
+    probabilityMode: mode,
+    informants: screening.informantResponses,
+    notAsked: screening.notAsked
+  });
+
+  // Score the current responses
+  const scoreResponses = (mode, localeId = locale) => scoreScreening({
+    track,
+    responses,
+    informantResponses,
+    age: childAge,
+    notAsked: getNotAsked()
+  }, mode, localeId);
+
+  // Opened results count as re-scored once anything is scored again
+  const markOpenedFileRescored = () => {
+    setOpenedFile(opened => opened && { ...opened, rescored: true });
+  };
+
+  // Save generated file contents through a temporary link
+  const downloadFile = (contents, type, fileName) => {
+    const url = URL.createObjectURL(new Blob([contents], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  };
+
   // Calculate results
   const calculateResults = () => {
-    // Get age from responses
-    const age = responses.age || childAge || 10;
-
-    // Step 1: Calculate raw scores
-    const calculationResult = calculateScores(responses, age);
-    const { scores, impairment, sleepScore, mlFeatures } = calculationResult;
-
-    // Step 2: Match ML patterns
-    const patternMatches = matchPatterns(mlFeatures);
-
-    // Step 3: Apply Bayesian probabilities
-    const demographics = {
-      age,
-      gender: responses.gender,
-      familyHistory: responses.familyHistory
-    };
-
-    const bayesianResult = calculateBayesianProbabilities(scores, demographics);
-    let { probabilities } = bayesianResult;
-
-    // Step 4: Apply pattern boosts
-    probabilities = applyPatternBoosts(probabilities, patternMatches);
-
-    // Step 5: Calculate confidence level
-    const confidence = getConfidenceLevel(probabilities, impairment);
-
-    // Step 6: Get age context
-    const ageContext = getAgeContext(age);
-
-    // Store results
-    setResults({
-      probabilities,
-      patternMatches,
-      ageContext,
-      impairment,
-      sleepScore,
-      confidence,
-      childAge: age,
-      scores,
-      mlFeatures
-    });
+    setResults(scoreResponses(probabilityMode));
+    markOpenedFileRescored();
+    setActiveInformant('parent');
+    stopSaving();
 
     // Move to results step
     setCurrentStep('results');
     window.scrollTo(0, 0);
   };
 
-  // Get age context from norms data
-  const getAgeContext = (age) => {
-    // Find closest age norm
-    const ages = Object.keys(ageNormsData).map(Number);
-    const closestAge = ages.reduce((prev, curr) =>
-      Math.abs(curr - age) < Math.abs(prev - age) ? curr : prev
-    );
-    return ageNormsData[closestAge];
+  // Results for the report, FHIR record and letters: scored again in English for the
+  // person receiving them, except results opened from a file as saved, which are used
+  // as saved so every output matches the results on screen
+  const getOutputResults = () => (openedFile && !openedFile.rescored
+    ? results
+    : scoreResponses(probabilityMode, DEFAULT_LOCALE));
+
+  // Download the PDF report (see getOutputResults)
+  // The report builder is only loaded when a report is asked for
+  const downloadReport = async () => {
+    const { createScreeningReport } = await import('./utils/pdfReport');
+    const generatedAt = new Date();
+    const pdf = createScreeningReport(getOutputResults(), {
+      responses,
+      informantResponses,
+      childId,
+      locale,
+      generatedAt
+    });
+
+    downloadFile(pdf, 'application/pdf', `adhd-screening-report-${generatedAt.toISOString().slice(0, 10)}.pdf`);
+  };
+
+  // Download the screening as a FHIR Bundle for clinical systems
+  const downloadFhirRecord = async () => {
+    const { createFhirBundle } = await import('./utils/fhir');
+    const generatedAt = new Date();
+    const bundle = createFhirBundle(getOutputResults(), {
+      responses,
+      informantResponses,
+      childId,
+      notAsked: getNotAsked(),
+      generatedAt
+    });
+
+    downloadFile(JSON.stringify(bundle, null, 2), 'application/fhir+json',
+      `adhd-screening-fhir-${generatedAt.toISOString().slice(0, 10)}.json`);
   };
 
-  // Start screening
-  const startScreening = () => {
+  // Write a referral letter from the same results as the PDF report
+  const writeReferralLetter = (templateId) => createReferralLetter(templateId, getOutputResults(), {
+    responses,
+    childId
+  });
+
+  // Download the (possibly edited) letter as a document for a word processor
+  const downloadReferralLetter = (letter, templateId) => {
+    const writtenAt = new Date();
+    const rtf = createLetterDocument(letter, { title: `Letter to ${LETTER_TEMPLATES[templateId].label}` });
+
+    downloadFile(rtf, 'application/rtf', `adhd-screening-letter-${templateId}-${writtenAt.toISOString().slice(0, 10)}.rtf`);
+  };
+
+  // Switch between relative shares and independent probabilities
+  const handleProbabilityModeChange = (mode) => {
+    setProbabilityMode(mode);
+    setResults(scoreResponses(mode));
+    markOpenedFileRescored();
+  };
+
+  // The answers and results on screen as a screening file
+  const createCurrentScreeningFile = (exportedAt) => createScreeningExport(results, {
+    responses,
+    informantResponses,
+    childId,
+    notAsked: getNotAsked(),
+    locale,
+    exportedAt
+  });
+
+  // Save the answers and results as a file that can be opened again later
+  const saveScreeningFile = () => {
+    const exportedAt = new Date();
+    const file = createCurrentScreeningFile(exportedAt);
+
+    downloadFile(JSON.stringify(file, null, 2), 'application/json',
+      `adhd-screening-${exportedAt.toISOString().slice(0, 10)}.json`);
+  };
+
+  // Download the results and answers as one spreadsheet row
+  // The byte order mark lets spreadsheet programs read the file as UTF-8
+  const saveScreeningCsv = () => {
+    const exportedAt = new Date();
+    const csv = createScreeningCsv(results, { responses, informantResponses, childId, exportedAt });
+
+    downloadFile(`\uFEFF${csv}`, 'text/csv;charset=utf-8',
+      `adhd-screening-${exportedAt.toISOString().slice(0, 10)}.csv`);
+  };
+
+  // Show a screening opened from a file, as saved or re-scored with the current engine
+  // Throws coded errors for the open panel to show
+  const openScreeningFile = (data, rescore) => {
+    const opened = readScreeningExport(data);
+    const { probabilityMode: savedMode, childAge: savedAge, engineVersion } = opened.results;
+
+    setTrack(opened.track);
+    setResponses(opened.responses);
+    setInformantResponses(opened.informants);
+    setChildId(opened.childId || createChildId());
+    setChildAge(savedAge);
+    setActiveInformant('parent');
+    setQuestionOrder('fixed');
+    setAdaptiveAsked([]);
+    setAdaptiveQuestion(null);
+    setProbabilityMode(savedMode);
+    setOpenedFile({ exportedAt: opened.exportedAt, engineVersion, notAsked: opened.notAsked, rescored: rescore });
+    setResults(rescore
+      ? scoreScreening({
+        track: opened.track,
+        responses: opened.responses,
+        informantResponses: opened.informants,
+        age: savedAge,
+        notAsked: opened.notAsked
+      }, savedMode)
+      : opened.results);
+    setCurrentStep('results');
+    window.scrollTo(0, 0);
+  };
+
+  // Set up child profiles, encrypted with the user's PIN
+  const setUpProfiles = async (pin) => {
+    setProfileStore(await createProfileStore(pin));
+    setHasProfiles(true);
+  };
+
+  // Open the child profiles with the user's PIN
+  const unlockProfiles = async (pin) => setProfileStore(await openProfileStore(pin));
+
+  // Forget the key; the profiles stay on this device
+  const lockProfiles = () => {
+    setProfileStore(null);
+    if (currentStep === 'history') setCurrentStep('intro');
+  };
+
+  // Encrypt and save changed profiles (throws coded errors, e.g. when storage is full)
+  const updateProfiles = async (profiles) => {
+    await saveProfiles(profiles, profileStore.storeKey);
+    setProfileStore({ ...profileStore, profiles });
+  };
+
+  // Add the results on screen to a profile, creating it if needed
+  const addResultsToProfile = async ({ profileId, name, screenedAt, note }) => {
+    const { profiles } = profileStore;
+    const profile = profileId ? profiles.find(p => p.id === profileId) : createProfile(name, results.track);
+    const updated = addScreening(profile, createCurrentScreeningFile(new Date()), { screenedAt, note });
+
+    await updateProfiles(profileId ? profiles.map(p => (p.id === profileId ? updated : p)) : [...profiles, updated]);
+    return updated;
+  };
+
+  // Leave the history view for the results on screen, or the start page
+  const closeProfileHistory = () => {
+    setCurrentStep(results ? 'results' : 'intro');
+    window.scrollTo(0, 0);
+  };
+
+  const showProfileHistory = (profileId) => {
+    setHistoryProfileId(profileId);
+    setCurrentStep('history');
+    window.scrollTo(0, 0);
+  };
+
+  const removeProfileScreening = (screeningId) => updateProfiles(profileStore.profiles.map(profile => (
+    profile.id === historyProfileId ? removeScreening(profile, screeningId) : profile
+  )));
+
+  const deleteProfile = async () => {
+    await updateProfiles(profileStore.profiles.filter(profile => profile.id !== historyProfileId));
+    closeProfileHistory();
+  };
+
+  const deleteAllProfiles = () => {
+    deleteProfileStore();
+    setProfileStore(null);
+    setHasProfiles(false);
+  };
+
+  // Replace the saved results of an opened file with the current engine's
+  const rescoreOpenedFile = () => {
+    setResults(scoreResponses(probabilityMode));
+    markOpenedFileRescored();
+  };
+
+  // Start screening ('fixed' asks every question in order, 'adaptive' stops early)
+  const startScreening = (order, trackId = 'child') => {
+    setTrack(trackId);
+    setQuestionOrder(order);
+    setAdaptiveAsked([]);
+    setAdaptiveQuestion(null);
+    setChildId(createChildId());
+    setCurrentStep('screening');
+    setCurrentSectionIndex(0);
+  };
+
+  // Start saving progress, encrypted with the user's PIN
+  const startSaving = async (pin) => {
+    setSessionKey(await createSessionKey(pin));
+  };
+
+  // Stop saving and delete anything already saved
+  const stopSaving = () => {
+    clearSavedSession();
+    setSessionKey(null);
+    setSavedAt(null);
+  };
+
+  // Decrypt the saved screening and carry on where the user left off
+  const resumeSavedSession = async (pin) => {
+    let session;
+    try {
+      session = await openSavedSession(pin);
+    } catch (error) {
+      setSavedSession(getSavedSession()); // deleted after too many wrong PINs
+      throw error;
+    }
+
+    const { progress } = session;
+    const resumedInformant = getInformant(progress.activeInformant) ? progress.activeInformant : 'parent';
+    const resumedAge = progress.childAge || session.responses.age || null;
+    const resumedQuestion = progress.adaptiveQuestionId
+      ? getQuestion(progress.adaptiveQuestionId, getTrack(session.track).questionBank)
+      : null;
+
+    // A newer question bank may show fewer sections than when the session was saved
+    const resumedSections = resumedInformant === 'parent'
+      ? getVisibleSections(session.responses, resumedAge, getTrack(session.track).questionBank)
+      : getVisibleSections(session.informantResponses[resumedInformant] || {}, resumedAge, getInformant(resumedInformant).questionBank);
+    const resumedSectionIndex = Math.min(progress.currentSectionIndex || 0, resumedSections.length - 1);
+
+    setTrack(session.track);
+    setChildId(session.childId || createChildId());
+    setResponses(session.responses);
+    setInformantResponses(session.informantResponses);
+    setChildAge(resumedAge);
+    setActiveInformant(resumedInformant);
+    setQuestionOrder(progress.questionOrder || 'fixed');
+    setAdaptiveAsked(progress.adaptiveAsked || []);
+    setAdaptiveQuestion(resumedQuestion || null);
+    setCurrentSectionIndex(resumedSectionIndex);
+    setCurrentStep(progress.currentStep === 'adaptive' && resumedQuestion ? 'adaptive' : 'screening');
+    setSessionKey(session.sessionKey);
+    setSavedSession(null);
+    window.scrollTo(0, 0);
+  };
+
+  // Delete the saved screening instead of resuming it
+  const discardSavedSession = () => {
+    clearSavedSession();
+    setSavedSession(null);
+  };
+
+  // Fill in (or edit) another informant's form for the same child
+  const startInformantForm = (informantId) => {
+    setActiveInformant(informantId);
     setCurrentStep('screening');
     setCurrentSectionIndex(0);
+    window.scrollTo(0, 0);
   };
 
   // Restart screening
   const restartScreening = () => {
     setCurrentStep('intro');
+    setTrack('child');
     setCurrentSectionIndex(0);
     setResponses({});
     setResults(null);
     setChildAge(null);
+    setChildId(null);
+    setActiveInformant('parent');
+    setInformantResponses({});
+    setQuestionOrder('fixed');
+    setAdaptiveAsked([]);
+    setAdaptiveQuestion(null);
+    setOpenedFile(null);
+    stopSaving();
     window.scrollTo(0, 0);
   };
 
+  // Render the save progress panel (browsers without Web Crypto cannot save)
+  const renderSaveProgress = () => canSaveSessions() && (
+    <SaveProgressPanel
+      enabled={Boolean(sessionKey)}
+      savedAt={savedAt}
+      expiryHours={sessionExpiryHours}
+      onEnable={startSaving}
+      onDisable={stopSaving}
+    />
+  );
+
   // Render intro screen
   const renderIntro = () => (
     <div style={styles.container}>
       <div style={styles.content}>
-        <h1 style={styles.heading}>NHS ADHD Screening Tool</h1>
+        <h1 style={styles.heading}>{t('app.heading')}</h1>
+
+        {savedSession && (
+          <ResumePrompt
+            session={savedSession}
+            onResume={resumeSavedSession}
+            onDiscard={discardSavedSession}
+          />
+        )}
+
+        <OpenScreeningPanel onOpen={openScreeningFile} />
+
+        {canSaveSessions() && (
+          <ProfilesPanel
+            hasStore={hasProfiles}
+            profiles={profileStore && profileStore.profiles}
+            onUnlock={unlockProfiles}
+            onViewHistory={showProfileHistory}
+            onLock={lockProfiles}
+            onDeleteAll={deleteAllProfiles}
+          />
+        )}
 
         <ClinicalDisclaimer />
 
         <div style={styles.introSection}>
-          <h2 style={styles.subheading}>About This Screener</h2>
-          <p style={styles.text}>
-            This screening tool uses a multi-tier approach to assess patterns of attention,
-            behavior, and emotional regulation in children and adolescents aged 5-18.
-          </p>
-          <p style={styles.text}>
-            The tool evaluates patterns consistent with:
-          </p>
+          <h2 style={styles.subheading}>{t('intro.aboutHeading')}</h2>
+          <p style={styles.text}>{t('intro.about')}</p>
+          <p style={styles.text}>{t('intro.evaluates')}</p>
           <ul style={styles.list}>
-            <li>ADHD (Attention-Deficit/Hyperactivity Disorder)</li>
-            <li>Autism Spectrum Conditions</li>
-            <li>Anxiety Disorders</li>
-            <li>Trauma/PTSD</li>
+            {['adhd', 'autism', 'anxiety', 'trauma'].map(condition => (
+              <li key={condition}>{t(`intro.conditions.${condition}`)}</li>
+            ))}
           </ul>
         </div>
 
         <div style={styles.introSection}>
-          <h2 style={styles.subheading}>What to Expect</h2>
-          <p style={styles.text}>
-            You'll answer questions across 5 sections covering:
-          </p>
+          <h2 style={styles.subheading}>{t('intro.expectHeading')}</h2>
+          <p style={styles.text}>{t('intro.expect')}</p>
           <ul style={styles.list}>
-            <li><strong>Demographics:</strong> Basic information about your child</li>
-            <li><strong>Tier 1:</strong> Core behavioral patterns</li>
-            <li><strong>Tier 2:</strong> Supporting evidence and context</li>
-            <li><strong>Tier 3:</strong> Developmental history and environmental factors</li>
-            <li><strong>Tier 4:</strong> Functional impact on daily life</li>
+            {['demographics', 'tier1', 'tier2', 'tier3', 'tier4'].map(section => (
+              <li key={section}>
+                <strong>{t(`intro.sections.${section}.label`)}</strong> {t(`intro.sections.${section}.text`)}
+              </li>
+            ))}
           </ul>
+          <p style={styles.text}>{t('intro.duration')}</p>
           <p style={styles.text}>
-            The screening takes approximately 10-15 minutes to complete.
+            {t('intro.quick', { quick: <strong key="quick">{t('intro.quickName')}</strong> })}
           </p>
         </div>
 
-        <button
-          onClick={startScreening}
-          style={styles.primaryButton}
-        >
-          Start Screening
-        </button>
+        <div style={styles.startButtons}>
+          <button
+            onClick={() => startScreening('fixed')}
+            style={styles.primaryButton}
+          >
+            {t('intro.start')}
+          </button>
+          <button
+            onClick={() => startScreening('adaptive')}
+            style={styles.secondaryButton}
+          >
+            {t('intro.startQuick')}
+          </button>
+        </div>
+
+        <div style={styles.introSection}>
+          <h2 style={styles.subheading}>{t('intro.adultHeading')}</h2>
+          <p style={styles.text}>{t('intro.adultAbout')}</p>
+          <p style={styles.text}>{t('intro.adultDuration')}</p>
+        </div>
+
+        <div style={styles.startButtons}>
+          <button
+            onClick={() => startScreening('fixed', 'adult')}
+            style={styles.primaryButton}
+          >
+            {t('intro.startAdult')}
+          </button>
+        </div>
       </div>
     </div>
   );
@@ -210,6 +697,8 @@ function App() {
   const renderScreening = () => (
     <div style={styles.container}>
       <div style={styles.content}>
+        <ErrorSummary errors={answerErrors} />
+
         {/* Progress indicator */}
         <ProgressBar
           currentSection={currentSectionIndex + 1}
@@ -217,13 +706,18 @@ function App() {
           sectionLabels={sections.map(s => s.title)}
         />
 
+        {renderSaveProgress()}
+
         {/* Section title */}
         <div style={styles.sectionHeader}>
+          {activeInformant !== 'parent' && (
+            <p style={styles.formCaption}>{t('screening.formCaption', { informant: t(`informants.${activeInformant}`) })}</p>
+          )}
           <h2 style={styles.sectionTitle}>{currentSection.title}</h2>
         </div>
 
         {/* Age warning for young children */}
-        {childAge && childAge <= 8 && currentSectionIndex === 2 && (
+        {childAge && childAge <= 8 && currentSection.id === 'tier2' && (
           <AgeAppropriateWarning age={childAge} />
         )}
 
@@ -233,8 +727,9 @@ function App() {
             <QuestionRenderer
               key={question.id}
               question={question}
-              value={responses[question.id]}
+              value={activeResponses[question.id]}
               onChange={(value) => handleResponseChange(question.id, value)}
+              error={getAnswerError(question.id)}
             />
           ))}
         </div>
@@ -246,14 +741,97 @@ function App() {
               onClick={handlePrevious}
               style={styles.secondaryButton}
             >
-              Previous
+              {t('screening.previous')}
             </button>
           )}
           <button
             onClick={handleNext}
             style={styles.primaryButton}
           >
-            {currentSectionIndex < sections.length - 1 ? 'Next' : 'View Results'}
+            {t(currentSectionIndex < sections.length - 1 ? 'screening.next' : 'screening.viewResults')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+
+  // Render the panel for adding teacher and young person forms
+  const renderInformantForms = () => {
+    const otherInformants = getAvailableInformants(results.childAge)
+      .filter(other => other.id !== 'parent');
+
+    return (
+      <div style={styles.informantPanel}>
+        <h3 style={styles.informantHeading}>{t('informantForms.heading')}</h3>
+        <p style={styles.text}>
+          {t(otherInformants.some(other => other.id === 'selfReport') ? 'informantForms.introWithYoungPerson' : 'informantForms.intro')}
+        </p>
+        {childId && (
+          <p style={styles.informantReference}>{t('informantForms.reference', { childId })}</p>
+        )}
+        <div style={styles.informantButtons}>
+          {otherInformants.map(other => {
+            const started = Object.keys(informantResponses[other.id] || {}).length > 0;
+            return (
+              <button
+                key={other.id}
+                onClick={() => startInformantForm(other.id)}
+                style={styles.secondaryButton}
+              >
+                {t(started ? 'informantForms.edit' : 'informantForms.add', {
+                  informant: t(`informants.${other.id}`).toLowerCase()
+                })}
+              </button>
+            );
+          })}
+        </div>
+      </div>
+    );
+  };
+
+  // Render one adaptive question at a time
+  const renderAdaptive = () => (
+    <div style={styles.container}>
+      <div style={styles.content}>
+        <ErrorSummary errors={answerErrors} />
+
+        <div style={styles.sectionHeader}>
+          <p style={styles.formCaption}>{t('screening.quickCaption')}</p>
+          <h2 style={styles.sectionTitle}>{t('screening.questionNumber', { number: adaptiveAsked.length + 1 })}</h2>
+        </div>
+
+        {renderSaveProgress()}
+
+        <p style={styles.text}>{t('screening.adaptiveIntro')}</p>
+
+        <div style={styles.questionsContainer}>
+          <QuestionRenderer
+            key={adaptiveQuestion.id}
+            question={getQuestion(adaptiveQuestion.id, questionBank) || adaptiveQuestion}
+            value={responses[adaptiveQuestion.id]}
+            onChange={(value) => handleResponseChange(adaptiveQuestion.id, value)}
+            error={getAnswerError(adaptiveQuestion.id)}
+          />
+        </div>
+
+        <div style={styles.navigationButtons}>
+          <button
+            onClick={showPreviousAdaptiveQuestion}
+            style={styles.secondaryButton}
+          >
+            {t('screening.previous')}
+          </button>
+          <button
+            onClick={() => handleAdaptiveNext(true)}
+            style={styles.secondaryButton}
+          >
+            {t('screening.skip')}
+          </button>
+          <button
+            onClick={() => handleAdaptiveNext(false)}
+            style={styles.primaryButton}
+          >
+            {t('screening.next')}
           </button>
         </div>
       </div>
@@ -270,68 +848,171 @@ function App() {
     return (
       <div style={styles.container}>
         <div style={styles.content}>
+          {openedFile && (
+            <OpenedFileNotice
+              exportedAt={openedFile.exportedAt}
+              engineVersion={openedFile.engineVersion}
+              currentEngineVersion={ENGINE_VERSION}
+              rescored={openedFile.rescored}
+              onRescore={rescoreOpenedFile}
+            />
+          )}
+
           {/* Warnings */}
+          {results.completeness && results.completeness.insufficientInformation && (
+            <InsufficientInformationWarning missingItems={results.completeness.missingKeyItems} />
+          )}
           {hasSleepIssue && <SleepWarning />}
           {!hasSignificantImpairment && <LowImpairmentWarning />}
 
           {/* Results display */}
           <ResultsDisplay
             probabilities={results.probabilities}
+            probabilityMode={results.probabilityMode}
+            onProbabilityModeChange={handleProbabilityModeChange}
+            explanations={results.explanations}
+            intervals={results.intervals}
+            intervalLevel={results.intervalLevel}
             patternMatches={results.patternMatches}
             ageContext={results.ageContext}
             impairment={results.impairment}
             sleepScore={results.sleepScore}
             confidence={results.confidence}
+            completeness={results.completeness}
             childAge={results.childAge}
+            instrumentVersion={results.instrumentVersion}
+            informants={results.informants}
+            dsmCriteria={results.dsmCriteria}
+            asrs={results.asrs}
+            track={results.track}
+            freeTextAnswers={results.freeTextAnswers}
           />
 
+          {/* Other informants' forms (child track) */}
+          {activeTrack.informants && renderInformantForms()}
+
+          {/* Letters to the GP, school and CAMHS */}
+          <ReferralLetterPanel
+            key={results.track}
+            track={results.track}
+            onWrite={writeReferralLetter}
+            onDownload={downloadReferralLetter}
+          />
+
+          {/* Repeat screenings of the same child, for comparing over time */}
+          {canSaveSessions() && (
+            <AddToProfilePanel
+              key={results.track}
+              track={results.track}
+              hasStore={hasProfiles}
+              profiles={profileStore && profileStore.profiles}
+              defaultDate={openedFile && openedFile.exportedAt ? openedFile.exportedAt.slice(0, 10) : null}
+              onSetUp={setUpProfiles}
+              onUnlock={unlockProfiles}
+              onAdd={addResultsToProfile}
+              onViewHistory={showProfileHistory}
+            />
+          )}
+
+          {/* Keep a copy once the page is closed */}
+          <SaveScreeningPanel onSaveFile={saveScreeningFile} onSaveCsv={saveScreeningCsv} />
+
           {/* Action buttons */}
           <div style={styles.actionButtons}>
+            <button
+              onClick={downloadReport}
+              style={styles.primaryButton}
+            >
+              {t('screening.downloadReport')}
+            </button>
+            <button
+              onClick={downloadFhirRecord}
+              style={styles.secondaryButton}
+            >
+              {t('screening.downloadFhir')}
+            </button>
             <button
               onClick={() => window.print()}
               style={styles.secondaryButton}
             >
-              Print Results
+              {t('screening.print')}
             </button>
             <button
               onClick={restartScreening}
               style={styles.primaryButton}
             >
-              Start New Screening
+              {t('screening.restart')}
             </button>
           </div>
 
+          <p style={styles.reportHint}>{t('screening.reportHint')}</p>
+
           {/* Final disclaimer */}
           <div style={styles.finalDisclaimer}>
-            <ClinicalDisclaimer />
+            <ClinicalDisclaimer track={results.track} />
           </div>
         </div>
       </div>
     );
   };
 
+  // Render the screening history of one child profile
+  const renderHistory = () => {
+    const profile = profileStore && profileStore.profiles.find(p => p.id === historyProfileId);
+    if (!profile) return null;
+
+    return (
+      <div style={styles.container}>
+        <div style={styles.content}>
+          <ProfileHistory
+            key={profile.id}
+            profile={profile}
+            onBack={closeProfileHistory}
+            onViewResults={(screening) => openScreeningFile(screening.file, false)}
+            onRemoveScreening={removeProfileScreening}
+            onDeleteProfile={deleteProfile}
+          />
+        </div>
+      </div>
+    );
+  };
+
   // Main render
   return (
-    <div style={styles.app}>
-      <NHSHeader title="ADHD Screening Tool" />
-
-      <main style={styles.main}>
-        {currentStep === 'intro' && renderIntro()}
-        {currentStep === 'screening' && renderScreening()}
-        {currentStep === 'results' && renderResults()}
-      </main>
-
-      <footer style={styles.footer}>
-        <div style={styles.footerContent}>
-          <p style={styles.footerText}>
-            NHS ADHD Screening Tool | For educational and screening purposes only
-          </p>
-          <p style={styles.footerText}>
-            In an emergency, call 999 | For urgent mental health support, contact your local crisis team
-          </p>
-        </div>
-      </footer>
-    </div>
+    <LocaleProvider locale={locale}>
+      <div style={styles.app} dir={dir}>
+        <NHSHeader title={t('app.title')} onLocaleChange={handleLocaleChange} />
+
+        {!bundle.reviewed && (
+          <div style={styles.draftNotice} lang={locale}>
+            <p style={styles.draftNoticeText}>{t('language.draftNotice')}</p>
+          </div>
+        )}
+
+        <main style={styles.main}>
+          {!dataValidation.valid ? (
+            <div style={styles.container}>
+              <InvalidQuestionBankWarning problems={dataValidation.errors.map(formatValidationError)} />
+            </div>
+          ) : (
+            <>
+              {currentStep === 'intro' && renderIntro()}
+              {currentStep === 'screening' && renderScreening()}
+              {currentStep === 'adaptive' && adaptiveQuestion && renderAdaptive()}
+              {currentStep === 'results' && renderResults()}
+              {currentStep === 'history' && renderHistory()}
+            </>
+          )}
+        </main>
+
+        <footer style={styles.footer}>
+          <div style={styles.footerContent}>
+            <p style={styles.footerText}>{t('app.footer')}</p>
+            <p style={styles.footerText}>{t('app.emergency')}</p>
+          </div>
+        </footer>
+      </div>
+    </LocaleProvider>
   );
 }
 
@@ -343,6 +1024,17 @@ const styles = {
     flexDirection: 'column',
     backgroundColor: '#ffffff',
   },
+  draftNotice: {
+    backgroundColor: '#FFF8E1', // Light yellow background
+    borderBottom: '4px solid #FAE100', // NHS Yellow
+    padding: '12px 20px',
+  },
+  draftNoticeText: {
+    maxWidth: '960px',
+    margin: '0 auto',
+    fontSize: '16px',
+    color: '#212b32',
+  },
   main: {
     flex: 1,
     width: '100%',
@@ -393,7 +1085,7 @@ const styles = {
     lineHeight: '1.8',
     color: '#212b32',
     marginBottom: '16px',
-    paddingLeft: '24px',
+    paddingInlineStart: '24px',
   },
   questionsContainer: {
     marginBottom: '32px',
@@ -428,12 +1120,53 @@ const styles = {
     cursor: 'pointer',
     transition: 'all 0.2s ease',
   },
+  startButtons: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '16px',
+    marginBottom: '32px',
+  },
   actionButtons: {
     display: 'flex',
+    flexWrap: 'wrap',
     gap: '16px',
     justifyContent: 'center',
     marginTop: '48px',
-    marginBottom: '32px',
+    marginBottom: '16px',
+  },
+  reportHint: {
+    fontSize: '16px',
+    color: '#4c6272',
+    textAlign: 'center',
+    margin: '0 0 32px 0',
+  },
+  formCaption: {
+    fontSize: '16px',
+    fontWeight: '600',
+    color: '#4c6272',
+    margin: '0 0 8px 0',
+  },
+  informantPanel: {
+    marginTop: '48px',
+    padding: '24px',
+    backgroundColor: '#F0F4F5',
+    borderRadius: '4px',
+  },
+  informantHeading: {
+    fontSize: '24px',
+    fontWeight: '600',
+    color: '#005EB8',
+    margin: '0 0 16px 0',
+  },
+  informantReference: {
+    fontSize: '14px',
+    color: '#4c6272',
+    marginBottom: '16px',
+  },
+  informantButtons: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '16px',
   },
   finalDisclaimer: {
     marginTop: '48px',
@@ -0,0 +1,712 @@
+import React, { useState } from 'react';
+import { Users } from 'lucide-react';
+import { isValidPin } from '../utils/sessionStore';
+import { getProfileHistory, compareScreenings } from '../utils/childProfiles';
+import { NOT_SURE } from '../utils/questionBank';
+import { hasSleepConfounder } from '../utils/calculator';
+import { formatDate } from '../utils/i18n';
+import { useTranslation } from './LocaleProvider';
+import TrendChart from './TrendChart';
+
+/**
+ * Child Profile Components
+ * Panel on the intro page for opening the profiles kept on this device, the
+ * panel on the results page for adding a screening to a profile, and the
+ * history view charting results over time and listing the answers that
+ * changed between two screenings
+ */
+
+/**
+ * Chart line for each condition; lines differ by dash as well as colour
+ */
+const CONDITION_LINES = {
+  adhd: { color: '#005EB8' },
+  autism: { color: '#330072', dash: '8 4' },
+  anxiety: { color: '#ED8B00', dash: '2 4' },
+  trauma: { color: '#DA291C', dash: '12 4 2 4' }
+};
+
+/**
+ * Message for an error from the profile store, in the user's language
+ */
+const getErrorMessage = (error, t) => (error.code ? t(`profiles.errors.${error.code}`, error.params) : error.message);
+
+/**
+ * Today's date for a date input (YYYY-MM-DD, local time)
+ */
+const getToday = () => {
+  const now = new Date();
+  return [now.getFullYear(), now.getMonth() + 1, now.getDate()].map(part => String(part).padStart(2, '0')).join('-');
+};
+
+/**
+ * PIN Form Component
+ * Opens the profiles, or sets them up with a new PIN (entered twice)
+ */
+const PinForm = ({ idPrefix, setUp, onSubmit }) => {
+  const { t } = useTranslation();
+  const [pin, setPin] = useState('');
+  const [confirmPin, setConfirmPin] = useState('');
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (setUp && !isValidPin(pin)) {
+      setError(t('profiles.errors.invalidPin'));
+      return;
+    }
+    if (setUp && pin !== confirmPin) {
+      setError(t('profiles.errors.pinMismatch'));
+      return;
+    }
+
+    setBusy(true);
+    setError(null);
+    try {
+      await onSubmit(pin);
+    } catch (submitError) {
+      setError(getErrorMessage(submitError, t));
+      setPin('');
+      setBusy(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <div style={styles.fields}>
+        <div>
+          <label style={styles.label} htmlFor={`${idPrefix}-pin`}>{t(setUp ? 'profiles.pinLabel' : 'profiles.pin')}</label>
+          <input
+            id={`${idPrefix}-pin`}
+            type="password"
+            inputMode="numeric"
+            autoComplete={setUp ? 'new-password' : 'off'}
+            value={pin}
+            onChange={(e) => setPin(e.target.value)}
+            style={styles.pinInput}
+          />
+        </div>
+        {setUp && (
+          <div>
+            <label style={styles.label} htmlFor={`${idPrefix}-pin-confirm`}>{t('profiles.confirmPin')}</label>
+            <input
+              id={`${idPrefix}-pin-confirm`}
+              type="password"
+              inputMode="numeric"
+              autoComplete="new-password"
+              value={confirmPin}
+              onChange={(e) => setConfirmPin(e.target.value)}
+              style={styles.pinInput}
+            />
+          </div>
+        )}
+      </div>
+      {error && <p style={styles.error} role="alert">{error}</p>}
+      <button type="submit" style={styles.secondaryButton} disabled={busy || !pin}>
+        {busy ? t('profiles.opening') : t(setUp ? 'profiles.setUp' : 'profiles.open')}
+      </button>
+    </form>
+  );
+};
+
+/**
+ * Profiles Panel Component
+ * Lists the profiles once they are opened with the PIN
+ */
+const ProfilesPanel = ({ hasStore, profiles, onUnlock, onViewHistory, onLock, onDeleteAll }) => {
+  const { locale, t } = useTranslation();
+
+  const handleDeleteAll = () => {
+    if (window.confirm(t('profiles.confirmDeleteAll'))) onDeleteAll();
+  };
+
+  return (
+    <details style={styles.openPanel}>
+      <summary style={styles.summary}>{t('profiles.summary')}</summary>
+      <p style={styles.text}>{t('profiles.text')}</p>
+
+      {!hasStore && <p style={styles.text}>{t('profiles.none')}</p>}
+
+      {hasStore && !profiles && <PinForm idPrefix="profiles" onSubmit={onUnlock} />}
+
+      {profiles && (
+        <>
+          {profiles.length === 0 && <p style={styles.text}>{t('profiles.empty')}</p>}
+          <ul style={styles.profileList}>
+            {profiles.map(profile => {
+              const last = profile.screenings[profile.screenings.length - 1];
+              return (
+                <li key={profile.id} style={styles.profileItem}>
+                  <span style={styles.profileText}>
+                    <strong>{profile.name}</strong>
+                    <span style={styles.profileMeta}>
+                      {t('profiles.screenings', { count: profile.screenings.length })}
+                      {last && `, ${t('profiles.lastScreened', { date: formatDate(locale, Date.parse(last.screenedAt)) })}`}
+                    </span>
+                  </span>
+                  <button type="button" style={styles.secondaryButton} onClick={() => onViewHistory(profile.id)}>
+                    {t('profiles.viewHistory')}
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+          <div style={styles.buttons}>
+            <button type="button" style={styles.linkButton} onClick={onLock}>{t('profiles.lock')}</button>
+            <button type="button" style={styles.linkButton} onClick={handleDeleteAll}>{t('profiles.deleteAll')}</button>
+          </div>
+        </>
+      )}
+    </details>
+  );
+};
+
+/**
+ * Add To Profile Panel Component
+ * Adds the results on screen to an existing profile on the same track, or a new one
+ */
+export const AddToProfilePanel = ({ track, hasStore, profiles, defaultDate, onSetUp, onUnlock, onAdd, onViewHistory }) => {
+  const { t } = useTranslation();
+  const trackProfiles = (profiles || []).filter(profile => profile.track === track);
+  const [profileId, setProfileId] = useState(null);
+  const [name, setName] = useState('');
+  const [date, setDate] = useState(defaultDate || getToday());
+  const [note, setNote] = useState('');
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [added, setAdded] = useState(null);
+
+  // A new profile unless an existing one is chosen (the first, by default)
+  const selectedId = profileId === 'new' ? null : (profileId || (trackProfiles[0] && trackProfiles[0].id) || null);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!selectedId && !name.trim()) {
+      setError(t('profiles.errors.nameRequired'));
+      return;
+    }
+
+    setBusy(true);
+    setError(null);
+    try {
+      setAdded(await onAdd({ profileId: selectedId, name, screenedAt: new Date(`${date}T12:00:00`), note }));
+    } catch (addError) {
+      setError(getErrorMessage(addError, t));
+    }
+    setBusy(false);
+  };
+
+  return (
+    <div style={styles.panel}>
+      <div style={styles.header}>
+        <Users size={20} color="#005EB8" />
+        <h2 style={styles.title}>{t('profiles.addTitle')}</h2>
+      </div>
+      <p style={styles.text}>{t(track === 'adult' ? 'profiles.addTextAdult' : 'profiles.addText')}</p>
+
+      {added ? (
+        <div style={styles.buttons}>
+          <p style={styles.success} role="status">{t('profiles.added', { name: added.name })}</p>
+          <button type="button" style={styles.secondaryButton} onClick={() => onViewHistory(added.id)}>
+            {t('profiles.viewHistory')}
+          </button>
+        </div>
+      ) : !profiles ? (
+        <>
+          <p style={styles.text}>{t(hasStore ? 'profiles.unlockText' : 'profiles.setUpText')}</p>
+          <PinForm idPrefix="add-profile" setUp={!hasStore} onSubmit={hasStore ? onUnlock : onSetUp} />
+        </>
+      ) : (
+        <form onSubmit={handleAdd}>
+          <fieldset style={styles.fieldset}>
+            <legend style={styles.label}>{t('profiles.profile')}</legend>
+            {[...trackProfiles, { id: 'new', name: t('profiles.newProfile') }].map(profile => (
+              <label key={profile.id} style={styles.radioLabel}>
+                <input
+                  type="radio"
+                  name="profile"
+                  value={profile.id}
+                  checked={profile.id === 'new' ? !selectedId : selectedId === profile.id}
+                  onChange={() => setProfileId(profile.id)}
+                  style={styles.radio}
+                />
+                {profile.name}
+              </label>
+            ))}
+          </fieldset>
+
+          {!selectedId && (
+            <div style={styles.field}>
+              <label style={styles.label} htmlFor="profile-name">{t('profiles.name')}</label>
+              <input id="profile-name" type="text" value={name} onChange={(e) => setName(e.target.value)} style={styles.textInput} />
+            </div>
+          )}
+          <div style={styles.field}>
+            <label style={styles.label} htmlFor="profile-date">{t('profiles.date')}</label>
+            <input id="profile-date" type="date" value={date} max={getToday()} onChange={(e) => setDate(e.target.value)} style={styles.textInput} />
+          </div>
+          <div style={styles.field}>
+            <label style={styles.label} htmlFor="profile-note">{t('profiles.note')}</label>
+            <p style={styles.hint}>{t('profiles.noteHint')}</p>
+            <input id="profile-note" type="text" value={note} onChange={(e) => setNote(e.target.value)} style={styles.textInput} />
+          </div>
+
+          {error && <p style={styles.error} role="alert">{error}</p>}
+          <button type="submit" style={styles.primaryButton} disabled={busy || !date}>
+            {t('profiles.add')}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Profile History Component
+ * Charts each screening's results as saved, oldest first, and compares the
+ * answers of two screenings (the last two unless others are chosen)
+ */
+export const ProfileHistory = ({ profile, onBack, onViewResults, onRemoveScreening, onDeleteProfile }) => {
+  const { locale, t } = useTranslation();
+  const history = getProfileHistory(profile);
+  const [fromId, setFromId] = useState(null);
+  const [toId, setToId] = useState(null);
+
+  const hasScreening = id => history.some(entry => entry.id === id);
+  const compareFrom = hasScreening(fromId) ? fromId : (history.length > 1 ? history[history.length - 2].id : null);
+  const compareTo = hasScreening(toId) ? toId : (history.length > 1 ? history[history.length - 1].id : null);
+  const changes = compareFrom && compareTo && compareFrom !== compareTo
+    ? compareScreenings(profile, compareFrom, compareTo, locale)
+    : [];
+
+  const conditions = history.length > 0 ? Object.keys(history[0].probabilities) : [];
+  const dates = history.map(entry => entry.screenedAt);
+  const dateText = entry => formatDate(locale, Date.parse(entry.screenedAt));
+  const engineVersions = [...new Set(history.map(entry => entry.engineVersion))];
+  const describeAnswer = answer => (answer === NOT_SURE ? t('question.notSure') : answer || t('profiles.notAnswered'));
+
+  const handleRemove = (entry) => {
+    if (window.confirm(t('profiles.confirmRemove', { date: dateText(entry) }))) onRemoveScreening(entry.id);
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(t('profiles.confirmDeleteProfile', { name: profile.name }))) onDeleteProfile();
+  };
+
+  return (
+    <div>
+      <button type="button" style={styles.linkButton} onClick={onBack}>{t('profiles.back')}</button>
+      <h1 style={styles.heading}>{t('profiles.historyTitle', { name: profile.name })}</h1>
+
+      {history.length === 0 && <p style={styles.text}>{t('profiles.noScreenings')}</p>}
+
+      {new Set(history.map(entry => entry.probabilityMode)).size > 1 && (
+        <p style={styles.notice}>{t('profiles.mixedModes')}</p>
+      )}
+      {engineVersions.length > 1 && (
+        <p style={styles.notice}>{t('profiles.mixedEngines', { versions: engineVersions.join(', ') })}</p>
+      )}
+
+      {history.length > 0 && (
+        <>
+          <TrendChart
+            title={t('profiles.probabilities')}
+            dates={dates}
+            max={100}
+            unit="%"
+            series={conditions.map(condition => ({
+              key: condition,
+              label: t(`conditions.${condition}`),
+              values: history.map(entry => entry.probabilities[condition]),
+              ...CONDITION_LINES[condition]
+            }))}
+          />
+          <TrendChart
+            title={t('profiles.impactTotal')}
+            dates={dates}
+            max={history[0].impairmentMax}
+            series={[{ key: 'impact', label: t('profiles.impactTotal'), color: '#005EB8', values: history.map(entry => entry.impairmentTotal) }]}
+          />
+          <TrendChart
+            title={t('profiles.sleepScore')}
+            dates={dates}
+            max={10}
+            threshold={{ value: 8, label: t('profiles.sleepThreshold') }}
+            series={[{ key: 'sleep', label: t('profiles.sleepScore'), color: '#330072', values: history.map(entry => entry.sleepScore) }]}
+          />
+
+          <h2 style={styles.subheading}>{t('profiles.table')}</h2>
+          <div style={styles.tableWrapper}>
+            <table style={styles.table}>
+              <thead>
+                <tr>
+                  <th style={styles.th}>{t('profiles.columns.date')}</th>
+                  <th style={styles.th}>{t('profiles.columns.age')}</th>
+                  {conditions.map(condition => <th key={condition} style={styles.th}>{t(`conditions.${condition}`)}</th>)}
+                  <th style={styles.th}>{t('profiles.columns.impact')}</th>
+                  <th style={styles.th}>{t('profiles.columns.sleep')}</th>
+                  <th style={styles.th}>{t('profiles.columns.note')}</th>
+                  <th style={styles.th}><span style={styles.visuallyHidden}>{t('profiles.columns.actions')}</span></th>
+                </tr>
+              </thead>
+              <tbody>
+                {history.map((entry, index) => (
+                  <tr key={entry.id}>
+                    <td style={styles.td}>{dateText(entry)}</td>
+                    <td style={styles.td}>{entry.childAge}</td>
+                    {conditions.map(condition => <td key={condition} style={styles.td}>{Math.round(entry.probabilities[condition])}%</td>)}
+                    <td style={styles.td}>{entry.impairmentTotal}/{entry.impairmentMax}</td>
+                    <td style={{ ...styles.td, ...(hasSleepConfounder(entry.sleepScore) ? styles.flagged : {}) }}>{entry.sleepScore}</td>
+                    <td style={styles.td}>{entry.note}</td>
+                    <td style={styles.td}>
+                      <button type="button" style={styles.linkButton} onClick={() => onViewResults(profile.screenings[index])}>
+                        {t('profiles.viewResults')}
+                      </button>
+                      {' '}
+                      <button type="button" style={styles.linkButton} onClick={() => handleRemove(entry)}>
+                        {t('profiles.remove')}
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+
+      {history.length > 1 && (
+        <>
+          <h2 style={styles.subheading}>{t('profiles.compareTitle')}</h2>
+          <div style={styles.fields}>
+            {[['from', compareFrom, setFromId], ['to', compareTo, setToId]].map(([key, value, setValue]) => (
+              <div key={key}>
+                <label style={styles.label} htmlFor={`compare-${key}`}>{t(`profiles.${key}`)}</label>
+                <select id={`compare-${key}`} value={value} onChange={(e) => setValue(e.target.value)} style={styles.select}>
+                  {history.map(entry => (
+                    <option key={entry.id} value={entry.id}>
+                      {entry.note ? `${dateText(entry)} (${entry.note})` : dateText(entry)}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+
+          {changes.length === 0 ? (
+            <p style={styles.text}>{t('profiles.noChanges')}</p>
+          ) : (
+            <>
+              <p style={styles.text}>{t('profiles.changed', { count: changes.length })} {t('profiles.effectsNote')}</p>
+              <ul style={styles.changeList}>
+                {changes.map(change => (
+                  <li key={`${change.form}-${change.questionId}`} style={styles.changeItem}>
+                    <p style={styles.changeQuestion}>
+                      {change.questionText}
+                      {change.form !== 'parent' && (
+                        <span style={styles.formLabel}> ({t('informants.form', { informant: t(`informants.${change.form}`) })})</span>
+                      )}
+                    </p>
+                    <p style={styles.changeAnswers}>
+                      <del style={styles.before}>{describeAnswer(change.before)}</del>
+                      {' → '}
+                      <ins style={styles.after}>{describeAnswer(change.after)}</ins>
+                    </p>
+                    {Object.keys(change.effects).length > 0 && (
+                      <p style={styles.effects}>
+                        {Object.entries(change.effects).map(([condition, delta]) => t('profiles.scoreEffect', {
+                          condition: t(`conditions.${condition}`),
+                          change: `${delta > 0 ? '+' : '−'}${Math.abs(delta)}`
+                        })).join('; ')}
+                      </p>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+        </>
+      )}
+
+      <div style={styles.dangerZone}>
+        <button type="button" style={styles.secondaryButton} onClick={handleDelete}>
+          {t('profiles.deleteProfile')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Styles following NHS Design System
+const styles = {
+  panel: {
+    marginTop: '48px',
+    padding: '24px',
+    backgroundColor: '#F0F4F5',
+    borderRadius: '4px',
+  },
+  openPanel: {
+    border: '1px solid #AEB7BD',
+    borderRadius: '4px',
+    padding: '16px',
+    marginBottom: '32px',
+  },
+  summary: {
+    fontSize: '16px',
+    fontWeight: '600',
+    color: '#005EB8', // NHS Blue
+    cursor: 'pointer',
+    marginBottom: '8px',
+  },
+  header: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '12px',
+    marginBottom: '12px',
+  },
+  heading: {
+    fontSize: '32px',
+    fontWeight: '700',
+    color: '#212b32',
+    margin: '16px 0 24px 0',
+  },
+  title: {
+    margin: 0,
+    fontSize: '24px',
+    fontWeight: '600',
+    color: '#212b32',
+  },
+  subheading: {
+    fontSize: '24px',
+    fontWeight: '600',
+    color: '#212b32',
+    margin: '32px 0 16px 0',
+  },
+  text: {
+    margin: '0 0 16px 0',
+    fontSize: '16px',
+    lineHeight: '1.5',
+    color: '#212b32',
+  },
+  hint: {
+    margin: '0 0 8px 0',
+    fontSize: '14px',
+    color: '#4c6272',
+  },
+  notice: {
+    margin: '0 0 16px 0',
+    padding: '12px 16px',
+    fontSize: '16px',
+    lineHeight: '1.5',
+    color: '#212b32',
+    backgroundColor: '#F0F4F5',
+    borderInlineStart: '4px solid #005EB8', // NHS Blue
+  },
+  success: {
+    margin: 0,
+    fontSize: '16px',
+    fontWeight: '600',
+    color: '#007F3B', // NHS Dark Green
+  },
+  error: {
+    margin: '0 0 16px 0',
+    fontSize: '16px',
+    fontWeight: '600',
+    color: '#DA291C', // NHS Red
+  },
+  fields: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '16px',
+    marginBottom: '16px',
+  },
+  field: {
+    marginBottom: '16px',
+  },
+  fieldset: {
+    border: 'none',
+    padding: 0,
+    margin: '0 0 16px 0',
+  },
+  label: {
+    display: 'block',
+    fontSize: '16px',
+    fontWeight: '600',
+    color: '#212b32',
+    marginBottom: '8px',
+  },
+  radioLabel: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    fontSize: '16px',
+    color: '#212b32',
+    marginBottom: '8px',
+    cursor: 'pointer',
+  },
+  radio: {
+    width: '20px',
+    height: '20px',
+  },
+  pinInput: {
+    width: '160px',
+    padding: '12px',
+    fontSize: '19px',
+    border: '2px solid #4c6272',
+    borderRadius: '0',
+    letterSpacing: '4px',
+  },
+  textInput: {
+    width: '100%',
+    maxWidth: '400px',
+    boxSizing: 'border-box',
+    padding: '8px',
+    fontSize: '16px',
+    border: '2px solid #4c6272',
+    borderRadius: '0',
+  },
+  select: {
+    padding: '8px',
+    fontSize: '16px',
+    border: '2px solid #4c6272',
+    borderRadius: '0',
+    backgroundColor: 'white',
+  },
+  profileList: {
+    listStyle: 'none',
+    margin: '0 0 16px 0',
+    padding: 0,
+  },
+  profileItem: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    gap: '8px 16px',
+    padding: '12px 0',
+    borderBottom: '1px solid #D8DDE0',
+  },
+  profileText: {
+    fontSize: '16px',
+    color: '#212b32',
+  },
+  profileMeta: {
+    display: 'block',
+    fontSize: '14px',
+    color: '#4c6272',
+  },
+  tableWrapper: {
+    overflowX: 'auto',
+    marginBottom: '16px',
+  },
+  table: {
+    width: '100%',
+    borderCollapse: 'collapse',
+    fontSize: '16px',
+    color: '#212b32',
+  },
+  th: {
+    textAlign: 'start',
+    padding: '8px',
+    borderBottom: '2px solid #4c6272',
+    whiteSpace: 'nowrap',
+  },
+  td: {
+    padding: '8px',
+    borderBottom: '1px solid #D8DDE0',
+    verticalAlign: 'top',
+  },
+  flagged: {
+    fontWeight: '700',
+    color: '#DA291C', // NHS Red
+  },
+  visuallyHidden: {
+    position: 'absolute',
+    width: '1px',
+    height: '1px',
+    overflow: 'hidden',
+    clip: 'rect(0 0 0 0)',
+    whiteSpace: 'nowrap',
+  },
+  changeList: {
+    listStyle: 'none',
+    margin: 0,
+    padding: 0,
+  },
+  changeItem: {
+    padding: '12px 16px',
+    marginBottom: '8px',
+    backgroundColor: '#F0F4F5',
+    borderInlineStart: '4px solid #FFB81C', // NHS Warm Yellow
+  },
+  changeQuestion: {
+    margin: '0 0 4px 0',
+    fontSize: '16px',
+    fontWeight: '600',
+    color: '#212b32',
+  },
+  formLabel: {
+    fontWeight: '400',
+    color: '#4c6272',
+  },
+  changeAnswers: {
+    margin: 0,
+    fontSize: '16px',
+    color: '#212b32',
+  },
+  before: {
+    color: '#4c6272',
+  },
+  after: {
+    textDecoration: 'none',
+    fontWeight: '600',
+  },
+  effects: {
+    margin: '4px 0 0 0',
+    fontSize: '14px',
+    color: '#4c6272',
+  },
+  buttons: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    gap: '16px',
+  },
+  dangerZone: {
+    marginTop: '48px',
+    paddingTop: '24px',
+    borderTop: '1px solid #D8DDE0',
+  },
+  primaryButton: {
+    backgroundColor: '#009639', // NHS Green
+    color: 'white',
+    border: 'none',
+    padding: '12px 24px',
+    fontSize: '19px',
+    fontWeight: '600',
+    borderRadius: '4px',
+    cursor: 'pointer',
+  },
+  secondaryButton: {
+    backgroundColor: '#F0F4F5', // NHS Grey
+    color: '#212b32',
+    border: '2px solid #4c6272',
+    padding: '12px 24px',
+    fontSize: '16px',
+    fontWeight: '600',
+    borderRadius: '4px',
+    cursor: 'pointer',
+  },
+  linkButton: {
+    background: 'none',
+    border: 'none',
+    padding: 0,
+    fontSize: '16px',
+    color: '#005EB8', // NHS Blue
+    textDecoration: 'underline',
+    cursor: 'pointer',
+  },
+};
+
+export default ProfilesPanel;
@@ -0,0 +1,99 @@
+import React, { useEffect, useRef } from 'react';
+import { useTranslation } from './LocaleProvider';
+
+/**
+ * NHS Error Summary Component
+ * Red-bordered summary at the top of a section listing every answer that
+ * needs fixing. It takes focus when shown so screen readers announce it,
+ * and each entry links to (and focuses) the question it refers to
+ */
+
+/**
+ * Element id of a question on the page, used by the summary links
+ */
+export const getQuestionElementId = (questionId) => `question-${questionId}`;
+
+const ErrorSummary = ({ errors }) => {
+  const { t } = useTranslation();
+  const summaryRef = useRef(null);
+
+  useEffect(() => {
+    if (errors.length > 0 && summaryRef.current) {
+      summaryRef.current.focus();
+    }
+  }, [errors]);
+
+  if (errors.length === 0) return null;
+
+  const focusQuestion = (e, questionId) => {
+    e.preventDefault();
+    const element = document.getElementById(getQuestionElementId(questionId));
+    if (element) {
+      element.scrollIntoView({ block: 'center' });
+      element.focus({ preventScroll: true });
+    }
+  };
+
+  return (
+    <div
+      ref={summaryRef}
+      style={styles.summary}
+      role="alert"
+      aria-labelledby="error-summary-title"
+      tabIndex={-1}
+    >
+      <h2 id="error-summary-title" style={styles.title}>{t('errorSummary.title')}</h2>
+      <ul style={styles.list}>
+        {errors.map(error => (
+          <li key={error.questionId} style={styles.item}>
+            <a
+              href={`#${getQuestionElementId(error.questionId)}`}
+              onClick={(e) => focusQuestion(e, error.questionId)}
+              style={styles.link}
+            >
+              {error.message}
+            </a>
+            <span style={styles.questionText}>{error.questionText}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+// Styles following NHS Design System
+const styles = {
+  summary: {
+    border: '4px solid #DA291C', // NHS Red
+    padding: '20px 24px',
+    marginBottom: '32px',
+    outline: 'none',
+  },
+  title: {
+    margin: '0 0 16px 0',
+    fontSize: '24px',
+    fontWeight: '700',
+    color: '#212b32',
+  },
+  list: {
+    margin: 0,
+    paddingInlineStart: 0,
+    listStyle: 'none',
+  },
+  item: {
+    marginBottom: '12px',
+  },
+  link: {
+    display: 'block',
+    fontSize: '16px',
+    fontWeight: '700',
+    color: '#DA291C', // NHS Red
+    textDecoration: 'underline',
+  },
+  questionText: {
+    fontSize: '14px',
+    color: '#4c6272',
+  },
+};
+
+export default ErrorSummary;
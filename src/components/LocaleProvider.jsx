@@ -0,0 +1,33 @@
+import React, { createContext, useContext, useMemo } from 'react';
+import { DEFAULT_LOCALE, getLocale, translate } from '../utils/i18n';
+
+/**
+ * Locale Provider Component
+ * Makes the chosen language available to every component below it.
+ * Components call useTranslation() for the locale, its text direction and
+ * t(key, params), which looks up interface text in the locale bundle
+ */
+
+const LocaleContext = createContext(DEFAULT_LOCALE);
+
+const LocaleProvider = ({ locale, children }) => (
+  <LocaleContext.Provider value={locale}>
+    {children}
+  </LocaleContext.Provider>
+);
+
+/**
+ * Translation hook
+ * @returns {Object} { locale, dir, t }
+ */
+export const useTranslation = () => {
+  const locale = useContext(LocaleContext);
+
+  return useMemo(() => ({
+    locale,
+    dir: getLocale(locale).dir,
+    t: (key, params) => translate(locale, key, params)
+  }), [locale]);
+};
+
+export default LocaleProvider;
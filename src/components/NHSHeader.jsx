@@ -1,12 +1,18 @@
 import React from 'react';
+import { Globe } from 'lucide-react';
+import { LOCALES } from '../utils/i18n';
+import { useTranslation } from './LocaleProvider';
 
 /**
  * NHS Header Component
  * Displays the NHS blue header with yellow stripe and NHS logo
  * Following NHS Design System guidelines
+ * The language switcher lists each language in its own name
  */
 
-const NHSHeader = ({ title = "ADHD Screening Tool" }) => {
+const NHSHeader = ({ title, onLocaleChange }) => {
+  const { locale, t } = useTranslation();
+
   return (
     <header style={styles.header}>
       {/* Yellow stripe at top */}
@@ -21,8 +27,28 @@ const NHSHeader = ({ title = "ADHD Screening Tool" }) => {
 
         {/* Service name */}
         <div style={styles.serviceName}>
-          <span style={styles.serviceText}>{title}</span>
+          <span style={styles.serviceText}>{title || t('app.title')}</span>
         </div>
+
+        {/* Language switcher */}
+        {onLocaleChange && (
+          <div style={styles.languageSwitcher}>
+            <Globe size={18} color="white" aria-hidden="true" />
+            <label htmlFor="language-select" style={styles.languageLabel}>{t('language.label')}</label>
+            <select
+              id="language-select"
+              value={locale}
+              onChange={(e) => onLocaleChange(e.target.value)}
+              style={styles.languageSelect}
+            >
+              {Object.values(LOCALES).map(option => (
+                <option key={option.id} value={option.id} lang={option.id}>
+                  {option.name}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
       </div>
     </header>
   );
@@ -33,12 +59,14 @@ const NHSHeader = ({ title = "ADHD Screening Tool" }) => {
  * Official NHS logo in white
  */
 const NHSLogo = () => {
+  const { t } = useTranslation();
+
   return (
     <svg
       xmlns="http://www.w3.org/2000/svg"
       viewBox="0 0 300 120"
       style={styles.logo}
-      aria-label="NHS Logo"
+      aria-label={t('header.logo')}
     >
       <rect width="300" height="120" fill="white" />
       <text
@@ -71,13 +99,15 @@ const styles = {
   },
   headerContent: {
     display: 'flex',
+    flexWrap: 'wrap',
     alignItems: 'center',
+    gap: '12px',
     padding: '16px 20px',
     maxWidth: '1200px',
     margin: '0 auto',
   },
   logoContainer: {
-    marginRight: '20px',
+    marginInlineEnd: '8px',
   },
   logo: {
     height: '40px',
@@ -92,6 +122,24 @@ const styles = {
     color: 'white',
     letterSpacing: '-0.5px',
   },
+  languageSwitcher: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+  },
+  languageLabel: {
+    fontSize: '16px',
+    color: 'white',
+  },
+  languageSelect: {
+    padding: '6px 8px',
+    fontSize: '16px',
+    border: '2px solid white',
+    borderRadius: '4px',
+    color: '#212b32',
+    backgroundColor: 'white',
+    cursor: 'pointer',
+  },
 };
 
 export default NHSHeader;
@@ -1,4 +1,5 @@
 import React from 'react';
+import { useTranslation } from './LocaleProvider';
 
 /**
  * NHS Progress Bar Component
@@ -12,6 +13,7 @@ const ProgressBar = ({
   sectionLabels = [],
   showPercentage = true
 }) => {
+  const { t } = useTranslation();
   const percentage = (currentSection / totalSections) * 100;
 
   return (
@@ -19,7 +21,7 @@ const ProgressBar = ({
       {/* Progress info text */}
       <div style={styles.infoRow}>
         <span style={styles.label}>
-          Section {currentSection} of {totalSections}
+          {t('progress.section', { current: currentSection, total: totalSections })}
           {sectionLabels[currentSection - 1] && (
             <span style={styles.sectionName}> - {sectionLabels[currentSection - 1]}</span>
           )}
@@ -54,7 +56,7 @@ const ProgressBar = ({
                 ...(index < currentSection ? styles.sectionDotComplete : {}),
                 ...(index === currentSection - 1 ? styles.sectionDotCurrent : {}),
               }}
-              title={sectionLabels[index] || `Section ${index + 1}`}
+              title={sectionLabels[index] || t('progress.sectionNumber', { number: index + 1 })}
             />
           ))}
         </div>
@@ -68,13 +70,14 @@ const ProgressBar = ({
  * For use with many sections
  */
 export const SimpleProgressBar = ({ current, total }) => {
+  const { t } = useTranslation();
   const percentage = (current / total) * 100;
 
   return (
     <div style={styles.container}>
       <div style={styles.infoRow}>
         <span style={styles.label}>
-          Question {current} of {total}
+          {t('progress.question', { current, total })}
         </span>
         <span style={styles.percentage}>{Math.round(percentage)}%</span>
       </div>
@@ -100,10 +103,12 @@ export const SimpleProgressBar = ({ current, total }) => {
  * Shows which tier of questions is active
  */
 export const TierProgress = ({ currentTier, totalTiers, tierName }) => {
+  const { t } = useTranslation();
+
   return (
     <div style={styles.tierContainer}>
       <div style={styles.tierHeader}>
-        <span style={styles.tierBadge}>Tier {currentTier}/{totalTiers}</span>
+        <span style={styles.tierBadge}>{t('progress.tier', { current: currentTier, total: totalTiers })}</span>
         <span style={styles.tierName}>{tierName}</span>
       </div>
       <div style={styles.tierBarContainer}>
@@ -166,8 +171,7 @@ const styles = {
     display: 'flex',
     justifyContent: 'space-between',
     marginTop: '12px',
-    paddingLeft: '2px',
-    paddingRight: '2px',
+    paddingInline: '2px',
   },
   sectionDot: {
     width: '12px',
@@ -208,7 +212,7 @@ const styles = {
     borderRadius: '4px',
     fontSize: '14px',
     fontWeight: '700',
-    marginRight: '12px',
+    marginInlineEnd: '12px',
   },
   tierName: {
     fontSize: '18px',
@@ -1,10 +1,17 @@
 import React from 'react';
 import { HelpCircle } from 'lucide-react';
+import { getAgeFromDateOfBirth, offersNotSure, isNotSure, NOT_SURE } from '../utils/questionBank';
+import { getQuestionElementId } from './ErrorSummary';
+import { useTranslation } from './LocaleProvider';
 
 /**
  * Question Renderer Component
  * Renders different question types with NHS styling
- * Supports: number, select, scale, multiselect
+ * Supports: number, select, scale, multiselect, slider, matrix, date, text
+ * Choice answers are stored as stable option codes (question.optionCodes);
+ * matrix answers as { rowCode: optionCode }, dates as YYYY-MM-DD.
+ * Optional choice, slider and matrix questions also offer "Not sure"
+ * Questions arrive already in the chosen language (localizeQuestionBank)
  */
 
 const QuestionRenderer = ({
@@ -13,6 +20,8 @@ const QuestionRenderer = ({
   onChange,
   error = null
 }) => {
+  const { t } = useTranslation();
+
   const renderQuestion = () => {
     switch (question.type) {
       case 'number':
@@ -23,13 +32,25 @@ const QuestionRenderer = ({
         return <ScaleInput question={question} value={value} onChange={onChange} />;
       case 'multiselect':
         return <MultiselectInput question={question} value={value} onChange={onChange} />;
+      case 'slider':
+        return <SliderInput question={question} value={value} onChange={onChange} />;
+      case 'matrix':
+        return <MatrixInput question={question} value={value} onChange={onChange} />;
+      case 'date':
+        return <DateInput question={question} value={value} onChange={onChange} />;
+      case 'text':
+        return <TextInput question={question} value={value} onChange={onChange} />;
       default:
-        return <div>Unsupported question type: {question.type}</div>;
+        return <div>{t('question.unsupported', { type: question.type })}</div>;
     }
   };
 
   return (
-    <div style={styles.questionContainer}>
+    <div
+      id={getQuestionElementId(question.id)}
+      tabIndex={-1}
+      style={{ ...styles.questionContainer, ...(error ? styles.questionContainerError : {}) }}
+    >
       {/* Question text */}
       <label style={styles.questionLabel}>
         {question.text}
@@ -44,11 +65,18 @@ const QuestionRenderer = ({
         </div>
       )}
 
+      {/* Error message (above the input, as in the NHS design system) */}
+      {error && (
+        <p style={styles.error}>
+          <span style={styles.visuallyHidden}>{t('question.errorPrefix')}</span>{error}
+        </p>
+      )}
+
       {/* Question input */}
       {renderQuestion()}
-
-      {/* Error message */}
-      {error && <div style={styles.error}>{error}</div>}
+      {offersNotSure(question) && (
+        <NotSureOption selected={isNotSure(value)} onSelect={() => onChange(NOT_SURE)} />
+      )}
     </div>
   );
 };
@@ -57,6 +85,8 @@ const QuestionRenderer = ({
  * Number Input Component
  */
 const NumberInput = ({ question, value, onChange }) => {
+  const { t } = useTranslation();
+
   return (
     <input
       type="number"
@@ -65,32 +95,36 @@ const NumberInput = ({ question, value, onChange }) => {
       value={value || ''}
       onChange={(e) => onChange(parseInt(e.target.value) || '')}
       style={styles.numberInput}
-      placeholder="Enter age"
+      placeholder={t('question.enterAge')}
     />
   );
 };
 
 /**
  * Select Input Component (single choice)
+ * Stores the option's stable code, not its display text
  */
 const SelectInput = ({ question, value, onChange }) => {
   return (
     <div style={styles.selectContainer}>
-      {question.options.map((option, index) => (
-        <div
-          key={index}
-          style={{
-            ...styles.radioOption,
-            ...(value === option ? styles.radioOptionSelected : {})
-          }}
-          onClick={() => onChange(option)}
-        >
-          <div style={styles.radioButton}>
-            {value === option && <div style={styles.radioButtonInner} />}
+      {question.options.map((option, index) => {
+        const code = question.optionCodes[index];
+        return (
+          <div
+            key={code}
+            style={{
+              ...styles.radioOption,
+              ...(value === code ? styles.radioOptionSelected : {})
+            }}
+            onClick={() => onChange(code)}
+          >
+            <div style={styles.radioButton}>
+              {value === code && <div style={styles.radioButtonInner} />}
+            </div>
+            <span style={styles.optionText}>{option}</span>
           </div>
-          <span style={styles.optionText}>{option}</span>
-        </div>
-      ))}
+        );
+      })}
     </div>
   );
 };
@@ -101,19 +135,22 @@ const SelectInput = ({ question, value, onChange }) => {
 const ScaleInput = ({ question, value, onChange }) => {
   return (
     <div style={styles.scaleContainer}>
-      {question.options.map((option, index) => (
-        <button
-          key={index}
-          type="button"
-          style={{
-            ...styles.scaleButton,
-            ...(value === option ? styles.scaleButtonSelected : {})
-          }}
-          onClick={() => onChange(option)}
-        >
-          {option}
-        </button>
-      ))}
+      {question.options.map((option, index) => {
+        const code = question.optionCodes[index];
+        return (
+          <button
+            key={code}
+            type="button"
+            style={{
+              ...styles.scaleButton,
+              ...(value === code ? styles.scaleButtonSelected : {})
+            }}
+            onClick={() => onChange(code)}
+          >
+            {option}
+          </button>
+        );
+      })}
     </div>
   );
 };
@@ -124,22 +161,22 @@ const ScaleInput = ({ question, value, onChange }) => {
 const MultiselectInput = ({ question, value, onChange }) => {
   const selectedValues = Array.isArray(value) ? value : [];
 
-  const handleToggle = (option) => {
+  const handleToggle = (code) => {
     let newValues;
-    if (selectedValues.includes(option)) {
+    if (selectedValues.includes(code)) {
       // Remove option
-      newValues = selectedValues.filter(v => v !== option);
+      newValues = selectedValues.filter(v => v !== code);
     } else {
       // Add option
-      newValues = [...selectedValues, option];
+      newValues = [...selectedValues, code];
     }
 
     // Handle "None" selection - clear all others
-    if (option === 'None') {
-      newValues = ['None'];
-    } else if (newValues.includes('None')) {
+    if (code === 'none') {
+      newValues = ['none'];
+    } else if (newValues.includes('none')) {
       // If selecting something else, remove "None"
-      newValues = newValues.filter(v => v !== 'None');
+      newValues = newValues.filter(v => v !== 'none');
     }
 
     onChange(newValues);
@@ -148,15 +185,16 @@ const MultiselectInput = ({ question, value, onChange }) => {
   return (
     <div style={styles.multiselectContainer}>
       {question.options.map((option, index) => {
-        const isSelected = selectedValues.includes(option);
+        const code = question.optionCodes[index];
+        const isSelected = selectedValues.includes(code);
         return (
           <div
-            key={index}
+            key={code}
             style={{
               ...styles.checkboxOption,
               ...(isSelected ? styles.checkboxOptionSelected : {})
             }}
-            onClick={() => handleToggle(option)}
+            onClick={() => handleToggle(code)}
           >
             <div style={styles.checkbox}>
               {isSelected && (
@@ -185,10 +223,173 @@ const MultiselectInput = ({ question, value, onChange }) => {
   );
 };
 
+/**
+ * Not Sure Option
+ * Set apart from the question's own options, since it is scored as missing
+ * evidence rather than as an answer
+ */
+const NotSureOption = ({ selected, onSelect }) => {
+  const { t } = useTranslation();
+
+  return (
+    <div>
+      <p style={styles.notSureDivider}>{t('question.or')}</p>
+      <div
+        style={{
+          ...styles.radioOption,
+          ...styles.notSureOption,
+          ...(selected ? styles.radioOptionSelected : {})
+        }}
+        onClick={onSelect}
+      >
+        <div style={styles.radioButton}>
+          {selected && <div style={styles.radioButtonInner} />}
+        </div>
+        <span style={styles.optionText}>{t('question.notSure')}</span>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Slider Input Component (continuous rating between min and max)
+ * Shows a prompt until the slider has been moved, so an untouched slider is not an answer
+ */
+const SliderInput = ({ question, value, onChange }) => {
+  const { t } = useTranslation();
+  const answered = typeof value === 'number';
+  const midpoint = (question.min + question.max) / 2;
+
+  return (
+    <div style={styles.sliderContainer}>
+      <input
+        type="range"
+        min={question.min}
+        max={question.max}
+        step={question.step || 1}
+        value={answered ? value : midpoint}
+        onChange={(e) => onChange(Number(e.target.value))}
+        style={{ ...styles.slider, ...(answered ? {} : styles.sliderUnanswered) }}
+        aria-valuetext={answered ? String(value) : t('question.sliderNotAnswered')}
+      />
+      <div style={styles.sliderLabels}>
+        <span>{question.minLabel || question.min}</span>
+        <span>{question.maxLabel || question.max}</span>
+      </div>
+      <p style={styles.sliderValue}>
+        {answered ? t('question.sliderAnswer', { value }) : t('question.sliderPrompt')}
+      </p>
+    </div>
+  );
+};
+
+/**
+ * Matrix Input Component (one choice per row, e.g. frequency in each setting)
+ */
+const MatrixInput = ({ question, value, onChange }) => {
+  const answers = value && typeof value === 'object' ? value : {};
+
+  return (
+    <div style={styles.matrixContainer}>
+      <table style={styles.matrixTable}>
+        <thead>
+          <tr>
+            <th style={styles.matrixHeader} />
+            {question.options.map((option, index) => (
+              <th key={question.optionCodes[index]} scope="col" style={styles.matrixHeader}>{option}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {question.rows.map((row, rowIndex) => {
+            const rowCode = question.rowCodes[rowIndex];
+            return (
+              <tr key={rowCode}>
+                <th scope="row" style={styles.matrixRowLabel}>{row}</th>
+                {question.optionCodes.map((code, index) => (
+                  <td key={code} style={styles.matrixCell}>
+                    <input
+                      type="radio"
+                      name={`${question.id}-${rowCode}`}
+                      checked={answers[rowCode] === code}
+                      onChange={() => onChange({ ...answers, [rowCode]: code })}
+                      aria-label={`${row}: ${question.options[index]}`}
+                      style={styles.matrixRadio}
+                    />
+                  </td>
+                ))}
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+/**
+ * Date Input Component
+ * Date-of-birth questions (derivesAge) show the exact age worked out from the date
+ */
+const DateInput = ({ question, value, onChange }) => {
+  const { t } = useTranslation();
+  const age = question.derivesAge ? getAgeFromDateOfBirth(value) : null;
+
+  return (
+    <div>
+      <input
+        type="date"
+        max={new Date().toISOString().slice(0, 10)}
+        value={value || ''}
+        onChange={(e) => onChange(e.target.value)}
+        style={styles.dateInput}
+      />
+      {age && (
+        <p style={styles.derivedAge}>
+          {t('question.derivedAge', {
+            years: t('question.years', { count: age.years }),
+            months: t('question.months', { count: age.months })
+          })}
+        </p>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Text Input Component (free text, stored but not scored)
+ */
+const TextInput = ({ question, value, onChange }) => {
+  const { t } = useTranslation();
+  const text = value || '';
+
+  return (
+    <div>
+      <textarea
+        value={text}
+        maxLength={question.maxLength}
+        onChange={(e) => onChange(e.target.value)}
+        rows={5}
+        style={styles.textArea}
+      />
+      {question.maxLength && (
+        <p style={styles.characterCount}>
+          {t('question.charactersRemaining', { count: question.maxLength - text.length })}
+        </p>
+      )}
+    </div>
+  );
+};
+
 // Styles following NHS Design System
 const styles = {
   questionContainer: {
     marginBottom: '32px',
+    outline: 'none',
+  },
+  questionContainerError: {
+    borderInlineStart: '4px solid #DA291C', // NHS Red
+    paddingInlineStart: '16px',
   },
   questionLabel: {
     display: 'block',
@@ -212,7 +413,7 @@ const styles = {
   },
   hintIcon: {
     color: '#005EB8', // NHS Blue
-    marginRight: '8px',
+    marginInlineEnd: '8px',
     marginTop: '2px',
     flexShrink: 0,
   },
@@ -224,9 +425,17 @@ const styles = {
   error: {
     color: '#DA291C', // NHS Red
     fontSize: '16px',
-    marginTop: '8px',
+    margin: '0 0 12px 0',
     fontWeight: '600',
   },
+  visuallyHidden: {
+    position: 'absolute',
+    width: '1px',
+    height: '1px',
+    overflow: 'hidden',
+    clip: 'rect(0 0 0 0)',
+    whiteSpace: 'nowrap',
+  },
   // Number input
   numberInput: {
     width: '120px',
@@ -261,7 +470,7 @@ const styles = {
     height: '24px',
     borderRadius: '50%',
     border: '2px solid #4c6272',
-    marginRight: '12px',
+    marginInlineEnd: '12px',
     display: 'flex',
     alignItems: 'center',
     justifyContent: 'center',
@@ -320,7 +529,7 @@ const styles = {
     height: '24px',
     borderRadius: '4px',
     border: '2px solid #4c6272',
-    marginRight: '12px',
+    marginInlineEnd: '12px',
     display: 'flex',
     alignItems: 'center',
     justifyContent: 'center',
@@ -332,6 +541,106 @@ const styles = {
     lineHeight: '1.5',
     color: '#212b32',
   },
+  // Not sure
+  notSureDivider: {
+    fontSize: '16px',
+    color: '#4c6272',
+    margin: '12px 0',
+  },
+  notSureOption: {
+    display: 'inline-flex',
+    paddingInlineEnd: '24px',
+  },
+  // Slider
+  sliderContainer: {
+    maxWidth: '560px',
+  },
+  slider: {
+    width: '100%',
+    accentColor: '#005EB8', // NHS Blue
+    cursor: 'pointer',
+  },
+  sliderUnanswered: {
+    opacity: 0.5,
+  },
+  sliderLabels: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    fontSize: '16px',
+    color: '#4c6272',
+    marginTop: '4px',
+  },
+  sliderValue: {
+    fontSize: '16px',
+    fontWeight: '600',
+    color: '#212b32',
+    marginTop: '8px',
+  },
+  // Matrix
+  matrixContainer: {
+    overflowX: 'auto',
+  },
+  matrixTable: {
+    borderCollapse: 'collapse',
+    width: '100%',
+  },
+  matrixHeader: {
+    fontSize: '14px',
+    fontWeight: '600',
+    color: '#4c6272',
+    padding: '8px',
+    textAlign: 'center',
+    borderBottom: '2px solid #AEB7BD',
+  },
+  matrixRowLabel: {
+    fontSize: '16px',
+    fontWeight: '400',
+    color: '#212b32',
+    padding: '12px 8px',
+    textAlign: 'start',
+    borderBottom: '1px solid #d8dde0',
+  },
+  matrixCell: {
+    textAlign: 'center',
+    padding: '12px 8px',
+    borderBottom: '1px solid #d8dde0',
+  },
+  matrixRadio: {
+    width: '20px',
+    height: '20px',
+    accentColor: '#005EB8', // NHS Blue
+    cursor: 'pointer',
+  },
+  // Date input
+  dateInput: {
+    padding: '12px',
+    fontSize: '19px',
+    border: '2px solid #4c6272',
+    borderRadius: '4px',
+    outline: 'none',
+  },
+  derivedAge: {
+    fontSize: '16px',
+    color: '#4c6272',
+    marginTop: '8px',
+  },
+  // Free text
+  textArea: {
+    width: '100%',
+    padding: '12px',
+    fontSize: '16px',
+    lineHeight: '1.5',
+    border: '2px solid #4c6272',
+    borderRadius: '4px',
+    outline: 'none',
+    fontFamily: 'inherit',
+    boxSizing: 'border-box',
+  },
+  characterCount: {
+    fontSize: '14px',
+    color: '#4c6272',
+    marginTop: '4px',
+  },
 };
 
 export default QuestionRenderer;
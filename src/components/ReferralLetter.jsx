@@ -0,0 +1,197 @@
+import React, { useState } from 'react';
+import { createPortal } from 'react-dom';
+import { Mail } from 'lucide-react';
+import { getLetterTemplates } from '../utils/referralLetter';
+import { useTranslation } from './LocaleProvider';
+
+/**
+ * Referral Letter Panel Component
+ * Writes a letter to the GP, school SENCO or CAMHS from the results, which
+ * can be edited here, then downloaded as a document or printed on its own.
+ * Letters are in English, so the letter box is always left-to-right
+ */
+const ReferralLetterPanel = ({ track, onWrite, onDownload }) => {
+  const { t } = useTranslation();
+  const templates = getLetterTemplates(track);
+  const [templateId, setTemplateId] = useState(templates[0].id);
+  const [letter, setLetter] = useState('');
+
+  // Print only the letter: the page is hidden while the print copy is shown
+  const printLetter = () => {
+    document.body.classList.add('printing-letter');
+    window.addEventListener('afterprint', () => document.body.classList.remove('printing-letter'), { once: true });
+    window.print();
+  };
+
+  return (
+    <div style={styles.panel}>
+      <div style={styles.header}>
+        <Mail size={20} color="#005EB8" />
+        <h2 style={styles.title}>{t('referralLetter.title')}</h2>
+      </div>
+      <p style={styles.text}>{t(track === 'adult' ? 'referralLetter.textAdult' : 'referralLetter.text')}</p>
+
+      {templates.length > 1 && (
+        <fieldset style={styles.fieldset}>
+          <legend style={styles.label}>{t('referralLetter.template')}</legend>
+          {templates.map(template => (
+            <label key={template.id} style={styles.radioLabel}>
+              <input
+                type="radio"
+                name="letter-template"
+                value={template.id}
+                checked={templateId === template.id}
+                onChange={() => setTemplateId(template.id)}
+                style={styles.radio}
+              />
+              {t(`referralLetter.templates.${template.id}`)}
+            </label>
+          ))}
+        </fieldset>
+      )}
+
+      <div style={styles.buttons}>
+        <button type="button" style={styles.secondaryButton} onClick={() => setLetter(onWrite(templateId))}>
+          {t('referralLetter.write')}
+        </button>
+        {letter && <span style={styles.inlineHint}>{t('referralLetter.rewriteHint')}</span>}
+      </div>
+
+      {letter && (
+        <>
+          <label style={styles.letterLabel} htmlFor="referral-letter">{t('referralLetter.letter')}</label>
+          <textarea
+            id="referral-letter"
+            dir="ltr"
+            lang="en"
+            value={letter}
+            onChange={(e) => setLetter(e.target.value)}
+            rows={24}
+            style={styles.textarea}
+          />
+          <div style={styles.buttons}>
+            <button type="button" style={styles.primaryButton} onClick={() => onDownload(letter, templateId)}>
+              {t('referralLetter.download')}
+            </button>
+            <button type="button" style={styles.secondaryButton} onClick={printLetter}>
+              {t('referralLetter.print')}
+            </button>
+          </div>
+          <p style={styles.hint}>{t('referralLetter.downloadHint')}</p>
+          {createPortal(<div className="letter-print" dir="ltr" lang="en">{letter}</div>, document.body)}
+        </>
+      )}
+    </div>
+  );
+};
+
+// Styles following NHS Design System
+const styles = {
+  panel: {
+    marginTop: '48px',
+    padding: '24px',
+    backgroundColor: '#F0F4F5',
+    borderRadius: '4px',
+  },
+  header: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '12px',
+    marginBottom: '12px',
+  },
+  title: {
+    margin: 0,
+    fontSize: '24px',
+    fontWeight: '600',
+    color: '#212b32',
+  },
+  text: {
+    margin: '0 0 16px 0',
+    fontSize: '16px',
+    lineHeight: '1.5',
+    color: '#212b32',
+  },
+  fieldset: {
+    border: 'none',
+    padding: 0,
+    margin: '0 0 16px 0',
+  },
+  label: {
+    fontSize: '16px',
+    fontWeight: '600',
+    color: '#212b32',
+    marginBottom: '8px',
+  },
+  radioLabel: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    fontSize: '16px',
+    color: '#212b32',
+    marginBottom: '8px',
+    cursor: 'pointer',
+  },
+  radio: {
+    width: '20px',
+    height: '20px',
+  },
+  letterLabel: {
+    display: 'block',
+    fontSize: '16px',
+    fontWeight: '600',
+    color: '#212b32',
+    margin: '24px 0 8px 0',
+  },
+  textarea: {
+    display: 'block',
+    width: '100%',
+    boxSizing: 'border-box',
+    padding: '12px',
+    fontSize: '16px',
+    lineHeight: '1.5',
+    fontFamily: 'inherit',
+    color: '#212b32',
+    backgroundColor: 'white',
+    border: '2px solid #4c6272',
+    borderRadius: '0',
+    marginBottom: '16px',
+    resize: 'vertical',
+  },
+  buttons: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    gap: '16px',
+  },
+  hint: {
+    margin: '12px 0 0 0',
+    fontSize: '14px',
+    color: '#4c6272',
+  },
+  inlineHint: {
+    fontSize: '14px',
+    color: '#4c6272',
+  },
+  primaryButton: {
+    backgroundColor: '#009639', // NHS Green
+    color: 'white',
+    border: 'none',
+    padding: '12px 24px',
+    fontSize: '19px',
+    fontWeight: '600',
+    borderRadius: '4px',
+    cursor: 'pointer',
+  },
+  secondaryButton: {
+    backgroundColor: '#F0F4F5', // NHS Grey
+    color: '#212b32',
+    border: '2px solid #4c6272',
+    padding: '12px 24px',
+    fontSize: '16px',
+    fontWeight: '600',
+    borderRadius: '4px',
+    cursor: 'pointer',
+  },
+};
+
+export default ReferralLetterPanel;
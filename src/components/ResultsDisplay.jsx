@@ -1,40 +1,94 @@
 import React from 'react';
 import { AlertCircle, CheckCircle, Info, TrendingUp, AlertTriangle } from 'lucide-react';
 import { generateRecommendations } from '../utils/mlMatcher';
+import { getQuestion, getOptionText } from '../utils/questionBank';
+import { getTrack } from '../utils/tracks';
+import { getImpairmentLevel } from '../utils/calculator';
+import { localizeQuestionBank, formatList } from '../utils/i18n';
+import { useTranslation } from './LocaleProvider';
 
 /**
  * Results Display Component
  * Shows comprehensive screening results with NHS styling
  * Includes probabilities, ML patterns, age context, impairment, and recommendations
+ * Results text (questions, answers, pattern names) is localised by the pipeline;
+ * headings, labels and statuses come from the locale bundle
  */
 
 const ResultsDisplay = ({
   probabilities,
+  probabilityMode = 'relative',
+  onProbabilityModeChange,
+  explanations,
+  intervals,
+  intervalLevel = 0.9,
   patternMatches,
   ageContext,
   impairment,
   sleepScore,
   confidence,
-  childAge
+  completeness,
+  childAge,
+  instrumentVersion,
+  informants,
+  dsmCriteria,
+  asrs,
+  track = 'child',
+  freeTextAnswers = []
 }) => {
+  const { t } = useTranslation();
+
   return (
     <div style={styles.container}>
       {/* Results Header */}
       <div style={styles.header}>
-        <h2 style={styles.title}>Screening Results</h2>
+        <h2 style={styles.title}>{t('results.title')}</h2>
         <ConfidenceBadge level={confidence} />
       </div>
 
       {/* Probability Bars */}
       <section style={styles.section}>
-        <h3 style={styles.sectionTitle}>Condition Probabilities</h3>
-        <ProbabilityBars probabilities={probabilities} />
+        <div style={styles.sectionTitleRow}>
+          <h3 style={styles.sectionTitle}>{t('results.probabilities')}</h3>
+          {onProbabilityModeChange && (
+            <ProbabilityModeToggle mode={probabilityMode} onChange={onProbabilityModeChange} />
+          )}
+        </div>
+        <p style={styles.modeDescription}>
+          {t(`results.modeDescriptions.${probabilityMode === 'independent' ? 'independent' : 'relative'}`)}
+        </p>
+        <ProbabilityBars
+          probabilities={probabilities}
+          intervals={intervals}
+          explanations={explanations}
+        />
+        {intervals && (
+          <p style={styles.intervalNote}>
+            {t('results.intervalNote', { level: Math.round(intervalLevel * 100) })}
+          </p>
+        )}
       </section>
 
+      {/* ASRS v1.1 screener (adult track) */}
+      {asrs && asrs.completed && (
+        <section style={styles.section}>
+          <h3 style={styles.sectionTitle}>{t('results.asrs')}</h3>
+          <AsrsSummary asrs={asrs} />
+        </section>
+      )}
+
+      {/* DSM-5 Criteria (optional symptom checklist, or the ASRS items) */}
+      {dsmCriteria && dsmCriteria.completed && (
+        <section style={styles.section}>
+          <h3 style={styles.sectionTitle}>{t('results.dsm')}</h3>
+          <CriteriaPanel criteria={dsmCriteria} />
+        </section>
+      )}
+
       {/* Pattern Matches */}
       {patternMatches && Object.values(patternMatches).some(m => m.matched) && (
         <section style={styles.section}>
-          <h3 style={styles.sectionTitle}>Pattern Analysis</h3>
+          <h3 style={styles.sectionTitle}>{t('results.patterns')}</h3>
           <PatternMatches matches={patternMatches} />
         </section>
       )}
@@ -42,28 +96,49 @@ const ResultsDisplay = ({
       {/* Age Context */}
       {ageContext && (
         <section style={styles.section}>
-          <h3 style={styles.sectionTitle}>Age Context</h3>
+          <h3 style={styles.sectionTitle}>{t('results.ageContext')}</h3>
           <AgeContext context={ageContext} age={childAge} />
         </section>
       )}
 
+      {/* Informant Agreement */}
+      {informants && informants.forms.length > 1 && (
+        <section style={styles.section}>
+          <h3 style={styles.sectionTitle}>{t('results.agreement')}</h3>
+          <InformantAgreement informants={informants} />
+        </section>
+      )}
+
       {/* Impairment Summary */}
       <section style={styles.section}>
-        <h3 style={styles.sectionTitle}>Functional Impact</h3>
-        <ImpairmentSummary impairment={impairment} />
+        <h3 style={styles.sectionTitle}>{t('results.impact')}</h3>
+        <ImpairmentSummary impairment={impairment} domains={Object.keys(getTrack(track).impairmentDomains)} />
       </section>
 
+      {/* Data Completeness */}
+      {completeness && (
+        <section style={styles.section}>
+          <h3 style={styles.sectionTitle}>{t('results.completeness')}</h3>
+          <CompletenessSummary completeness={completeness} />
+        </section>
+      )}
+
+      {/* Free-text answers (shown as given, never scored) */}
+      {freeTextAnswers.length > 0 && (
+        <section style={styles.section}>
+          <h3 style={styles.sectionTitle}>{t('results.freeText')}</h3>
+          <FreeTextAnswers answers={freeTextAnswers} />
+        </section>
+      )}
+
       {/* Sleep Confounder */}
       {sleepScore >= 8 && (
         <section style={styles.section}>
           <div style={styles.warningBox}>
             <AlertCircle size={24} color="#DA291C" />
             <div style={styles.warningContent}>
-              <strong>Sleep Concerns Detected</strong>
-              <p style={styles.warningText}>
-                Significant sleep issues are present. Sleep disorders can mimic ADHD symptoms.
-                Consider sleep evaluation before pursuing ADHD assessment.
-              </p>
+              <strong>{t('results.sleepTitle')}</strong>
+              <p style={styles.warningText}>{t('results.sleepText')}</p>
             </div>
           </div>
         </section>
@@ -71,14 +146,19 @@ const ResultsDisplay = ({
 
       {/* Recommendations */}
       <section style={styles.section}>
-        <h3 style={styles.sectionTitle}>Next Steps</h3>
+        <h3 style={styles.sectionTitle}>{t('results.nextSteps')}</h3>
         <Recommendations
           probabilities={probabilities}
           confidence={confidence}
           impairment={impairment}
           sleepScore={sleepScore}
+          track={track}
         />
       </section>
+
+      {instrumentVersion && (
+        <p style={styles.versionText}>{t('results.version', { version: instrumentVersion })}</p>
+      )}
     </div>
   );
 };
@@ -87,17 +167,47 @@ const ResultsDisplay = ({
  * Confidence Badge Component
  */
 const ConfidenceBadge = ({ level }) => {
+  const { t } = useTranslation();
   const config = {
-    high: { color: '#009639', text: 'High Confidence' },
-    moderate: { color: '#FAE100', text: 'Moderate Confidence', textColor: '#212b32' },
-    low: { color: '#AEB7BD', text: 'Low Confidence', textColor: '#212b32' }
+    high: { color: '#009639' },
+    moderate: { color: '#FAE100', textColor: '#212b32' },
+    low: { color: '#AEB7BD', textColor: '#212b32' }
   };
 
-  const { color, text, textColor = 'white' } = config[level] || config.moderate;
+  const key = config[level] ? level : 'moderate';
+  const { color, textColor = 'white' } = config[key];
 
   return (
     <div style={{ ...styles.badge, backgroundColor: color, color: textColor }}>
-      {text}
+      {t(`results.confidence.${key}`)}
+    </div>
+  );
+};
+
+/**
+ * Probability Mode Toggle Component
+ * Switches between relative shares and independent probabilities
+ */
+const ProbabilityModeToggle = ({ mode, onChange }) => {
+  const { t } = useTranslation();
+  const modes = ['relative', 'independent'];
+
+  return (
+    <div style={styles.modeToggle} role="group" aria-label={t('results.modeLabel')}>
+      {modes.map(key => (
+        <button
+          key={key}
+          type="button"
+          aria-pressed={mode === key}
+          style={{
+            ...styles.modeButton,
+            ...(mode === key ? styles.modeButtonSelected : {})
+          }}
+          onClick={() => onChange(key)}
+        >
+          {t(`results.modes.${key}`)}
+        </button>
+      ))}
     </div>
   );
 };
@@ -105,12 +215,13 @@ const ConfidenceBadge = ({ level }) => {
 /**
  * Probability Bars Component
  */
-const ProbabilityBars = ({ probabilities }) => {
+const ProbabilityBars = ({ probabilities, intervals, explanations }) => {
+  const { t } = useTranslation();
   const conditions = [
-    { key: 'adhd', label: 'ADHD', color: '#005EB8' },
-    { key: 'autism', label: 'Autism Spectrum', color: '#330072' },
-    { key: 'anxiety', label: 'Anxiety', color: '#FAE100' },
-    { key: 'trauma', label: 'Trauma/PTSD', color: '#DA291C' }
+    { key: 'adhd', color: '#005EB8' },
+    { key: 'autism', color: '#330072' },
+    { key: 'anxiety', color: '#FAE100' },
+    { key: 'trauma', color: '#DA291C' }
   ];
 
   // Sort by probability descending
@@ -123,8 +234,15 @@ const ProbabilityBars = ({ probabilities }) => {
       {sorted.map((condition) => (
         <div key={condition.key} style={styles.probabilityRow}>
           <div style={styles.probabilityLabel}>
-            <span style={styles.conditionName}>{condition.label}</span>
-            <span style={styles.probabilityValue}>{Math.round(condition.probability)}%</span>
+            <span style={styles.conditionName}>{t(`conditions.${condition.key}`)}</span>
+            <span style={styles.probabilityValue}>
+              {Math.round(condition.probability)}%
+              {intervals && intervals[condition.key] && (
+                <span style={styles.intervalValue}>
+                  {' '}({Math.round(intervals[condition.key].lower)}–{Math.round(intervals[condition.key].upper)}%)
+                </span>
+              )}
+            </span>
           </div>
           <div style={styles.barBackground}>
             <div
@@ -134,23 +252,116 @@ const ProbabilityBars = ({ probabilities }) => {
                 backgroundColor: condition.color
               }}
             />
+            {intervals && intervals[condition.key] && (
+              <div
+                style={{
+                  ...styles.intervalBand,
+                  insetInlineStart: `${intervals[condition.key].lower}%`,
+                  width: `${intervals[condition.key].upper - intervals[condition.key].lower}%`
+                }}
+                aria-hidden="true"
+              />
+            )}
           </div>
+          {explanations && explanations[condition.key] && (
+            <ContributionBreakdown explanation={explanations[condition.key]} />
+          )}
         </div>
       ))}
     </div>
   );
 };
 
+/**
+ * Contribution Breakdown Component
+ * Expandable "What drove this result" panel for a single condition
+ * Lists the top contributing answers, demographic prior adjustments and pattern boost
+ */
+const ContributionBreakdown = ({ explanation }) => {
+  const { t } = useTranslation();
+  const { topAnswers, prior, patternBoost } = explanation;
+
+  const formatPoints = (points) => (points > 0 ? `+${points}` : `${points}`);
+
+  return (
+    <details style={styles.breakdown}>
+      <summary style={styles.breakdownSummary}>{t('breakdown.summary')}</summary>
+
+      <h4 style={styles.breakdownHeading}>{t('breakdown.topAnswers')}</h4>
+      {topAnswers.length === 0 ? (
+        <p style={styles.breakdownEmpty}>{t('breakdown.none')}</p>
+      ) : (
+        <ul style={styles.breakdownList}>
+          {topAnswers.map((answer) => (
+            <li key={answer.questionId + String(answer.answer)} style={styles.breakdownItem}>
+              <span
+                style={{
+                  ...styles.breakdownPoints,
+                  color: answer.points >= 0 ? '#005EB8' : '#4c6272'
+                }}
+              >
+                {formatPoints(answer.points)}
+              </span>
+              <span>
+                {answer.questionText} <strong>{answer.answer}</strong>
+                {answer.ageAdjustment !== 0 && (
+                  <span style={styles.breakdownNote}>
+                    {' '}{t('breakdown.ageAdjustment', { points: formatPoints(answer.ageAdjustment) })}
+                  </span>
+                )}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {prior && (
+        <>
+          <h4 style={styles.breakdownHeading}>{t('breakdown.startingLikelihood')}</h4>
+          <ul style={styles.breakdownList}>
+            <li style={styles.breakdownItem}>
+              {t('breakdown.basePrevalence', { percent: (prior.base * 100).toFixed(1) })}
+            </li>
+            {prior.steps.map((step) => (
+              <li key={step.factor} style={styles.breakdownItem}>
+                {t('breakdown.priorStep', {
+                  label: step.label,
+                  sources: step.sourceLabels.join(', '),
+                  ratio: step.combinedOddsRatio.toFixed(2)
+                })}
+              </li>
+            ))}
+            <li style={styles.breakdownItem}>
+              {t('breakdown.adjustedPrior', { percent: (prior.probability * 100).toFixed(1) })}
+              {prior.clamped && <span style={styles.breakdownNote}> {t('breakdown.capped')}</span>}
+            </li>
+          </ul>
+        </>
+      )}
+
+      {patternBoost && (
+        <>
+          <h4 style={styles.breakdownHeading}>{t('breakdown.patternMatch')}</h4>
+          <p style={styles.breakdownText}>
+            {t('breakdown.patternBoost', { pattern: patternBoost.patternName, points: patternBoost.confidenceBoost })}
+          </p>
+        </>
+      )}
+    </details>
+  );
+};
+
 /**
  * Pattern Matches Component
  */
 const PatternMatches = ({ matches }) => {
+  const { t } = useTranslation();
   const matchedPatterns = Object.entries(matches)
     .filter(([_, match]) => match.matched)
     .map(([condition, match]) => ({ condition, ...match }));
 
   if (matchedPatterns.length === 0) {
-    return <p style={styles.noPattern}>No specific patterns matched.</p>;
+    return <p style={styles.noPattern}>{t('patterns.none')}</p>;
   }
 
   return (
@@ -163,10 +374,14 @@ const PatternMatches = ({ matches }) => {
           </div>
           <div style={styles.patternDetails}>
             <span style={styles.patternStat}>
-              Match: {Math.round(pattern.matchScore * 100)}%
+              {t('patterns.match', {
+                percent: Math.round(pattern.matchScore * 100),
+                matched: pattern.matchedFeatures,
+                total: pattern.totalFeatures
+              })}
             </span>
             <span style={styles.patternStat}>
-              Confidence boost: +{pattern.confidenceBoost}
+              {t('patterns.boost', { points: pattern.confidenceBoost })}
             </span>
           </div>
         </div>
@@ -179,17 +394,20 @@ const PatternMatches = ({ matches }) => {
  * Age Context Component
  */
 const AgeContext = ({ context, age }) => {
+  const { t } = useTranslation();
+  const yesNo = (value) => t(value ? 'ageContext.yes' : 'ageContext.no');
+
   return (
     <div style={styles.ageContextBox}>
       <Info size={20} color="#005EB8" />
       <div style={styles.ageContextContent}>
         <p style={styles.ageContextText}>
-          <strong>Age {age}:</strong> {context.note}
+          <strong>{t('ageContext.age', { age })}</strong> {context.note}
         </p>
         <ul style={styles.ageContextList}>
-          <li>Expected attention span: {context.attentionSpan} minutes</li>
-          <li>Hyperactivity expected: {context.hyperactivityExpected ? 'Yes' : 'No'}</li>
-          <li>High impulsivity typical: {context.impulsivityHigh ? 'Yes' : 'No'}</li>
+          <li>{t('ageContext.attentionSpan', { minutes: context.attentionSpan })}</li>
+          <li>{t('ageContext.hyperactivity', { answer: yesNo(context.hyperactivityExpected) })}</li>
+          <li>{t('ageContext.impulsivity', { answer: yesNo(context.impulsivityHigh) })}</li>
         </ul>
       </div>
     </div>
@@ -199,29 +417,25 @@ const AgeContext = ({ context, age }) => {
 /**
  * Impairment Summary Component
  */
-const ImpairmentSummary = ({ impairment }) => {
-  const domains = [
-    { key: 'academic', label: 'Academic Performance' },
-    { key: 'social', label: 'Social Relationships' },
-    { key: 'family', label: 'Family Life' },
-    { key: 'emotional', label: 'Emotional Wellbeing' }
-  ];
+const ImpairmentSummary = ({ impairment, domains }) => {
+  const { t } = useTranslation();
 
-  const getImpairmentLevel = (score) => {
-    if (score >= 3) return { text: 'Significant', color: '#DA291C' };
-    if (score >= 2) return { text: 'Moderate', color: '#FAE100', textColor: '#212b32' };
-    if (score >= 1) return { text: 'Mild', color: '#AEB7BD', textColor: '#212b32' };
-    return { text: 'None', color: '#009639' };
+  const levelColors = {
+    significant: { color: '#DA291C' },
+    moderate: { color: '#FAE100', textColor: '#212b32' },
+    mild: { color: '#AEB7BD', textColor: '#212b32' },
+    none: { color: '#009639' }
   };
 
   return (
     <div style={styles.impairmentContainer}>
       {domains.map((domain) => {
-        const score = impairment[domain.key] || 0;
-        const level = getImpairmentLevel(score);
+        const score = impairment[domain] || 0;
+        const levelKey = getImpairmentLevel(score);
+        const level = levelColors[levelKey];
         return (
-          <div key={domain.key} style={styles.impairmentRow}>
-            <span style={styles.impairmentLabel}>{domain.label}</span>
+          <div key={domain} style={styles.impairmentRow}>
+            <span style={styles.impairmentLabel}>{t(`impairmentDomains.${domain}`)}</span>
             <div
               style={{
                 ...styles.impairmentBadge,
@@ -229,14 +443,228 @@ const ImpairmentSummary = ({ impairment }) => {
                 color: level.textColor || 'white'
               }}
             >
-              {level.text}
+              {t(`impairment.levels.${levelKey}`)}
             </div>
           </div>
         );
       })}
       <div style={styles.impairmentTotal}>
-        <strong>Total Impact Score:</strong> {impairment.total}/16
+        <strong>{t('impairment.total')}</strong> {impairment.total}/{domains.length * 4}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Completeness Summary Component
+ * Shows how much of the evidence for each condition was answered
+ */
+const CompletenessSummary = ({ completeness }) => {
+  const { t } = useTranslation();
+  const conditions = ['adhd', 'autism', 'anxiety', 'trauma'];
+
+  return (
+    <div style={styles.impairmentContainer}>
+      <p style={styles.completenessText}>
+        {t('completeness.answered', { answered: completeness.answered, total: completeness.total })}
+        {completeness.notSure > 0 && ` ${t('completeness.notSure', { count: completeness.notSure })}`}
+        {completeness.notAsked > 0 && ` ${t('completeness.notAsked', { count: completeness.notAsked })}`}
+        {completeness.insufficientInformation && (
+          <strong style={styles.insufficientText}> {t('completeness.insufficient')}</strong>
+        )}
+      </p>
+      {completeness.notSure > 0 && (
+        <div style={styles.notSureList}>
+          <p style={styles.completenessText}>{t('completeness.notSureIntro')}</p>
+          <ul style={styles.notSureItems}>
+            {completeness.notSureItems.map(item => (
+              <li key={item.id}>{item.text}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+      {conditions.map((condition) => (
+        <div key={condition} style={styles.impairmentRow}>
+          <span style={styles.impairmentLabel}>{t(`conditions.${condition}`)}</span>
+          <span style={styles.completenessValue}>
+            {t('completeness.evidence', { percent: Math.round(completeness.byCondition[condition]) })}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+/**
+ * ASRS Summary Component
+ * Shows the Part A screen result and the shaded counts for both parts
+ */
+const AsrsSummary = ({ asrs }) => {
+  const { t } = useTranslation();
+  const statusColors = {
+    positive: '#DA291C',
+    negative: '#009639',
+    unknown: '#ED8B00'
+  };
+
+  return (
+    <div style={styles.impairmentContainer}>
+      <div style={styles.impairmentRow}>
+        <span style={styles.impairmentLabel}>
+          {t('asrs.partA', { shaded: asrs.partA.shaded, total: asrs.partA.total })}
+          <span style={styles.criteriaDetail}> {t('asrs.needs', { threshold: asrs.partA.threshold })}</span>
+        </span>
+        <span style={{ ...styles.impairmentBadge, backgroundColor: statusColors[asrs.status], color: 'white' }}>
+          {t(`asrs.statuses.${asrs.status}`)}
+        </span>
+      </div>
+      <div style={styles.impairmentRow}>
+        <span style={styles.impairmentLabel}>
+          {t('asrs.partB', { shaded: asrs.partB.shaded, total: asrs.partB.total })}
+        </span>
+      </div>
+      <p style={styles.informantNote}>{t('asrs.note')}</p>
+    </div>
+  );
+};
+
+/**
+ * Free Text Answers Component
+ * Shows what was written in free-text questions for the clinician to read
+ */
+const FreeTextAnswers = ({ answers }) => {
+  const { t } = useTranslation();
+
+  return (
+    <div>
+      {answers.map(answer => (
+        <div key={answer.questionId} style={styles.freeTextItem}>
+          <p style={styles.freeTextQuestion}>{answer.questionText}</p>
+          <p style={styles.freeTextAnswer} dir="auto">{answer.answer}</p>
+        </div>
+      ))}
+      <p style={styles.informantNote}>{t('freeText.note')}</p>
+    </div>
+  );
+};
+
+/**
+ * DSM-5 Criteria Panel Component
+ * Shows symptom counts and each criterion as met / not met
+ */
+const CriteriaPanel = ({ criteria }) => {
+  const { t } = useTranslation();
+  const statusColors = {
+    met: '#009639',
+    notMet: '#4c6272',
+    unknown: '#ED8B00'
+  };
+
+  const StatusBadge = ({ status }) => (
+    <span style={{ ...styles.impairmentBadge, backgroundColor: statusColors[status], color: 'white' }}>
+      {t(`dsm.statuses.${status}`)}
+    </span>
+  );
+
+  return (
+    <div style={styles.impairmentContainer}>
+      {Object.entries(criteria.domains).map(([key, domain]) => (
+        <div key={key} style={styles.impairmentRow}>
+          <span style={styles.impairmentLabel}>
+            {t('dsm.symptoms', { domain: t(`dsm.domains.${key}`), count: domain.count, total: domain.total })}
+            <span style={styles.criteriaDetail}> {t('asrs.needs', { threshold: domain.threshold })}</span>
+          </span>
+          <StatusBadge status={domain.status} />
+        </div>
+      ))}
+      <div style={styles.impairmentRow}>
+        <span style={styles.impairmentLabel}>
+          {t('dsm.onset')}
+          {criteria.onset.answer && <span style={styles.criteriaDetail}> ({criteria.onset.answer})</span>}
+        </span>
+        <StatusBadge status={criteria.onset.status} />
+      </div>
+      <div style={styles.impairmentRow}>
+        <span style={styles.impairmentLabel}>
+          {t('dsm.settings')}
+          {criteria.settings.answer && <span style={styles.criteriaDetail}> ({criteria.settings.answer})</span>}
+        </span>
+        <StatusBadge status={criteria.settings.status} />
+      </div>
+      <div style={styles.impairmentTotal}>
+        {t(`dsm.overall.${criteria.status}`)}
+        {criteria.presentation && ` — ${t(`dsm.presentations.${criteria.presentation}`)}`}
       </div>
+      <p style={styles.informantNote}>{t('dsm.note')}</p>
+    </div>
+  );
+};
+
+/**
+ * Informant Agreement Component
+ * Compares each informant's view of each condition and highlights disagreement
+ */
+const InformantAgreement = ({ informants }) => {
+  const { locale, t } = useTranslation();
+  const conditions = ['adhd', 'autism', 'anxiety', 'trauma'];
+
+  const statusColors = {
+    agree: '#009639',
+    borderline: '#ED8B00',
+    disagree: '#DA291C',
+    single: '#4c6272'
+  };
+
+  const informantName = (informantId) => t(`informants.${informantId}`);
+  const pervasiveness = getQuestion('pervasiveness', localizeQuestionBank(getTrack('child').questionBank, locale));
+
+  return (
+    <div style={styles.impairmentContainer}>
+      <p style={styles.completenessText}>
+        {t('agreement.formsCompleted', {
+          forms: formatList(locale, informants.forms.map(form => informantName(form.informant).toLowerCase()))
+        })}
+      </p>
+      {conditions.map((condition) => {
+        const agreement = informants.agreement[condition];
+        return (
+          <div key={condition} style={styles.impairmentRow}>
+            <span style={styles.impairmentLabel}>{t(`conditions.${condition}`)}</span>
+            <span style={styles.informantRatings}>
+              {agreement.ratings.map(rating => (
+                <span key={rating.informant} style={styles.completenessValue}>
+                  {t('agreement.rating', { informant: informantName(rating.informant), percent: Math.round(rating.elevation) })}
+                </span>
+              ))}
+              <span style={{ ...styles.impairmentBadge, backgroundColor: statusColors[agreement.status], color: 'white' }}>
+                {t(`agreement.statuses.${agreement.status}`)}
+              </span>
+            </span>
+          </div>
+        );
+      })}
+      {informants.disagreements.length > 0 && (
+        <p style={styles.informantNote}>
+          <strong>
+            {t('agreement.disagree', {
+              conditions: formatList(locale, informants.disagreements.map(key => t(`conditions.${key}`)))
+            })}
+          </strong>{' '}
+          {t('agreement.disagreeAdvice')}
+        </p>
+      )}
+      {informants.crossSettingEvidence.length > 0 && (
+        <p style={styles.informantNote}>
+          {t('agreement.crossSetting', {
+            settings: informants.crossSettingEvidence
+              .map(evidence => t('agreement.crossSettingItem', {
+                setting: getOptionText(pervasiveness, evidence.setting).toLowerCase(),
+                informant: informantName(evidence.informant).toLowerCase()
+              }))
+              .join(', ')
+          })}
+        </p>
+      )}
     </div>
   );
 };
@@ -245,9 +673,11 @@ const ImpairmentSummary = ({ impairment }) => {
  * Recommendations Component - V8 Specification
  * Uses generateRecommendations from mlMatcher for detailed clinical recommendations
  */
-const Recommendations = ({ probabilities, confidence, impairment, sleepScore }) => {
-  // Generate V8-compliant recommendations
-  const recs = generateRecommendations(probabilities, impairment, sleepScore);
+const Recommendations = ({ probabilities, confidence, impairment, sleepScore, track }) => {
+  const { locale, t } = useTranslation();
+
+  // Generate V8-compliant recommendations, worded for the screening track and language
+  const recs = generateRecommendations(probabilities, impairment, sleepScore, track, locale);
 
   // Map urgency to priority styles
   const urgencyPriority = {
@@ -265,13 +695,13 @@ const Recommendations = ({ probabilities, confidence, impairment, sleepScore })
                          recs.urgency === 'priority' ? '#FAE100' : '#AEB7BD',
         color: recs.urgency === 'priority' ? '#212b32' : 'white'
       }}>
-        <strong>Urgency: {recs.urgency.toUpperCase()}</strong>
+        <strong>{t('recommendations.urgency', { urgency: t(`recommendations.urgencyLevels.${recs.urgency}`) })}</strong>
       </div>
 
       {/* Flags (if any) */}
       {recs.flags.length > 0 && (
         <div>
-          <h4 style={styles.recSectionTitle}>⚠️ Important Flags</h4>
+          <h4 style={styles.recSectionTitle}>{t('recommendations.flags')}</h4>
           {recs.flags.map((flag, index) => (
             <div key={index} style={{ ...styles.recommendationCard, ...styles.priority_urgent }}>
               <AlertTriangle size={20} style={styles.recommendationIcon} />
@@ -284,7 +714,7 @@ const Recommendations = ({ probabilities, confidence, impairment, sleepScore })
       {/* Referrals */}
       {recs.referrals.length > 0 && (
         <div>
-          <h4 style={styles.recSectionTitle}>📋 Recommended Assessments & Referrals</h4>
+          <h4 style={styles.recSectionTitle}>{t('recommendations.referrals')}</h4>
           {recs.referrals.map((referral, index) => (
             <div key={index} style={{ ...styles.recommendationCard, ...styles[`priority_${urgencyPriority[recs.urgency]}`] }}>
               <TrendingUp size={20} style={styles.recommendationIcon} />
@@ -297,7 +727,7 @@ const Recommendations = ({ probabilities, confidence, impairment, sleepScore })
       {/* Support strategies */}
       {recs.support.length > 0 && (
         <div>
-          <h4 style={styles.recSectionTitle}>💡 Support Strategies</h4>
+          <h4 style={styles.recSectionTitle}>{t('recommendations.support')}</h4>
           {recs.support.map((strategy, index) => (
             <div key={index} style={{ ...styles.recommendationCard, ...styles.priority_info }}>
               <Info size={20} style={styles.recommendationIcon} />
@@ -310,9 +740,7 @@ const Recommendations = ({ probabilities, confidence, impairment, sleepScore })
       {/* General disclaimer */}
       <div style={{ ...styles.recommendationCard, ...styles.priority_info, marginTop: '24px' }}>
         <Info size={20} style={styles.recommendationIcon} />
-        <p style={styles.recommendationText}>
-          This screening tool provides preliminary information only. A comprehensive assessment by qualified professionals is needed for diagnosis.
-        </p>
+        <p style={styles.recommendationText}>{t('recommendations.disclaimer')}</p>
       </div>
     </div>
   );
@@ -354,6 +782,55 @@ const styles = {
     color: '#005EB8',
     marginBottom: '16px',
   },
+  sectionTitleRow: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    gap: '12px',
+  },
+  freeTextItem: {
+    borderInlineStart: '4px solid #AEB7BD',
+    paddingInlineStart: '16px',
+    marginBottom: '16px',
+  },
+  freeTextQuestion: {
+    fontSize: '16px',
+    fontWeight: '600',
+    color: '#212b32',
+    margin: '0 0 4px 0',
+  },
+  freeTextAnswer: {
+    fontSize: '16px',
+    color: '#212b32',
+    whiteSpace: 'pre-wrap',
+    margin: 0,
+  },
+  modeDescription: {
+    fontSize: '16px',
+    color: '#4c6272',
+    marginBottom: '20px',
+  },
+  modeToggle: {
+    display: 'flex',
+    gap: '8px',
+    marginBottom: '16px',
+  },
+  modeButton: {
+    padding: '8px 16px',
+    fontSize: '14px',
+    fontWeight: '600',
+    border: '2px solid #AEB7BD',
+    borderRadius: '4px',
+    backgroundColor: 'white',
+    color: '#212b32',
+    cursor: 'pointer',
+  },
+  modeButtonSelected: {
+    backgroundColor: '#005EB8',
+    borderColor: '#005EB8',
+    color: 'white',
+  },
   // Probability bars
   probabilityContainer: {
     display: 'flex',
@@ -379,6 +856,7 @@ const styles = {
     color: '#005EB8',
   },
   barBackground: {
+    position: 'relative',
     width: '100%',
     height: '32px',
     backgroundColor: '#F0F4F5',
@@ -391,7 +869,77 @@ const styles = {
     display: 'flex',
     alignItems: 'center',
     justifyContent: 'flex-end',
-    paddingRight: '8px',
+    paddingInlineEnd: '8px',
+  },
+  intervalValue: {
+    fontSize: '14px',
+    fontWeight: '400',
+    color: '#4c6272',
+  },
+  intervalBand: {
+    position: 'absolute',
+    top: '6px',
+    bottom: '6px',
+    backgroundColor: 'rgba(33, 43, 50, 0.25)',
+    borderInlineStart: '2px solid #212b32',
+    borderInlineEnd: '2px solid #212b32',
+  },
+  intervalNote: {
+    fontSize: '14px',
+    color: '#4c6272',
+    marginTop: '16px',
+  },
+  // Contribution breakdown
+  breakdown: {
+    marginTop: '8px',
+    padding: '8px 12px',
+    backgroundColor: '#F0F4F5',
+    borderRadius: '4px',
+  },
+  breakdownSummary: {
+    cursor: 'pointer',
+    fontSize: '16px',
+    fontWeight: '600',
+    color: '#005EB8',
+  },
+  breakdownHeading: {
+    fontSize: '16px',
+    fontWeight: '700',
+    color: '#212b32',
+    margin: '12px 0 8px 0',
+  },
+  breakdownList: {
+    listStyle: 'none',
+    margin: 0,
+    padding: 0,
+  },
+  breakdownItem: {
+    display: 'flex',
+    gap: '12px',
+    fontSize: '14px',
+    lineHeight: '1.5',
+    color: '#212b32',
+    marginBottom: '6px',
+  },
+  breakdownPoints: {
+    minWidth: '40px',
+    fontWeight: '700',
+    textAlign: 'end',
+  },
+  breakdownNote: {
+    color: '#4c6272',
+    fontStyle: 'italic',
+  },
+  breakdownText: {
+    fontSize: '14px',
+    color: '#212b32',
+    margin: 0,
+  },
+  breakdownEmpty: {
+    fontSize: '14px',
+    color: '#4c6272',
+    fontStyle: 'italic',
+    margin: 0,
   },
   // Pattern matches
   patternContainer: {
@@ -448,7 +996,7 @@ const styles = {
   },
   ageContextList: {
     margin: 0,
-    paddingLeft: '20px',
+    paddingInlineStart: '20px',
     color: '#4c6272',
   },
   // Impairment
@@ -481,6 +1029,48 @@ const styles = {
     fontWeight: '700',
     color: '#005EB8',
   },
+  // Completeness
+  completenessText: {
+    margin: '0 0 8px 0',
+    fontSize: '16px',
+    color: '#212b32',
+  },
+  insufficientText: {
+    color: '#DA291C',
+  },
+  notSureList: {
+    marginBottom: '12px',
+  },
+  notSureItems: {
+    fontSize: '16px',
+    color: '#212b32',
+    margin: '4px 0 0 0',
+    paddingInlineStart: '24px',
+  },
+  completenessValue: {
+    fontSize: '14px',
+    fontWeight: '600',
+    color: '#4c6272',
+  },
+  // DSM-5 criteria
+  criteriaDetail: {
+    fontWeight: '400',
+    color: '#4c6272',
+  },
+  // Informant agreement
+  informantRatings: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    justifyContent: 'flex-end',
+    gap: '12px',
+  },
+  informantNote: {
+    margin: '12px 0 0 0',
+    fontSize: '16px',
+    lineHeight: '1.5',
+    color: '#212b32',
+  },
   // Warnings
   warningBox: {
     display: 'flex',
@@ -498,6 +1088,11 @@ const styles = {
     fontSize: '16px',
     color: '#212b32',
   },
+  versionText: {
+    fontSize: '14px',
+    color: '#4c6272',
+    textAlign: 'end',
+  },
   // Recommendations
   recommendationsContainer: {
     display: 'flex',
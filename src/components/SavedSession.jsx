@@ -0,0 +1,282 @@
+import React, { useState } from 'react';
+import { Lock } from 'lucide-react';
+import { isValidPin } from '../utils/sessionStore';
+import { formatDateTime } from '../utils/i18n';
+import { useTranslation } from './LocaleProvider';
+
+/**
+ * Saved Session Components
+ * Resume prompt shown on the intro page when a saved screening exists, and
+ * the panel for turning on PIN-protected saving while answering
+ */
+
+/**
+ * Message for an error from the session store, in the user's language
+ */
+const getErrorMessage = (error, t) => (error.code ? t(`session.errors.${error.code}`, error.params) : error.message);
+
+/**
+ * Resume Prompt Component
+ * Asks for the PIN to decrypt the saved screening, or deletes it
+ */
+const ResumePrompt = ({ session, onResume, onDiscard }) => {
+  const { locale, t } = useTranslation();
+  const [pin, setPin] = useState('');
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const handleResume = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      await onResume(pin);
+    } catch (resumeError) {
+      setError(getErrorMessage(resumeError, t));
+      setPin('');
+    }
+    setBusy(false);
+  };
+
+  return (
+    <form style={styles.panel} onSubmit={handleResume}>
+      <div style={styles.header}>
+        <Lock size={20} color="#005EB8" />
+        <h2 style={styles.title}>{t('session.resumeTitle')}</h2>
+      </div>
+      <p style={styles.text}>
+        {t('session.resumeText', {
+          savedAt: formatDateTime(locale, session.savedAt),
+          expiresAt: formatDateTime(locale, session.expiresAt)
+        })}
+      </p>
+      <label style={styles.label} htmlFor="resume-pin">{t('session.pin')}</label>
+      <input
+        id="resume-pin"
+        type="password"
+        inputMode="numeric"
+        autoComplete="off"
+        value={pin}
+        onChange={(e) => setPin(e.target.value)}
+        style={styles.pinInput}
+      />
+      {error && <p style={styles.error} role="alert">{error}</p>}
+      <div style={styles.buttons}>
+        <button type="submit" style={styles.primaryButton} disabled={busy || !pin}>
+          {busy ? t('session.opening') : t('session.resume')}
+        </button>
+        <button type="button" style={styles.linkButton} onClick={onDiscard}>
+          {t('session.discard')}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+/**
+ * Save Progress Panel Component
+ * Off until the user chooses a PIN; after that every change is saved automatically
+ */
+export const SaveProgressPanel = ({ enabled, savedAt, expiryHours, onEnable, onDisable }) => {
+  const { locale, t } = useTranslation();
+  const [pin, setPin] = useState('');
+  const [confirmPin, setConfirmPin] = useState('');
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  if (enabled) {
+    return (
+      <div style={styles.savedBar}>
+        <Lock size={16} color="#009639" />
+        <span style={styles.savedText}>
+          {savedAt ? t('session.savedAt', { time: formatDateTime(locale, savedAt) }) : t('session.saving')}
+          {' '}{t('session.deletedAfter', { count: expiryHours })}
+        </span>
+        <button type="button" style={styles.linkButton} onClick={onDisable}>
+          {t('session.stop')}
+        </button>
+      </div>
+    );
+  }
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    if (!isValidPin(pin)) {
+      setError(t('session.errors.invalidPin'));
+      return;
+    }
+    if (pin !== confirmPin) {
+      setError(t('session.errors.pinMismatch'));
+      return;
+    }
+
+    setBusy(true);
+    setError(null);
+    try {
+      await onEnable(pin);
+    } catch (enableError) {
+      setError(getErrorMessage(enableError, t));
+      setBusy(false);
+    }
+  };
+
+  return (
+    <details style={styles.savePanel}>
+      <summary style={styles.summary}>{t('session.saveSummary')}</summary>
+      <form onSubmit={handleEnable}>
+        <p style={styles.text}>{t('session.saveText', { count: expiryHours })}</p>
+        <div style={styles.pinFields}>
+          <div>
+            <label style={styles.label} htmlFor="save-pin">{t('session.pinLabel')}</label>
+            <input
+              id="save-pin"
+              type="password"
+              inputMode="numeric"
+              autoComplete="new-password"
+              value={pin}
+              onChange={(e) => setPin(e.target.value)}
+              style={styles.pinInput}
+            />
+          </div>
+          <div>
+            <label style={styles.label} htmlFor="save-pin-confirm">{t('session.confirmPin')}</label>
+            <input
+              id="save-pin-confirm"
+              type="password"
+              inputMode="numeric"
+              autoComplete="new-password"
+              value={confirmPin}
+              onChange={(e) => setConfirmPin(e.target.value)}
+              style={styles.pinInput}
+            />
+          </div>
+        </div>
+        {error && <p style={styles.error} role="alert">{error}</p>}
+        <button type="submit" style={styles.secondaryButton} disabled={busy}>
+          {busy ? t('session.savingButton') : t('session.save')}
+        </button>
+      </form>
+    </details>
+  );
+};
+
+// Styles following NHS Design System
+const styles = {
+  panel: {
+    border: '4px solid #005EB8', // NHS Blue
+    borderRadius: '4px',
+    padding: '24px',
+    marginBottom: '32px',
+    backgroundColor: '#F0F4F5',
+  },
+  header: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '12px',
+    marginBottom: '12px',
+  },
+  title: {
+    margin: 0,
+    fontSize: '24px',
+    fontWeight: '600',
+    color: '#212b32',
+  },
+  text: {
+    margin: '0 0 16px 0',
+    fontSize: '16px',
+    lineHeight: '1.5',
+    color: '#212b32',
+  },
+  label: {
+    display: 'block',
+    fontSize: '16px',
+    fontWeight: '600',
+    color: '#212b32',
+    marginBottom: '8px',
+  },
+  pinInput: {
+    width: '160px',
+    padding: '12px',
+    fontSize: '19px',
+    letterSpacing: '4px',
+    border: '2px solid #4c6272',
+    borderRadius: '4px',
+    marginBottom: '16px',
+  },
+  pinFields: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '24px',
+  },
+  error: {
+    margin: '0 0 16px 0',
+    fontSize: '16px',
+    fontWeight: '600',
+    color: '#DA291C', // NHS Red
+  },
+  buttons: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    gap: '16px',
+  },
+  primaryButton: {
+    backgroundColor: '#009639', // NHS Green
+    color: 'white',
+    border: 'none',
+    padding: '12px 24px',
+    fontSize: '19px',
+    fontWeight: '600',
+    borderRadius: '4px',
+    cursor: 'pointer',
+  },
+  secondaryButton: {
+    backgroundColor: '#F0F4F5', // NHS Grey
+    color: '#212b32',
+    border: '2px solid #4c6272',
+    padding: '12px 24px',
+    fontSize: '16px',
+    fontWeight: '600',
+    borderRadius: '4px',
+    cursor: 'pointer',
+  },
+  linkButton: {
+    background: 'none',
+    border: 'none',
+    padding: 0,
+    fontSize: '16px',
+    color: '#005EB8', // NHS Blue
+    textDecoration: 'underline',
+    cursor: 'pointer',
+  },
+  savePanel: {
+    border: '1px solid #AEB7BD',
+    borderRadius: '4px',
+    padding: '16px',
+    marginBottom: '24px',
+  },
+  summary: {
+    fontSize: '16px',
+    fontWeight: '600',
+    color: '#005EB8', // NHS Blue
+    cursor: 'pointer',
+    marginBottom: '8px',
+  },
+  savedBar: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    gap: '8px',
+    padding: '12px 16px',
+    marginBottom: '24px',
+    backgroundColor: '#F0F4F5',
+    borderInlineStart: '4px solid #009639', // NHS Green
+  },
+  savedText: {
+    flex: 1,
+    fontSize: '14px',
+    color: '#4c6272',
+  },
+};
+
+export default ResumePrompt;
@@ -0,0 +1,260 @@
+import React, { useState } from 'react';
+import { FileText } from 'lucide-react';
+import { formatDateTime } from '../utils/i18n';
+import { useTranslation } from './LocaleProvider';
+
+/**
+ * Screening File Components
+ * Panel on the intro page for opening a saved screening file, the panel on
+ * the results page for saving one (JSON) or a spreadsheet row (CSV), and the
+ * notice shown above results opened from a file
+ */
+
+/**
+ * Message for an error from the screening file reader, in the user's language
+ */
+const getErrorMessage = (error, t) => (error.code ? t(`screeningFile.errors.${error.code}`, error.params) : error.message);
+
+/**
+ * Open Screening Panel Component
+ * Reads the chosen file on this device; nothing is uploaded
+ */
+const OpenScreeningPanel = ({ onOpen }) => {
+  const { t } = useTranslation();
+  const [file, setFile] = useState(null);
+  const [rescore, setRescore] = useState(false);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const handleOpen = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch {
+      setError(t('screeningFile.errors.unreadable'));
+      setBusy(false);
+      return;
+    }
+
+    try {
+      onOpen(data, rescore);
+    } catch (openError) {
+      setError(getErrorMessage(openError, t));
+    }
+    setBusy(false);
+  };
+
+  return (
+    <details style={styles.openPanel}>
+      <summary style={styles.summary}>{t('screeningFile.openSummary')}</summary>
+      <form onSubmit={handleOpen}>
+        <p style={styles.text}>{t('screeningFile.openText')}</p>
+        <label style={styles.label} htmlFor="screening-file">{t('screeningFile.file')}</label>
+        <input
+          id="screening-file"
+          type="file"
+          accept=".json,application/json"
+          onChange={(e) => setFile(e.target.files[0] || null)}
+          style={styles.fileInput}
+        />
+        <label style={styles.checkboxLabel}>
+          <input
+            type="checkbox"
+            checked={rescore}
+            onChange={(e) => setRescore(e.target.checked)}
+            style={styles.checkbox}
+          />
+          {t('screeningFile.rescoreOption')}
+        </label>
+        {error && <p style={styles.error} role="alert">{error}</p>}
+        <button type="submit" style={styles.secondaryButton} disabled={busy || !file}>
+          {t('screeningFile.open')}
+        </button>
+      </form>
+    </details>
+  );
+};
+
+/**
+ * Save Screening Panel Component
+ * Buttons for the screening file and the spreadsheet row
+ */
+export const SaveScreeningPanel = ({ onSaveFile, onSaveCsv }) => {
+  const { t } = useTranslation();
+
+  return (
+    <div style={styles.panel}>
+      <div style={styles.header}>
+        <FileText size={20} color="#005EB8" />
+        <h2 style={styles.title}>{t('screeningFile.saveTitle')}</h2>
+      </div>
+      <p style={styles.text}>{t('screeningFile.saveText')}</p>
+      <div style={styles.buttons}>
+        <button type="button" style={styles.primaryButton} onClick={onSaveFile}>
+          {t('screeningFile.saveFile')}
+        </button>
+        <button type="button" style={styles.secondaryButton} onClick={onSaveCsv}>
+          {t('screeningFile.saveCsv')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Opened File Notice Component
+ * Says where the results came from, and offers to re-score saved results
+ */
+export const OpenedFileNotice = ({ exportedAt, engineVersion, currentEngineVersion, rescored, onRescore }) => {
+  const { locale, t } = useTranslation();
+
+  return (
+    <div style={styles.noticeBar}>
+      <p style={styles.noticeText}>
+        {t('screeningFile.opened', { exportedAt: exportedAt ? formatDateTime(locale, Date.parse(exportedAt)) : '-' })}
+        {' '}
+        {rescored
+          ? t('screeningFile.rescored', { version: currentEngineVersion })
+          : t('screeningFile.asSaved', { version: engineVersion })}
+        {!rescored && engineVersion !== currentEngineVersion && (
+          <>{' '}<strong>{t('screeningFile.olderEngine', { version: currentEngineVersion })}</strong></>
+        )}
+      </p>
+      {!rescored && (
+        <button type="button" style={styles.linkButton} onClick={onRescore}>
+          {t('screeningFile.rescore')}
+        </button>
+      )}
+    </div>
+  );
+};
+
+// Styles following NHS Design System
+const styles = {
+  panel: {
+    marginTop: '48px',
+    padding: '24px',
+    backgroundColor: '#F0F4F5',
+    borderRadius: '4px',
+  },
+  header: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '12px',
+    marginBottom: '12px',
+  },
+  title: {
+    margin: 0,
+    fontSize: '24px',
+    fontWeight: '600',
+    color: '#212b32',
+  },
+  text: {
+    margin: '0 0 16px 0',
+    fontSize: '16px',
+    lineHeight: '1.5',
+    color: '#212b32',
+  },
+  label: {
+    display: 'block',
+    fontSize: '16px',
+    fontWeight: '600',
+    color: '#212b32',
+    marginBottom: '8px',
+  },
+  fileInput: {
+    display: 'block',
+    fontSize: '16px',
+    marginBottom: '16px',
+  },
+  checkboxLabel: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    fontSize: '16px',
+    color: '#212b32',
+    marginBottom: '16px',
+    cursor: 'pointer',
+  },
+  checkbox: {
+    width: '20px',
+    height: '20px',
+  },
+  error: {
+    margin: '0 0 16px 0',
+    fontSize: '16px',
+    fontWeight: '600',
+    color: '#DA291C', // NHS Red
+  },
+  buttons: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    gap: '16px',
+  },
+  primaryButton: {
+    backgroundColor: '#009639', // NHS Green
+    color: 'white',
+    border: 'none',
+    padding: '12px 24px',
+    fontSize: '19px',
+    fontWeight: '600',
+    borderRadius: '4px',
+    cursor: 'pointer',
+  },
+  secondaryButton: {
+    backgroundColor: '#F0F4F5', // NHS Grey
+    color: '#212b32',
+    border: '2px solid #4c6272',
+    padding: '12px 24px',
+    fontSize: '16px',
+    fontWeight: '600',
+    borderRadius: '4px',
+    cursor: 'pointer',
+  },
+  linkButton: {
+    background: 'none',
+    border: 'none',
+    padding: 0,
+    fontSize: '16px',
+    color: '#005EB8', // NHS Blue
+    textDecoration: 'underline',
+    cursor: 'pointer',
+  },
+  openPanel: {
+    border: '1px solid #AEB7BD',
+    borderRadius: '4px',
+    padding: '16px',
+    marginBottom: '32px',
+  },
+  summary: {
+    fontSize: '16px',
+    fontWeight: '600',
+    color: '#005EB8', // NHS Blue
+    cursor: 'pointer',
+    marginBottom: '8px',
+  },
+  noticeBar: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    gap: '8px 16px',
+    padding: '12px 16px',
+    marginBottom: '24px',
+    backgroundColor: '#F0F4F5',
+    borderInlineStart: '4px solid #005EB8', // NHS Blue
+  },
+  noticeText: {
+    flex: 1,
+    margin: 0,
+    fontSize: '16px',
+    lineHeight: '1.5',
+    color: '#212b32',
+  },
+};
+
+export default OpenScreeningPanel;
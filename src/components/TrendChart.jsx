@@ -0,0 +1,144 @@
+import React from 'react';
+import { formatDate } from '../utils/i18n';
+import { useTranslation } from './LocaleProvider';
+
+/**
+ * Trend Chart Component
+ * Line chart of values over time for the screening history. Points are placed
+ * by date; lines differ by dash pattern as well as colour, and each point has
+ * a tooltip. The history table below the charts carries the same values for
+ * screen readers, so the chart itself is a labelled image
+ */
+
+const WIDTH = 600;
+const HEIGHT = 220;
+const PADDING = { top: 16, right: 56, bottom: 40, left: 56 };
+const DATE_LABEL_SPACING = 110; // minimum distance between date labels
+
+const TrendChart = ({ title, dates, series, max, unit = '', threshold }) => {
+  const { locale } = useTranslation();
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+
+  // Place points by date; screenings on one day (or a single screening) are spread evenly
+  const times = dates.map(date => Date.parse(date));
+  const span = times[times.length - 1] - times[0];
+  const x = index => PADDING.left + (dates.length === 1
+    ? plotWidth / 2
+    : plotWidth * (span > 0 ? (times[index] - times[0]) / span : index / (dates.length - 1)));
+  const y = value => PADDING.top + plotHeight * (1 - Math.min(Math.max(value, 0), max) / max);
+
+  const gridValues = [0, 0.25, 0.5, 0.75, 1].map(fraction => Math.round(max * fraction * 10) / 10);
+
+  // Label dates from the left, skipping any that would overlap the previous label
+  const labelled = dates.reduce((indexes, _, index) => (
+    indexes.length === 0 || x(index) - x(indexes[indexes.length - 1]) >= DATE_LABEL_SPACING ? [...indexes, index] : indexes
+  ), []);
+
+  return (
+    <figure style={styles.figure}>
+      <figcaption style={styles.caption}>{title}</figcaption>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} style={styles.svg} role="img" aria-label={title} dir="ltr">
+        {gridValues.map(value => (
+          <g key={value}>
+            <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y(value)} y2={y(value)} stroke="#D8DDE0" />
+            <text x={PADDING.left - 8} y={y(value) + 4} textAnchor="end" style={styles.axisLabel}>{`${value}${unit}`}</text>
+          </g>
+        ))}
+
+        {threshold && (
+          <g>
+            <line
+              x1={PADDING.left}
+              x2={WIDTH - PADDING.right}
+              y1={y(threshold.value)}
+              y2={y(threshold.value)}
+              stroke="#4c6272"
+              strokeDasharray="2 4"
+            />
+            <text x={WIDTH - PADDING.right} y={y(threshold.value) - 6} textAnchor="end" style={styles.axisLabel}>{threshold.label}</text>
+          </g>
+        )}
+
+        {labelled.map(index => (
+          <text key={index} x={x(index)} y={HEIGHT - PADDING.bottom + 20} textAnchor="middle" style={styles.axisLabel}>
+            {formatDate(locale, times[index])}
+          </text>
+        ))}
+
+        {series.map(line => (
+          <g key={line.key}>
+            {dates.length > 1 && (
+              <polyline
+                points={line.values.map((value, index) => `${x(index)},${y(value)}`).join(' ')}
+                fill="none"
+                stroke={line.color}
+                strokeWidth="3"
+                strokeDasharray={line.dash}
+              />
+            )}
+            {line.values.map((value, index) => (
+              <circle key={index} cx={x(index)} cy={y(value)} r="5" fill={line.color}>
+                <title>{`${line.label}: ${Math.round(value * 10) / 10}${unit} (${formatDate(locale, times[index])})`}</title>
+              </circle>
+            ))}
+          </g>
+        ))}
+      </svg>
+
+      {series.length > 1 && (
+        <ul style={styles.legend}>
+          {series.map(line => (
+            <li key={line.key} style={styles.legendItem}>
+              <svg width="32" height="10" aria-hidden="true">
+                <line x1="0" x2="32" y1="5" y2="5" stroke={line.color} strokeWidth="3" strokeDasharray={line.dash} />
+              </svg>
+              {line.label}
+            </li>
+          ))}
+        </ul>
+      )}
+    </figure>
+  );
+};
+
+// Styles following NHS Design System
+const styles = {
+  figure: {
+    margin: '0 0 32px 0',
+  },
+  caption: {
+    fontSize: '19px',
+    fontWeight: '600',
+    color: '#212b32',
+    marginBottom: '8px',
+  },
+  svg: {
+    display: 'block',
+    width: '100%',
+    height: 'auto',
+    backgroundColor: 'white',
+    border: '1px solid #D8DDE0',
+  },
+  axisLabel: {
+    fontSize: '12px',
+    fill: '#4c6272',
+  },
+  legend: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '8px 24px',
+    listStyle: 'none',
+    margin: '12px 0 0 0',
+    padding: 0,
+  },
+  legendItem: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    fontSize: '16px',
+    color: '#212b32',
+  },
+};
+
+export default TrendChart;
@@ -1,17 +1,21 @@
 import React from 'react';
 import { AlertTriangle } from 'lucide-react';
+import { useTranslation } from './LocaleProvider';
 
 /**
  * NHS Warning Callout Component
  * Yellow-bordered warning box following NHS Design System
  * Used for important notices and disclaimers
+ * Text comes from the locale bundle (warnings.*)
  */
 
 const WarningCallout = ({
-  title = "Important",
+  title,
   children,
   icon = true
 }) => {
+  const { t } = useTranslation();
+
   return (
     <div style={styles.callout} role="alert">
       {/* Icon and Title */}
@@ -21,7 +25,7 @@ const WarningCallout = ({
             <AlertTriangle size={24} color="#FAE100" strokeWidth={2.5} />
           </div>
         )}
-        <h3 style={styles.title}>{title}</h3>
+        <h3 style={styles.title}>{title || t('warnings.title')}</h3>
       </div>
 
       {/* Content */}
@@ -36,61 +40,103 @@ const WarningCallout = ({
  * Predefined warning callouts for common scenarios
  */
 
-// Clinical disclaimer callout
-export const ClinicalDisclaimer = () => (
-  <WarningCallout title="This is not a diagnosis">
-    <p style={styles.text}>
-      This screening tool is designed to help identify patterns that may warrant
-      professional evaluation. It is <strong>not a diagnostic tool</strong> and should
-      not replace consultation with a qualified healthcare professional.
-    </p>
-    <p style={styles.text}>
-      If you have concerns about your child's development or behaviour, please
-      contact your GP or refer to NHS Children and Young People's Mental Health
-      Services (CYPMHS).
-    </p>
-  </WarningCallout>
-);
+// Clinical disclaimer callout (worded for the child or adult track)
+export const ClinicalDisclaimer = ({ track = 'child' }) => {
+  const { t } = useTranslation();
+
+  return (
+    <WarningCallout title={t('warnings.disclaimer.title')}>
+      <p style={styles.text}>
+        {t('warnings.disclaimer.text', { notDiagnostic: <strong key="notDiagnostic">{t('warnings.disclaimer.notDiagnostic')}</strong> })}
+      </p>
+      <p style={styles.text}>
+        {track === 'adult' ? t('warnings.disclaimer.adult') : t('warnings.disclaimer.child')}
+      </p>
+    </WarningCallout>
+  );
+};
 
 // Sleep confounder warning
-export const SleepWarning = () => (
-  <WarningCallout title="Sleep issues detected">
-    <p style={styles.text}>
-      The responses indicate significant sleep difficulties. Sleep disorders
-      (such as sleep apnea) can cause symptoms that look like ADHD, including
-      inattention, hyperactivity, and mood problems.
-    </p>
-    <p style={styles.text}>
-      <strong>We strongly recommend a sleep evaluation before pursuing ADHD assessment.</strong>
-    </p>
-  </WarningCallout>
-);
+export const SleepWarning = () => {
+  const { t } = useTranslation();
+
+  return (
+    <WarningCallout title={t('warnings.sleep.title')}>
+      <p style={styles.text}>{t('warnings.sleep.text')}</p>
+      <p style={styles.text}>
+        <strong>{t('warnings.sleep.advice')}</strong>
+      </p>
+    </WarningCallout>
+  );
+};
 
 // Low impairment warning
-export const LowImpairmentWarning = () => (
-  <WarningCallout title="Limited functional impairment">
-    <p style={styles.text}>
-      While some patterns are present, the responses suggest limited impact on
-      daily functioning across multiple domains (school, social, family life).
-    </p>
-    <p style={styles.text}>
-      ADHD diagnosis requires significant impairment in multiple settings. Consider
-      whether the difficulties are causing meaningful problems in daily life.
-    </p>
-  </WarningCallout>
-);
+export const LowImpairmentWarning = () => {
+  const { t } = useTranslation();
+
+  return (
+    <WarningCallout title={t('warnings.lowImpairment.title')}>
+      <p style={styles.text}>{t('warnings.lowImpairment.text')}</p>
+      <p style={styles.text}>{t('warnings.lowImpairment.advice')}</p>
+    </WarningCallout>
+  );
+};
 
 // Age-appropriate behavior warning
-export const AgeAppropriateWarning = ({ age }) => (
-  <WarningCallout title="Consider typical development">
-    <p style={styles.text}>
-      At age {age}, high activity levels and some impulsivity are developmentally
-      normal. Look for behaviors that are <strong>extreme</strong> compared to
-      same-age peers and cause <strong>significant problems</strong> across
-      multiple settings.
-    </p>
-  </WarningCallout>
-);
+export const AgeAppropriateWarning = ({ age }) => {
+  const { t } = useTranslation();
+
+  return (
+    <WarningCallout title={t('warnings.ageAppropriate.title')}>
+      <p style={styles.text}>
+        {t('warnings.ageAppropriate.text', {
+          age,
+          extreme: <strong key="extreme">{t('warnings.ageAppropriate.extreme')}</strong>,
+          significant: <strong key="significant">{t('warnings.ageAppropriate.significant')}</strong>
+        })}
+      </p>
+    </WarningCallout>
+  );
+};
+
+// Insufficient information warning (key questions skipped)
+export const InsufficientInformationWarning = ({ missingItems = [] }) => {
+  const { t } = useTranslation();
+
+  return (
+    <WarningCallout title={t('warnings.insufficient.title')}>
+      <p style={styles.text}>{t('warnings.insufficient.text')}</p>
+      {missingItems.length > 0 && (
+        <ul style={styles.list}>
+          {missingItems.map((item) => (
+            <li key={item.id}>{item.text}</li>
+          ))}
+        </ul>
+      )}
+      <p style={styles.text}>
+        <strong>{t('warnings.insufficient.advice')}</strong>
+      </p>
+    </WarningCallout>
+  );
+};
+
+// Invalid question bank error (schema validation failed at startup)
+export const InvalidQuestionBankWarning = ({ problems = [] }) => {
+  const { t } = useTranslation();
+
+  return (
+    <WarningCallout title={t('warnings.invalidBank.title')}>
+      <p style={styles.text}>{t('warnings.invalidBank.text')}</p>
+      {problems.length > 0 && (
+        <ul style={styles.list}>
+          {problems.map((problem) => (
+            <li key={problem}><code>{problem}</code></li>
+          ))}
+        </ul>
+      )}
+    </WarningCallout>
+  );
+};
 
 // Styles following NHS Design System
 const styles = {
@@ -108,7 +154,7 @@ const styles = {
     marginBottom: '12px',
   },
   iconContainer: {
-    marginRight: '12px',
+    marginInlineEnd: '12px',
     display: 'flex',
     alignItems: 'center',
   },
@@ -120,7 +166,7 @@ const styles = {
     letterSpacing: '-0.5px',
   },
   content: {
-    paddingLeft: '36px', // Align with title (after icon)
+    paddingInlineStart: '36px', // Align with title (after icon)
   },
   text: {
     margin: '0 0 12px 0',
@@ -128,6 +174,13 @@ const styles = {
     lineHeight: '1.5',
     color: '#212b32', // NHS Text Grey
   },
+  list: {
+    margin: '0 0 12px 0',
+    paddingInlineStart: '20px',
+    fontSize: '16px',
+    lineHeight: '1.5',
+    color: '#212b32',
+  },
 };
 
 export default WarningCallout;
@@ -0,0 +1,201 @@
+import { calculateScores } from './calculator.js';
+import { calculateBayesianProbabilities } from './bayesianEngine.js';
+import { getAllQuestions, isAnswered } from './questionBank.js';
+import { getVisibility } from './branching.js';
+
+/**
+ * Adaptive Question Ordering
+ * Picks the next question that is expected to reduce uncertainty across the
+ * four conditions the most, and stops once the leading result is stable
+ *
+ * Uncertainty is the entropy of the relative posterior from
+ * calculateBayesianProbabilities. Each possible answer to a candidate
+ * question is scored with the real pipeline; answers are weighted by how
+ * likely they are under the current posterior, using the question weights
+ * as the answer model.
+ */
+
+export const ADAPTIVE_SETTINGS = {
+  minQuestions: 6,          // never stop before this many adaptive answers
+  stableAnswers: 4,         // leading result must hold for this many answers in a row
+  stableChange: 5,          // ...moving by no more than this many percentage points
+  clearSeparation: 20,      // ...and leading the runner-up by at least this much
+  minInformationGain: 0.01, // bits; below this, further questions are not worth asking
+  answerTemperature: 5      // weight points per unit of log-likelihood in the answer model
+};
+
+/**
+ * Section answered in full before adaptive questions begin
+ */
+const FIXED_SECTION_ID = 'demographics';
+
+/**
+ * Shannon entropy (bits) of a probability distribution given in percentages
+ */
+function entropy(probabilities) {
+  return Object.values(probabilities).reduce((sum, percentage) => {
+    const p = percentage / 100;
+    return p > 0 ? sum - p * Math.log2(p) : sum;
+  }, 0);
+}
+
+/**
+ * Relative posterior for a set of responses
+ */
+function getPosterior(responses, age, options) {
+  const { scores } = calculateScores(responses, age);
+  return calculateBayesianProbabilities(scores, {
+    age,
+    gender: responses.gender,
+    familyHistory: responses.familyHistory
+  }, {
+    prevalenceProfile: options.prevalenceProfile,
+    probabilityMode: 'relative'
+  }).probabilities;
+}
+
+/**
+ * Probability of each answer option given the current posterior
+ * Under each condition, options with higher weights are more likely
+ * (softmax of the weights); conditions the question does not weight
+ * answer uniformly
+ */
+function getAnswerProbabilities(question, posterior) {
+  const optionCount = question.options.length;
+  const answerProbabilities = new Array(optionCount).fill(0);
+
+  Object.entries(posterior).forEach(([condition, percentage]) => {
+    const weights = question.weights[condition];
+    const likelihoods = weights
+      ? weights.map(weight => Math.exp(weight / ADAPTIVE_SETTINGS.answerTemperature))
+      : new Array(optionCount).fill(1);
+    const total = likelihoods.reduce((sum, value) => sum + value, 0);
+
+    likelihoods.forEach((likelihood, index) => {
+      answerProbabilities[index] += (percentage / 100) * (likelihood / total);
+    });
+  });
+
+  return answerProbabilities;
+}
+
+/**
+ * Expected reduction in entropy from asking a question
+ * Multiselect questions are approximated by single-option answers
+ */
+function getInformationGain(question, responses, age, posterior, options) {
+  const currentEntropy = entropy(posterior);
+  const answerProbabilities = getAnswerProbabilities(question, posterior);
+
+  const expectedEntropy = question.optionCodes.reduce((sum, code, index) => {
+    const answer = question.type === 'multiselect' ? [code] : code;
+    const answeredPosterior = getPosterior({ ...responses, [question.id]: answer }, age, options);
+    return sum + answerProbabilities[index] * entropy(answeredPosterior);
+  }, 0);
+
+  return currentEntropy - expectedEntropy;
+}
+
+/**
+ * Question types whose answers can be simulated option by option
+ * (sliders and matrices have no single option per answer)
+ */
+const ADAPTIVE_TYPES = ['select', 'scale', 'multiselect'];
+
+/**
+ * Questions the adaptive route can choose from
+ * Weighted, currently visible choice questions outside the fixed first section
+ */
+export function getAdaptiveCandidates(responses, age) {
+  const visibility = getVisibility(responses, age);
+  return getAllQuestions().filter(question =>
+    question.sectionId !== FIXED_SECTION_ID &&
+    ADAPTIVE_TYPES.includes(question.type) &&
+    question.weights &&
+    visibility.questions[question.id]
+  );
+}
+
+/**
+ * Check whether the leading condition has settled over the last few answers
+ * @param {Object} responses - Responses so far
+ * @param {number} age - Child's age
+ * @param {Array} askedIds - Adaptive question ids in the order they were asked
+ * @param {Object} options - { prevalenceProfile }
+ * @returns {boolean} Whether the leading result is stable
+ */
+export function isResultStable(responses, age, askedIds, options = {}) {
+  const { stableAnswers, stableChange, clearSeparation } = ADAPTIVE_SETTINGS;
+  if (askedIds.length < stableAnswers) return false;
+
+  // Posterior after each of the last few answers
+  const snapshots = [];
+  for (let count = askedIds.length - stableAnswers + 1; count <= askedIds.length; count++) {
+    const partial = { ...responses };
+    askedIds.slice(count).forEach(id => { delete partial[id]; });
+    snapshots.push(getPosterior(partial, age, options));
+  }
+
+  const leaders = snapshots.map(posterior => Object.entries(posterior).sort(([, a], [, b]) => b - a));
+  const [topCondition] = leaders[leaders.length - 1][0];
+  const [, latestTop] = leaders[leaders.length - 1][0];
+  const [, latestSecond] = leaders[leaders.length - 1][1];
+
+  return leaders.every(ranked => ranked[0][0] === topCondition) &&
+    snapshots.every(posterior => Math.abs(posterior[topCondition] - latestTop) <= stableChange) &&
+    latestTop - latestSecond >= clearSeparation;
+}
+
+/**
+ * Choose the next adaptive question
+ * @param {Object} responses - Responses so far
+ * @param {number} age - Child's age
+ * @param {Array} askedIds - Adaptive question ids already asked (answered or skipped)
+ * @param {Object} options - { prevalenceProfile }
+ * @returns {Object} { question, informationGain, stop, reason, probabilities }
+ *   reason is 'stable', 'lowGain' or 'exhausted' when stop is true
+ */
+export function selectNextQuestion(responses, age, askedIds = [], options = {}) {
+  const posterior = getPosterior(responses, age, options);
+  const candidates = getAdaptiveCandidates(responses, age)
+    .filter(question => !askedIds.includes(question.id) && !isAnswered(responses[question.id]));
+
+  if (candidates.length === 0) {
+    return { question: null, informationGain: 0, stop: true, reason: 'exhausted', probabilities: posterior };
+  }
+
+  const ranked = candidates
+    .map(question => ({
+      question,
+      informationGain: getInformationGain(question, responses, age, posterior, options)
+    }))
+    .sort((a, b) => b.informationGain - a.informationGain);
+
+  // Key items are always asked, so the result is never flagged as insufficient
+  const keyItemsRemaining = ranked.filter(candidate => candidate.question.keyItem);
+  const canStop = askedIds.length >= ADAPTIVE_SETTINGS.minQuestions && keyItemsRemaining.length === 0;
+
+  if (canStop) {
+    if (ranked[0].informationGain < ADAPTIVE_SETTINGS.minInformationGain) {
+      return { question: null, informationGain: ranked[0].informationGain, stop: true, reason: 'lowGain', probabilities: posterior };
+    }
+    if (isResultStable(responses, age, askedIds, options)) {
+      return { question: null, informationGain: ranked[0].informationGain, stop: true, reason: 'stable', probabilities: posterior };
+    }
+  }
+
+  // Once the result is otherwise settled, finish the remaining key items first
+  const next = askedIds.length >= ADAPTIVE_SETTINGS.minQuestions &&
+    keyItemsRemaining.length > 0 &&
+    isResultStable(responses, age, askedIds, options)
+    ? keyItemsRemaining[0]
+    : ranked[0];
+
+  return {
+    question: next.question,
+    informationGain: next.informationGain,
+    stop: false,
+    reason: null,
+    probabilities: posterior
+  };
+}
@@ -0,0 +1,120 @@
+import { isAnswered, isNotSure, getAgeFromDateOfBirth } from './questionBank.js';
+import { translate } from './i18n.js';
+
+/**
+ * Answer Validation
+ * Field-level checks run before leaving a section: required questions,
+ * number ranges, multiselect minimums, real dates and text length.
+ * Messages follow the NHS error message style ("Enter…", "Select…") and are
+ * shown in the same language as the questions
+ */
+
+/**
+ * Short name for a question in error messages ("Child age:" -> "child age")
+ */
+function getQuestionName(question) {
+  const name = question.text.replace(/\s*\(.*\)\s*$/, '').replace(/[:?]\s*$/, '');
+  return name.charAt(0).toLowerCase() + name.slice(1);
+}
+
+/**
+ * Message for a required question with no answer
+ */
+function getRequiredMessage(question, locale) {
+  switch (question.type) {
+    case 'number':
+      return translate(locale, 'validation.enterNumber', { name: getQuestionName(question) });
+    case 'multiselect':
+      return translate(locale, 'validation.selectAtLeastOne');
+    case 'matrix':
+      return translate(locale, 'validation.selectEachRow');
+    case 'date':
+      return translate(locale, 'validation.enterDate');
+    case 'text':
+      return translate(locale, 'validation.enterAnswer');
+    default:
+      return translate(locale, 'validation.selectAnswer');
+  }
+}
+
+/**
+ * Check a number answer against the question's min and max
+ */
+function validateNumber(question, response, locale) {
+  const name = getQuestionName(question);
+  const params = { name: name.charAt(0).toUpperCase() + name.slice(1), min: question.min, max: question.max };
+
+  if (typeof response !== 'number' || !Number.isFinite(response)) {
+    return translate(locale, 'validation.notNumber', params);
+  }
+
+  const hasMin = question.min !== undefined;
+  const hasMax = question.max !== undefined;
+  if ((hasMin && response < question.min) || (hasMax && response > question.max)) {
+    if (hasMin && hasMax) return translate(locale, 'validation.between', params);
+    return translate(locale, hasMin ? 'validation.atLeast' : 'validation.atMost', params);
+  }
+
+  return null;
+}
+
+/**
+ * Validate one answer
+ * @param {Object} question - Question definition
+ * @param {*} response - Stored response
+ * @param {string} locale - Language of the message (defaults to English)
+ * @returns {string|null} Error message, or null when the answer is acceptable
+ */
+export function validateAnswer(question, response, locale) {
+  if (isNotSure(response)) return null;
+
+  if (!isAnswered(response)) {
+    return question.required ? getRequiredMessage(question, locale) : null;
+  }
+
+  switch (question.type) {
+    case 'number':
+      return validateNumber(question, response, locale);
+
+    case 'multiselect': {
+      const selected = Array.isArray(response) ? response.length : 1;
+      if (question.minSelections && selected < question.minSelections) {
+        return translate(locale, 'validation.minSelections', { count: question.minSelections });
+      }
+      return null;
+    }
+
+    case 'matrix':
+      return question.required && !question.rowCodes.every(rowCode => isAnswered(response[rowCode]))
+        ? getRequiredMessage(question, locale)
+        : null;
+
+    case 'date':
+      return getAgeFromDateOfBirth(response) ? null : translate(locale, 'validation.realDate');
+
+    case 'text':
+      return question.maxLength && response.length > question.maxLength
+        ? translate(locale, 'validation.maxLength', { count: question.maxLength })
+        : null;
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Validate every question on screen
+ * @param {Array} questions - Visible questions (hidden questions are never validated)
+ * @param {Object} responses - Responses keyed by question id
+ * @param {string} locale - Language of the messages (defaults to English)
+ * @returns {Array} Errors as { questionId, questionText, message }, in question order
+ */
+export function validateAnswers(questions, responses, locale) {
+  return questions
+    .map(question => ({
+      questionId: question.id,
+      questionText: question.text,
+      message: validateAnswer(question, responses[question.id], locale)
+    }))
+    .filter(error => error.message);
+}
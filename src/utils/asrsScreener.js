@@ -0,0 +1,67 @@
+import { getAllQuestions, getOptionIndex, getOptionText, isAnswered } from './questionBank.js';
+
+/**
+ * ASRS v1.1 Screener
+ * Scores the Adult ADHD Self-Report Scale the way the published form does:
+ * each item has a shaded range (from `shadedFrom` upwards), and four or more
+ * shaded answers in Part A are highly consistent with adult ADHD.
+ * Part B has no cut-off; its shaded count is reported as supporting detail
+ */
+
+export const ASRS_SETTINGS = {
+  partASection: 'asrsPartA',
+  partBSection: 'asrsPartB',
+  partAThreshold: 4 // shaded Part A answers for a positive screen
+};
+
+/**
+ * Evaluate the ASRS Part A screener and Part B
+ * @param {Object} responses - Adult track responses
+ * @param {Object} questionBank - Adult question bank
+ * @returns {Object} { completed, partA, partB, status }
+ *   status is 'positive', 'negative' or 'unknown' (skipped items could change it)
+ */
+export function evaluateAsrs(responses, questionBank) {
+  const questions = getAllQuestions(questionBank).filter(question => question.shadedFrom);
+
+  const partA = scorePart(questions.filter(q => q.sectionId === ASRS_SETTINGS.partASection), responses);
+  const partB = scorePart(questions.filter(q => q.sectionId === ASRS_SETTINGS.partBSection), responses);
+
+  let status = 'negative';
+  if (partA.shaded >= ASRS_SETTINGS.partAThreshold) {
+    status = 'positive';
+  } else if (partA.shaded + (partA.total - partA.answered) >= ASRS_SETTINGS.partAThreshold) {
+    status = 'unknown';
+  }
+
+  return {
+    completed: partA.answered > 0,
+    partA: { ...partA, threshold: ASRS_SETTINGS.partAThreshold },
+    partB,
+    status
+  };
+}
+
+/**
+ * Count shaded answers for one part of the scale
+ */
+function scorePart(questions, responses) {
+  const items = questions.map(question => {
+    const response = responses[question.id];
+    const answered = isAnswered(response);
+    return {
+      id: question.id,
+      text: question.text,
+      answered,
+      rating: answered ? getOptionText(question, response) : null,
+      shaded: answered && getOptionIndex(question, response) >= getOptionIndex(question, question.shadedFrom)
+    };
+  });
+
+  return {
+    items,
+    total: items.length,
+    answered: items.filter(item => item.answered).length,
+    shaded: items.filter(item => item.shaded).length
+  };
+}
@@ -1,105 +1,240 @@
+import prevalenceProfilesData from '../data/prevalenceProfiles.json';
+import { calculateScores, LOW_COMPLETENESS_THRESHOLD } from './calculator.js';
+import { getAllQuestions, getOptionIndex, isNotSure } from './questionBank.js';
+import { matchPatterns } from './mlMatcher.js';
+
 /**
  * Bayesian Engine for applying prior probabilities and multipliers
  * Takes raw scores and applies demographic and family history adjustments
  */
 
 /**
- * Base population prevalence rates (prior probabilities)
- * These represent the baseline probability before considering symptoms
+ * Prior odds ratios are read from the question bank
+ * Any question with `priorMultipliers` contributes a prior adjustment step,
+ * keyed by the selected option code. Multiselect answers are treated as
+ * correlated risk factors and combined with a discount.
  */
-const BASE_PREVALENCE = {
-  adhd: 0.05,      // 5% population prevalence
-  autism: 0.01,    // 1% population prevalence
-  anxiety: 0.08,   // 8% population prevalence
-  trauma: 0.04     // 4% estimated prevalence
-};
+function getPriorQuestions(questionBank) {
+  return getAllQuestions(questionBank)
+    .filter(question => question.priorMultipliers);
+}
 
 /**
- * Gender multipliers for conditions
- * Applied to prior probabilities based on gender
- */
-const GENDER_MULTIPLIERS = {
-  Male: {
-    adhd: 2.5,
-    autism: 4,
-    anxiety: 1,
-    trauma: 1
-  },
-  Female: {
-    adhd: 1,
-    autism: 1,
-    anxiety: 1.2,    // Slightly higher anxiety in females
-    trauma: 1.3      // Slightly higher trauma presentation in females
-  },
-  Other: {
-    adhd: 1.5,
-    autism: 2,
-    anxiety: 1.1,
-    trauma: 1.2
-  }
+ * Bounds for adjusted prior probabilities
+ * Priors are clamped so that no demographic combination can reach
+ * certainty (or impossibility) before any symptoms are considered
+ */
+const PRIOR_BOUNDS = {
+  min: 0.001,
+  max: 0.95
 };
 
 /**
- * Family history multipliers
- * Applied when specific family history is present
+ * Discount applied to each additional correlated risk factor
+ * Family history items share genetic and environmental load, so the
+ * strongest factor counts in full and each further factor is discounted
+ */
+const CORRELATED_FACTOR_DISCOUNT = 0.5;
+
+/**
+ * Convert a probability to log-odds
+ */
+function toLogOdds(probability) {
+  return Math.log(probability / (1 - probability));
+}
+
+/**
+ * Convert log-odds back to a probability
+ */
+function fromLogOdds(logOdds) {
+  return 1 / (1 + Math.exp(-logOdds));
+}
+
+/**
+ * Combine odds ratios from correlated risk factors without double counting
+ * The strongest effect is applied in full, the next at `discount`,
+ * the next at `discount` squared, and so on
+ * @param {Array<number>} oddsRatios - Odds ratios for the correlated factors
+ * @param {number} discount - Weight decay per additional factor (0-1)
+ * @returns {number} Combined log-odds adjustment
+ */
+export function combineCorrelatedOddsRatios(oddsRatios, discount = CORRELATED_FACTOR_DISCOUNT) {
+  return oddsRatios
+    .filter(ratio => ratio > 0)
+    .map(ratio => Math.log(ratio))
+    .sort((a, b) => Math.abs(b) - Math.abs(a))
+    .reduce((sum, logRatio, rank) => sum + logRatio * Math.pow(discount, rank), 0);
+}
+
+/**
+ * Get a named prevalence profile
+ * Falls back to the default profile when the id is unknown
+ * @param {string} profileId - Profile key from prevalenceProfiles.json
+ * @returns {Object} Profile with id, label and base prevalence rates
+ */
+export function getPrevalenceProfile(profileId) {
+  const id = prevalenceProfilesData.profiles[profileId] ? profileId : prevalenceProfilesData.default;
+  return { id, ...prevalenceProfilesData.profiles[id] };
+}
+
+/**
+ * List available prevalence profiles for selection
+ * @returns {Array} Profiles with id and label
  */
-const FAMILY_HISTORY_MULTIPLIERS = {
-  'ADHD': { adhd: 4 },
-  'Autism': { autism: 10 },
-  'Anxiety': { anxiety: 3 },
-  'Depression': { anxiety: 2, adhd: 1.5 },
-  'Learning disabilities': { adhd: 2 }
+export function getPrevalenceProfiles() {
+  return Object.entries(prevalenceProfilesData.profiles).map(([id, profile]) => ({
+    id,
+    label: profile.label,
+    description: profile.description
+  }));
+}
+
+/**
+ * Calculate prior probabilities in log-odds space
+ * Each adjustment step is recorded so the final prior can be audited
+ * @param {Object} demographics - Demographic answers keyed by question id (gender, familyHistory)
+ * @param {string} profileId - Prevalence profile to start from
+ * @param {Object} logOddsShift - Optional per-condition log-odds offset (used for uncertainty sampling)
+ * @param {Object} questionBank - Question bank holding the prior multipliers (defaults to the parent questionnaire)
+ * @returns {Object} Prior audit trail and final probability for each condition
+ */
+export function calculatePriors(demographics, profileId, logOddsShift = {}, questionBank) {
+  const profile = getPrevalenceProfile(profileId);
+  const priorQuestions = getPriorQuestions(questionBank);
+  const priors = {};
+
+  Object.entries(profile.prevalence).forEach(([condition, base]) => {
+    let logOdds = toLogOdds(base);
+    const steps = [];
+
+    priorQuestions.forEach(question => {
+      const answer = demographics[question.id];
+      if (!answer) return;
+
+      const selected = (Array.isArray(answer) ? answer : [answer]).filter(option =>
+        question.priorMultipliers[option] && question.priorMultipliers[option][condition]
+      );
+      if (selected.length === 0) return;
+
+      const oddsRatios = selected.map(option => question.priorMultipliers[option][condition]);
+
+      // Multiselect items are correlated, so they are combined with a discount
+      const logOddsDelta = question.type === 'multiselect'
+        ? combineCorrelatedOddsRatios(oddsRatios)
+        : Math.log(oddsRatios[0]);
+
+      logOdds += logOddsDelta;
+      steps.push({
+        factor: question.id,
+        sources: selected,
+        oddsRatios,
+        logOddsDelta,
+        logOdds,
+        probability: fromLogOdds(logOdds)
+      });
+    });
+
+    logOdds += logOddsShift[condition] || 0;
+
+    const unclamped = fromLogOdds(logOdds);
+    const probability = Math.min(PRIOR_BOUNDS.max, Math.max(PRIOR_BOUNDS.min, unclamped));
+
+    priors[condition] = {
+      profile: profile.id,
+      base,
+      baseLogOdds: toLogOdds(base),
+      steps,
+      logOdds,
+      unclamped,
+      clamped: probability !== unclamped,
+      probability
+    };
+  });
+
+  return priors;
+}
+
+/**
+ * Probability display modes
+ * relative:    conditions compete for a share that sums to 100%
+ * independent: one-vs-rest posterior for each condition, so several
+ *              conditions can be high at once (co-occurrence)
+ */
+export const PROBABILITY_MODES = {
+  relative: 'relative',
+  independent: 'independent'
 };
 
+/**
+ * Upper bound for independent probabilities after pattern boosts
+ */
+const MAX_INDEPENDENT_PROBABILITY = 99;
+
 /**
  * Calculate Bayesian probabilities
  * @param {Object} scores - Raw scores from calculator
  * @param {Object} demographics - Demographic information (age, gender, familyHistory)
- * @returns {Object} Normalized probabilities for each condition
+ * @param {Object} options - Engine options
+ * @param {string} options.prevalenceProfile - Prevalence profile id (defaults to general population)
+ * @param {string} options.probabilityMode - 'relative' (default) or 'independent'
+ * @param {Object} options.priorLogOddsShift - Per-condition prior log-odds offset (uncertainty sampling)
+ * @param {Object} options.questionBank - Question bank holding the prior multipliers (adult track)
+ * @returns {Object} Probabilities (percentages) for each condition
  */
-export function calculateBayesianProbabilities(scores, demographics) {
-  const { gender, familyHistory } = demographics;
-
-  // Start with base prevalence rates
-  const priorProbabilities = { ...BASE_PREVALENCE };
-
-  // Apply gender multipliers
-  if (gender && GENDER_MULTIPLIERS[gender]) {
-    Object.keys(priorProbabilities).forEach(condition => {
-      priorProbabilities[condition] *= GENDER_MULTIPLIERS[gender][condition] || 1;
-    });
-  }
+export function calculateBayesianProbabilities(scores, demographics, options = {}) {
+  const probabilityMode = options.probabilityMode === PROBABILITY_MODES.independent
+    ? PROBABILITY_MODES.independent
+    : PROBABILITY_MODES.relative;
 
-  // Apply family history multipliers
-  if (familyHistory && Array.isArray(familyHistory)) {
-    familyHistory.forEach(historyItem => {
-      if (FAMILY_HISTORY_MULTIPLIERS[historyItem]) {
-        Object.entries(FAMILY_HISTORY_MULTIPLIERS[historyItem]).forEach(([condition, multiplier]) => {
-          priorProbabilities[condition] *= multiplier;
-        });
-      }
-    });
-  }
+  // Build bounded priors in log-odds space
+  const priors = calculatePriors(demographics, options.prevalenceProfile, options.priorLogOddsShift, options.questionBank);
 
   // Convert raw scores to likelihoods (0-1 scale)
   const likelihoods = scoresToLikelihoods(scores);
 
-  // Apply Bayes' theorem: P(Condition|Symptoms) ∝ P(Symptoms|Condition) × P(Condition)
-  const posteriorScores = {};
-  Object.keys(scores).forEach(condition => {
-    posteriorScores[condition] = likelihoods[condition] * priorProbabilities[condition];
-  });
-
-  // Normalize to probabilities (sum to 1.0)
-  const normalizedProbabilities = normalizeProbabilities(posteriorScores);
+  const probabilities = probabilityMode === PROBABILITY_MODES.independent
+    ? calculateIndependentPosteriors(likelihoods, priors)
+    : calculateRelativePosteriors(likelihoods, priors);
 
   return {
-    probabilities: normalizedProbabilities,
-    priors: priorProbabilities,
+    probabilities,
+    probabilityMode,
+    priors,
+    prevalenceProfile: getPrevalenceProfile(options.prevalenceProfile).id,
     likelihoods: likelihoods
   };
 }
 
+/**
+ * Relative posteriors: conditions treated as competing explanations
+ * P(Condition|Symptoms) ∝ P(Symptoms|Condition) × P(Condition), normalized to 100%
+ */
+function calculateRelativePosteriors(likelihoods, priors) {
+  const posteriorScores = {};
+  Object.keys(likelihoods).forEach(condition => {
+    posteriorScores[condition] = likelihoods[condition] * priors[condition].probability;
+  });
+
+  return normalizeProbabilities(posteriorScores);
+}
+
+/**
+ * Independent (one-vs-rest) posteriors: each condition is present or absent
+ * The likelihood is read as P(Symptoms|Condition) and its complement as
+ * P(Symptoms|No condition), giving a separate posterior per condition
+ */
+function calculateIndependentPosteriors(likelihoods, priors) {
+  const posteriors = {};
+  Object.entries(likelihoods).forEach(([condition, likelihood]) => {
+    const prior = priors[condition].probability;
+    const present = likelihood * prior;
+    const absent = (1 - likelihood) * (1 - prior);
+    posteriors[condition] = (present / (present + absent)) * 100;
+  });
+
+  return posteriors;
+}
+
 /**
  * Convert raw scores to likelihood values (0-1 scale)
  * Uses sigmoid function to map scores to probabilities
@@ -128,8 +263,9 @@ function sigmoid(x) {
 /**
  * Get condition-specific scaling factor for sigmoid transformation
  * Different conditions have different typical score ranges
+ * One raw score point moves the likelihood log-odds by 1 / scalingFactor
  */
-function getScalingFactor(condition) {
+export function getScalingFactor(condition) {
   const scalingFactors = {
     adhd: 50,      // ADHD typically has higher raw scores
     autism: 40,    // Autism moderate range
@@ -166,9 +302,10 @@ function normalizeProbabilities(posteriorScores) {
  * Apply pattern matching bonuses to probabilities
  * @param {Object} probabilities - Current probabilities
  * @param {Object} patternMatches - Matched patterns with confidence boosts
+ * @param {string} probabilityMode - 'relative' (default) or 'independent'
  * @returns {Object} Adjusted probabilities
  */
-export function applyPatternBoosts(probabilities, patternMatches) {
+export function applyPatternBoosts(probabilities, patternMatches, probabilityMode = PROBABILITY_MODES.relative) {
   const adjusted = { ...probabilities };
 
   Object.entries(patternMatches).forEach(([condition, match]) => {
@@ -178,34 +315,89 @@ export function applyPatternBoosts(probabilities, patternMatches) {
     }
   });
 
+  // Independent probabilities are capped rather than re-normalized
+  if (probabilityMode === PROBABILITY_MODES.independent) {
+    Object.keys(adjusted).forEach(condition => {
+      adjusted[condition] = Math.min(MAX_INDEPENDENT_PROBABILITY, adjusted[condition]);
+    });
+    return adjusted;
+  }
+
   // Re-normalize after applying boosts
   return normalizeProbabilities(adjusted);
 }
 
 /**
  * Calculate confidence level for results
- * @param {Object} probabilities - Normalized probabilities
+ * When credible intervals are supplied, overlap between intervals is used
+ * instead of the plain top-two separation heuristic. Low data completeness
+ * downgrades the level, and insufficient information always gives 'low'.
+ * @param {Object} probabilities - Probabilities (percentages)
  * @param {Object} impairment - Impairment scores
+ * @param {Object} options - Optional context
+ * @param {string} options.probabilityMode - 'relative' (default) or 'independent'
+ * @param {Object} options.intervals - Credible intervals from calculateCredibleIntervals
+ * @param {Object} options.completeness - Data completeness from calculateScores
  * @returns {string} Confidence level: 'high', 'moderate', 'low'
  */
-export function getConfidenceLevel(probabilities, impairment) {
-  // Get the highest probability
-  const maxProbability = Math.max(...Object.values(probabilities));
+export function getConfidenceLevel(probabilities, impairment, options = {}) {
+  const { probabilityMode = PROBABILITY_MODES.relative, intervals = null, completeness = null } = options;
+
+  const level = probabilityMode === PROBABILITY_MODES.independent
+    ? getIndependentConfidenceLevel(probabilities, impairment, intervals)
+    : getRelativeConfidenceLevel(probabilities, impairment, intervals);
+
+  return adjustForCompleteness(level, completeness);
+}
+
+/**
+ * Downgrade confidence when answers are missing
+ */
+function adjustForCompleteness(level, completeness) {
+  if (!completeness) return level;
+
+  if (completeness.insufficientInformation) {
+    return 'low';
+  }
+
+  if (completeness.overall < LOW_COMPLETENESS_THRESHOLD) {
+    return level === 'high' ? 'moderate' : 'low';
+  }
+
+  return level;
+}
+
+/**
+ * Confidence for relative probabilities
+ */
+function getRelativeConfidenceLevel(probabilities, impairment, intervals) {
+  // Rank conditions by probability
+  const ranked = Object.entries(probabilities).sort(([, a], [, b]) => b - a);
+  const [[topCondition, maxProbability], [secondCondition, secondProbability]] = ranked;
 
   // Get the difference between top two probabilities
-  const sortedProbs = Object.values(probabilities).sort((a, b) => b - a);
-  const separation = sortedProbs[0] - sortedProbs[1];
+  const separation = maxProbability - secondProbability;
 
   // Check if impairment is significant
   const hasSignificantImpairment = impairment.total >= 8;
 
+  // Compare the top two intervals when available
+  let clearlySeparated = separation > 20;
+  let heavilyOverlapping = separation < 10;
+  if (intervals && intervals[topCondition] && intervals[secondCondition]) {
+    const top = intervals[topCondition];
+    const second = intervals[secondCondition];
+    clearlySeparated = top.lower > second.upper;
+    heavilyOverlapping = top.lower <= secondProbability || second.upper >= maxProbability;
+  }
+
   // High confidence: clear winner + significant impairment
-  if (maxProbability > 50 && separation > 20 && hasSignificantImpairment) {
+  if (maxProbability > 50 && clearlySeparated && hasSignificantImpairment) {
     return 'high';
   }
 
   // Low confidence: close results or minimal impairment
-  if (maxProbability < 35 || separation < 10 || impairment.total < 4) {
+  if (maxProbability < 35 || heavilyOverlapping || impairment.total < 4) {
     return 'low';
   }
 
@@ -213,6 +405,217 @@ export function getConfidenceLevel(probabilities, impairment) {
   return 'moderate';
 }
 
+/**
+ * Confidence for independent probabilities
+ * Several conditions may be high at once, so confidence depends on how
+ * decisively each condition sits away from the uncertain middle band
+ * (or, with intervals, whether its interval straddles 50%)
+ */
+function getIndependentConfidenceLevel(probabilities, impairment, intervals) {
+  const conditions = Object.keys(probabilities);
+  const maxProbability = Math.max(...Object.values(probabilities));
+  const isUncertain = condition => {
+    const interval = intervals && intervals[condition];
+    if (interval) {
+      return interval.lower < 50 && interval.upper > 50;
+    }
+    return probabilities[condition] > 30 && probabilities[condition] < 60;
+  };
+  const uncertainCount = conditions.filter(isUncertain).length;
+  const hasSignificantImpairment = impairment.total >= 8;
+
+  // High confidence: at least one condition clearly present, none ambiguous
+  if (maxProbability >= 60 && uncertainCount === 0 && hasSignificantImpairment) {
+    return 'high';
+  }
+
+  // Low confidence: nothing stands out, several ambiguous, or minimal impairment
+  if (maxProbability < 35 || uncertainCount >= 2 || impairment.total < 4) {
+    return 'low';
+  }
+
+  return 'moderate';
+}
+
+/**
+ * Credible interval settings
+ * Answers on ordered scales are nudged by one step, "not sure" answers are
+ * replaced by a random possible answer, and priors are varied within
+ * plausible bounds; the spread of the resulting probabilities gives the
+ * interval. A fixed seed keeps intervals reproducible for the same answers.
+ */
+export const CREDIBLE_INTERVAL_LEVEL = 0.9; // 90% credible interval
+
+const INTERVAL_SETTINGS = {
+  samples: 200,
+  stepProbability: 0.25,   // chance of moving an answer one step up (and, separately, down)
+  priorLogOddsRange: 0.5,  // priors vary by up to ±0.5 log-odds (odds ×/÷ 1.65)
+  seed: 20240101
+};
+
+/**
+ * Questions whose options form an ordered scale and can be nudged by one step
+ */
+function getOrdinalQuestions(questionBank) {
+  return getAllQuestions(questionBank)
+    .filter(question => question.weights && (question.type === 'scale' || question.ordinal));
+}
+
+/**
+ * Small seeded pseudo-random generator (mulberry32)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Nudge ordinal answers by at most one step
+ */
+function perturbResponses(responses, random, ordinalQuestions) {
+  const perturbed = { ...responses };
+
+  ordinalQuestions.forEach(question => {
+    const index = getOptionIndex(question, responses[question.id]);
+    if (index === -1) return;
+
+    const roll = random();
+    let newIndex = index;
+    if (roll < INTERVAL_SETTINGS.stepProbability) {
+      newIndex = index - 1;
+    } else if (roll < INTERVAL_SETTINGS.stepProbability * 2) {
+      newIndex = index + 1;
+    }
+
+    newIndex = Math.max(0, Math.min(question.options.length - 1, newIndex));
+    perturbed[question.id] = question.optionCodes[newIndex];
+  });
+
+  return perturbed;
+}
+
+/**
+ * Replace each scored "not sure" answer (or matrix row) with a random possible
+ * answer. Options are equally likely (each multiselect option is picked with
+ * probability 1/2); the point estimate leaves "not sure" out, so these samples
+ * only widen the interval around it
+ */
+function sampleNotSureAnswers(responses, random, questions) {
+  const sampled = { ...responses };
+  const pick = (codes) => codes[Math.floor(random() * codes.length)];
+
+  questions.forEach(question => {
+    if (!question.weights) return;
+    const response = responses[question.id];
+
+    if (question.type === 'matrix' && response && typeof response === 'object') {
+      sampled[question.id] = Object.fromEntries(
+        Object.entries(response).map(([rowCode, code]) => [rowCode, isNotSure(code) ? pick(question.optionCodes) : code])
+      );
+      return;
+    }
+    if (!isNotSure(response)) return;
+
+    switch (question.type) {
+      case 'multiselect':
+        sampled[question.id] = question.optionCodes.filter(() => random() < 0.5);
+        break;
+      case 'slider':
+        sampled[question.id] = question.min + random() * (question.max - question.min);
+        break;
+      case 'matrix':
+        sampled[question.id] = Object.fromEntries(
+          question.rowCodes.map(rowCode => [rowCode, pick(question.optionCodes)])
+        );
+        break;
+      default:
+        sampled[question.id] = pick(question.optionCodes);
+    }
+  });
+
+  return sampled;
+}
+
+/**
+ * Get a percentile from a sorted array of numbers
+ */
+function percentile(sorted, fraction) {
+  const position = (sorted.length - 1) * fraction;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Calculate credible intervals for the final (pattern-boosted) probabilities
+ * @param {Object} responses - Question responses
+ * @param {number} age - Child's age
+ * @param {Object} options - Engine options (prevalenceProfile, probabilityMode, questionBank, scoreAdjustments)
+ * @param {Object} options.scoreAdjustments - Fixed raw score points added per condition (other informants' evidence)
+ * @param {Object} pointEstimates - Optional reported probabilities; intervals are widened to contain them
+ * @returns {Object} { lower, median, upper } percentages for each condition
+ */
+export function calculateCredibleIntervals(responses, age, options = {}, pointEstimates = {}) {
+  const { scoreAdjustments = {}, ...engineOptions } = options;
+  const random = createRandom(INTERVAL_SETTINGS.seed);
+  const ordinalQuestions = getOrdinalQuestions(engineOptions.questionBank);
+  const allQuestions = getAllQuestions(engineOptions.questionBank);
+  const demographics = {
+    gender: responses.gender,
+    familyHistory: responses.familyHistory
+  };
+  const samples = {};
+
+  for (let i = 0; i < INTERVAL_SETTINGS.samples; i++) {
+    const sampleResponses = perturbResponses(
+      sampleNotSureAnswers(responses, random, allQuestions),
+      random,
+      ordinalQuestions
+    );
+    const { scores, mlFeatures } = calculateScores(sampleResponses, age, { questionBank: engineOptions.questionBank });
+    Object.entries(scoreAdjustments).forEach(([condition, points]) => {
+      scores[condition] += points;
+    });
+
+    const priorLogOddsShift = {};
+    Object.keys(scores).forEach(condition => {
+      priorLogOddsShift[condition] = (random() * 2 - 1) * INTERVAL_SETTINGS.priorLogOddsRange;
+    });
+
+    const { probabilities, probabilityMode } = calculateBayesianProbabilities(scores, demographics, {
+      ...engineOptions,
+      priorLogOddsShift
+    });
+    const boosted = applyPatternBoosts(probabilities, matchPatterns(mlFeatures), probabilityMode);
+
+    Object.entries(boosted).forEach(([condition, probability]) => {
+      (samples[condition] = samples[condition] || []).push(probability);
+    });
+  }
+
+  const tail = (1 - CREDIBLE_INTERVAL_LEVEL) / 2;
+  const intervals = {};
+  Object.entries(samples).forEach(([condition, values]) => {
+    const sorted = values.sort((a, b) => a - b);
+    const point = pointEstimates[condition];
+    const lower = percentile(sorted, tail);
+    const upper = percentile(sorted, 1 - tail);
+    intervals[condition] = {
+      lower: point === undefined ? lower : Math.min(lower, point),
+      median: percentile(sorted, 0.5),
+      upper: point === undefined ? upper : Math.max(upper, point)
+    };
+  });
+
+  return intervals;
+}
+
 /**
  * Get interpretation text based on probability and confidence
  */
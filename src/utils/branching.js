@@ -0,0 +1,120 @@
+import questionsData from '../data/questions.json';
+import { isAnswered } from './questionBank.js';
+
+/**
+ * Branching Rules
+ * Declarative `showIf` / `skipIf` rules on sections and questions
+ *
+ * A rule is one of:
+ *   { "question": "triggerEvent", "equals": "afterEvent" }
+ *   { "question": "triggerEvent", "notEquals": "always" }
+ *   { "question": "triggerEvent", "in": ["afterEvent", "worsened"] }
+ *   { "question": "triggerEvent", "notIn": ["always"] }
+ *   { "question": "familyHistory", "includes": "adhd" }   (multiselect)
+ *   { "question": "sleepIssues", "answered": true }
+ *   { "age": { "min": 11, "max": 17 } }                     (inclusive bounds)
+ *   { "all": [rule, ...] }, { "any": [rule, ...] }, { "not": rule }
+ *
+ * An item is shown when its `showIf` holds (or is absent) and its `skipIf`
+ * does not hold (or is absent). Rules may only refer to earlier questions.
+ * Hidden questions are not required and not scored, and their stored answers
+ * are ignored by later rules.
+ */
+
+export const RULE_OPERATORS = ['equals', 'notEquals', 'in', 'notIn', 'includes', 'answered'];
+
+/**
+ * Evaluate a branching rule
+ * @param {Object} rule - Rule definition
+ * @param {Object} context - { responses, age }
+ * @returns {boolean} Whether the rule holds
+ */
+export function evaluateRule(rule, context) {
+  if (rule.all) return rule.all.every(child => evaluateRule(child, context));
+  if (rule.any) return rule.any.some(child => evaluateRule(child, context));
+  if (rule.not) return !evaluateRule(rule.not, context);
+
+  if (rule.age) {
+    const age = Number(context.age);
+    // Age-based items stay hidden until the age is known
+    if (!context.age || Number.isNaN(age)) return false;
+    if (rule.age.min !== undefined && age < rule.age.min) return false;
+    if (rule.age.max !== undefined && age > rule.age.max) return false;
+    return true;
+  }
+
+  const response = context.responses[rule.question];
+  const answered = isAnswered(response);
+  const values = Array.isArray(response) ? response : [response];
+
+  if (rule.answered !== undefined) return answered === rule.answered;
+  if (rule.equals !== undefined) return answered && response === rule.equals;
+  if (rule.notEquals !== undefined) return answered && response !== rule.notEquals;
+  if (rule.in !== undefined) return answered && values.some(value => rule.in.includes(value));
+  if (rule.notIn !== undefined) return answered && values.every(value => !rule.notIn.includes(value));
+  if (rule.includes !== undefined) return answered && values.includes(rule.includes);
+
+  return false;
+}
+
+/**
+ * Check whether a section or question should be shown
+ * @param {Object} item - Section or question with optional showIf/skipIf
+ * @param {Object} context - { responses, age }
+ * @returns {boolean} Whether the item is shown
+ */
+export function isShown(item, context) {
+  if (item.showIf && !evaluateRule(item.showIf, context)) return false;
+  if (item.skipIf && evaluateRule(item.skipIf, context)) return false;
+  return true;
+}
+
+/**
+ * Work out which sections and questions are shown for a set of responses
+ * Questions are evaluated in order, so a hidden question's answer never
+ * affects the visibility of later questions
+ * @param {Object} responses - Responses keyed by question id
+ * @param {number} age - Child's age (falls back to responses.age)
+ * @param {Object} questionBank - Question bank (defaults to the parent questionnaire)
+ * @returns {Object} { sections: {id: boolean}, questions: {id: boolean} }
+ */
+export function getVisibility(responses, age, questionBank = questionsData) {
+  const effectiveResponses = {};
+  const context = { responses: effectiveResponses, age: age || responses.age };
+  const visibility = { sections: {}, questions: {} };
+
+  questionBank.sections.forEach(section => {
+    const sectionShown = isShown(section, context);
+    visibility.sections[section.id] = sectionShown;
+
+    section.questions.forEach(question => {
+      const shown = sectionShown && isShown(question, context);
+      visibility.questions[question.id] = shown;
+      if (shown && responses[question.id] !== undefined) {
+        effectiveResponses[question.id] = responses[question.id];
+      }
+    });
+  });
+
+  return visibility;
+}
+
+/**
+ * Get the sections to show, each with only its visible questions
+ * Sections with no visible questions are dropped
+ * @param {Object} responses - Responses keyed by question id
+ * @param {number} age - Child's age
+ * @param {Object} questionBank - Question bank (defaults to the parent questionnaire)
+ * @returns {Array} Visible sections
+ */
+export function getVisibleSections(responses, age, questionBank = questionsData) {
+  const visibility = getVisibility(responses, age, questionBank);
+
+  return questionBank.sections
+    .filter(section => visibility.sections[section.id])
+    .map(section => ({
+      ...section,
+      questions: section.questions.filter(q => visibility.questions[q.id])
+    }))
+    .filter(section => section.questions.length > 0);
+}
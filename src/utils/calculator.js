@@ -1,4 +1,6 @@
-import questionsData from '../data/questions.json';
+import { getAllQuestions, getOptionIndex, getOptionText, isAnswered, isNotSure } from './questionBank.js';
+import { getVisibility } from './branching.js';
+import { translate } from './i18n.js';
 
 /**
  * Main scoring calculator for the ADHD screener
@@ -7,11 +9,20 @@ import questionsData from '../data/questions.json';
 
 /**
  * Calculate scores from question responses
- * @param {Object} responses - Object with question IDs as keys and responses as values
+ * @param {Object} responses - Object with question IDs as keys and option codes as values
  * @param {number} age - Child's age for age-adjusted calculations
- * @returns {Object} Scores object with condition scores, impairment, sleep, and ML features
+ * @param {Object} options - Scoring options
+ * @param {Object} options.questionBank - Question bank to score against (defaults to the parent questionnaire)
+ * @param {Array} options.notAsked - Question ids deliberately not asked (adaptive route); imputed
+ *   like skipped questions but not counted against overall completeness
+ * @param {string} options.locale - Language for the text of imputed answers (scores are unaffected)
+ * @returns {Object} Scores object with condition scores, impairment, sleep, ML features,
+ *   per-answer contributions and data completeness
  */
-export function calculateScores(responses, age) {
+export function calculateScores(responses, age, options = {}) {
+  const { questionBank, notAsked = [], locale } = options;
+  const notAnsweredText = translate(locale, 'answers.notAnsweredEstimate');
+
   // Initialize scores for each condition
   const scores = {
     adhd: 0,
@@ -20,14 +31,16 @@ export function calculateScores(responses, age) {
     trauma: 0
   };
 
-  // Track impairment scores
-  const impairment = {
-    academic: 0,
-    social: 0,
-    family: 0,
-    emotional: 0,
-    total: 0
-  };
+  // Flatten all questions from all sections
+  const allQuestions = getAllQuestions(questionBank);
+
+  // Track impairment scores for the question bank's domains
+  // (academic, social, family, emotional for the child track)
+  const impairment = {};
+  allQuestions
+    .filter(question => question.impairmentDomain)
+    .forEach(question => { impairment[question.impairmentDomain] = 0; });
+  impairment.total = 0;
 
   // Track sleep confounder
   let sleepScore = 0;
@@ -35,46 +48,83 @@ export function calculateScores(responses, age) {
   // Extract ML features for pattern matching
   const mlFeatures = {};
 
-  // Flatten all questions from all sections
-  const allQuestions = questionsData.sections.flatMap(section =>
-    section.questions.map(q => ({ ...q, sectionId: section.id }))
-  );
+  // Record each answer's contribution to each condition's raw score
+  const contributions = {
+    adhd: [],
+    autism: [],
+    anxiety: [],
+    trauma: []
+  };
 
-  // Process each response
-  Object.entries(responses).forEach(([questionId, response]) => {
-    const question = allQuestions.find(q => q.id === questionId);
+  // Track answered/notSure/skipped/notAsked/hidden status for every question
+  const answerStatus = {};
+
+  // Questions hidden by showIf/skipIf rules are neither scored nor counted
+  const visibility = getVisibility(responses, age, questionBank);
+  const visibleQuestions = allQuestions.filter(question => visibility.questions[question.id]);
+  allQuestions
+    .filter(question => !visibility.questions[question.id])
+    .forEach(question => { answerStatus[question.id] = 'hidden'; });
+
+  // Process each visible question
+  visibleQuestions.forEach(question => {
+    const response = responses[question.id];
+
+    // "Not sure" is missing evidence: it adds nothing to the score, and the
+    // credible intervals sample its possible answers instead
+    if (isNotSure(response)) {
+      answerStatus[question.id] = 'notSure';
+      return;
+    }
+
+    // Skipped questions get a neutral estimate instead of silently scoring zero
+    if (!isAnswered(response)) {
+      answerStatus[question.id] = notAsked.includes(question.id) ? 'notAsked' : 'skipped';
+      imputeNeutralScore(question, scores, contributions, notAnsweredText);
+      return;
+    }
 
-    if (!question) return;
+    answerStatus[question.id] = 'answered';
 
     // Handle different question types
     switch (question.type) {
       case 'scale':
-        handleScaleQuestion(question, response, scores, age, mlFeatures);
+        handleScaleQuestion(question, response, scores, age, mlFeatures, contributions);
         break;
 
       case 'select':
-        handleSelectQuestion(question, response, scores, age, mlFeatures);
+        handleSelectQuestion(question, response, scores, age, mlFeatures, contributions);
         break;
 
       case 'multiselect':
-        handleMultiselectQuestion(question, response, scores);
+        handleMultiselectQuestion(question, response, scores, contributions);
+        break;
+
+      case 'slider':
+        handleSliderQuestion(question, response, scores, contributions);
+        break;
+
+      case 'matrix':
+        handleMatrixQuestion(question, response, scores, contributions, notAnsweredText);
         break;
 
       case 'number':
-        // Age is handled separately, no scoring needed
+      case 'date':
+      case 'text':
+        // Age is handled separately; dates and free text are stored but not scored
         break;
     }
 
     // Track impairment domain scores
     if (question.impairmentDomain) {
-      const responseIndex = question.options.indexOf(response);
+      const responseIndex = getOptionIndex(question, response);
       const impairmentScore = responseIndex; // 0-4 scale
       impairment[question.impairmentDomain] = impairmentScore;
     }
 
     // Track sleep confounders
     if (question.id === 'sleepIssues' && question.sleepScores) {
-      const responseIndex = question.options.indexOf(response);
+      const responseIndex = getOptionIndex(question, response);
       sleepScore = question.sleepScores[responseIndex] || 0;
     }
   });
@@ -84,19 +134,174 @@ export function calculateScores(responses, age) {
     .filter(v => typeof v === 'number')
     .reduce((sum, val) => sum + val, 0);
 
+  // Measure how much of the scoring evidence was actually answered
+  const completeness = calculateCompleteness(visibleQuestions, answerStatus, Object.keys(scores), responses);
+
   return {
     scores,
     impairment,
     sleepScore,
-    mlFeatures
+    mlFeatures,
+    contributions,
+    completeness
+  };
+}
+
+/**
+ * Overall completeness (percentage) below which confidence is downgraded
+ */
+export const LOW_COMPLETENESS_THRESHOLD = 80;
+
+/**
+ * Number of times a question's weights can apply (one per matrix row)
+ */
+function getRowCount(question) {
+  return question.type === 'matrix' ? question.rowCodes.length : 1;
+}
+
+/**
+ * Impute a neutral score for a skipped question
+ * Single-choice questions use the mean weight across options (per row for
+ * matrices, the midpoint for sliders); multiselect questions assume each
+ * option is equally likely to be selected or not
+ */
+function imputeNeutralScore(question, scores, contributions, answerText) {
+  if (!question.weights) return;
+
+  Object.entries(question.weights).forEach(([condition, weights]) => {
+    if (!scores.hasOwnProperty(condition) || weights.length === 0) return;
+
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    const neutral = question.type === 'multiselect'
+      ? total / 2
+      : (total / weights.length) * getRowCount(question);
+
+    scores[condition] += neutral;
+    if (neutral !== 0) {
+      contributions[condition].push({
+        questionId: question.id,
+        questionText: question.text,
+        answer: answerText,
+        points: Math.round(neutral * 10) / 10,
+        ageAdjustment: 0,
+        imputed: true
+      });
+    }
+  });
+}
+
+/**
+ * Range of score a question can contribute to a condition
+ * Used to weight completeness by how informative each question is
+ */
+function getWeightRange(question, condition) {
+  const weights = question.weights && question.weights[condition];
+  if (!weights || weights.length === 0) return 0;
+
+  if (question.type === 'multiselect') {
+    const positive = weights.filter(w => w > 0).reduce((sum, w) => sum + w, 0);
+    const negative = weights.filter(w => w < 0).reduce((sum, w) => sum + w, 0);
+    return positive - negative;
+  }
+
+  return (Math.max(...weights) - Math.min(...weights)) * getRowCount(question);
+}
+
+/**
+ * Share of a question that was answered (0-1)
+ * A matrix counts only its answered rows; the rest are imputed when scoring
+ */
+function getAnsweredShare(question, status, response) {
+  if (status !== 'answered') return 0;
+  if (question.type !== 'matrix') return 1;
+  return question.rowCodes.filter(rowCode => isAnswered(response[rowCode])).length / question.rowCodes.length;
+}
+
+/**
+ * Calculate data completeness
+ * Only weighted questions count: age, dates, free text, the DSM-5 checklist and
+ * impact ratings do not add to the scores, so they would inflate the figure
+ * @param {Array} visibleQuestions - Visible questions
+ * @param {Object} answerStatus - 'answered', 'notSure', 'skipped', 'notAsked' or 'hidden' for each question id
+ * @param {Array} conditions - Condition keys
+ * @param {Object} responses - Responses keyed by question id
+ * @returns {Object} Completeness percentages, missing key items and sufficiency flag
+ */
+function calculateCompleteness(visibleQuestions, answerStatus, conditions, responses) {
+  const questions = visibleQuestions.filter(question => question.weights);
+  const shares = {};
+  questions.forEach(question => {
+    shares[question.id] = getAnsweredShare(question, answerStatus[question.id], responses[question.id]);
+  });
+
+  const byCondition = {};
+
+  conditions.forEach(condition => {
+    let answeredRange = 0;
+    let totalRange = 0;
+
+    questions.forEach(question => {
+      const range = getWeightRange(question, condition);
+      totalRange += range;
+      answeredRange += range * shares[question.id];
+    });
+
+    byCondition[condition] = totalRange > 0 ? (answeredRange / totalRange) * 100 : 100;
+  });
+
+  // A partly answered matrix counts towards the overall figure by its answered rows,
+  // but is not counted as an answered question
+  const answered = questions.filter(q => shares[q.id] === 1).length;
+  const answeredShare = questions.reduce((sum, q) => sum + shares[q.id], 0);
+  const notAsked = questions.filter(q => answerStatus[q.id] === 'notAsked').length;
+  const asked = questions.length - notAsked;
+
+  // "Not sure" answers are listed so a clinician can follow them up, scored or not
+  const notSureItems = visibleQuestions
+    .filter(q => answerStatus[q.id] === 'notSure')
+    .map(q => ({ id: q.id, text: q.text }));
+
+  // Key Tier 1/Tier 2 items are essential for a meaningful result
+  const missingKeyItems = questions
+    .filter(q => q.keyItem && answerStatus[q.id] !== 'answered')
+    .map(q => ({ id: q.id, text: q.text }));
+
+  return {
+    status: answerStatus,
+    answered,
+    notAsked,
+    notSure: notSureItems.length,
+    notSureItems,
+    total: questions.length,
+    overall: asked > 0 ? (answeredShare / asked) * 100 : 100,
+    byCondition,
+    missingKeyItems,
+    insufficientInformation: missingKeyItems.length > 0
   };
 }
 
+/**
+ * Record a single answer's contribution to a condition score
+ * Zero contributions are skipped to keep the breakdown readable
+ */
+function addContribution(contributions, question, answer, condition, points, ageAdjustment = 0, answerText = getOptionText(question, answer)) {
+  if (!contributions || (points === 0 && ageAdjustment === 0)) return;
+
+  contributions[condition].push({
+    questionId: question.id,
+    questionText: question.text,
+    answer: answerText,
+    answerCode: answer,
+    points,
+    ageAdjustment
+  });
+}
+
 /**
  * Handle scale-type questions (Never, Rarely, Sometimes, Often, Very Often)
  */
-function handleScaleQuestion(question, response, scores, age, mlFeatures) {
-  const responseIndex = question.options.indexOf(response);
+function handleScaleQuestion(question, response, scores, age, mlFeatures, contributions) {
+  const responseIndex = getOptionIndex(question, response);
 
   if (responseIndex === -1) return;
 
@@ -104,7 +309,9 @@ function handleScaleQuestion(question, response, scores, age, mlFeatures) {
   if (question.weights) {
     Object.entries(question.weights).forEach(([condition, weights]) => {
       if (scores.hasOwnProperty(condition)) {
-        scores[condition] += weights[responseIndex] || 0;
+        const score = weights[responseIndex] || 0;
+        scores[condition] += score;
+        addContribution(contributions, question, response, condition, score);
       }
     });
   }
@@ -119,8 +326,8 @@ function handleScaleQuestion(question, response, scores, age, mlFeatures) {
 /**
  * Handle select-type questions (single choice)
  */
-function handleSelectQuestion(question, response, scores, age, mlFeatures) {
-  const responseIndex = question.options.indexOf(response);
+function handleSelectQuestion(question, response, scores, age, mlFeatures, contributions) {
+  const responseIndex = getOptionIndex(question, response);
 
   if (responseIndex === -1) return;
 
@@ -128,7 +335,8 @@ function handleSelectQuestion(question, response, scores, age, mlFeatures) {
   if (question.weights) {
     Object.entries(question.weights).forEach(([condition, weights]) => {
       if (scores.hasOwnProperty(condition)) {
-        let score = weights[responseIndex] || 0;
+        const baseScore = weights[responseIndex] || 0;
+        let score = baseScore;
 
         // Apply age adjustments if applicable
         if (question.ageAdjusted && question.ageAdjustments) {
@@ -136,6 +344,7 @@ function handleSelectQuestion(question, response, scores, age, mlFeatures) {
         }
 
         scores[condition] += score;
+        addContribution(contributions, question, response, condition, score, score - baseScore);
       }
     });
   }
@@ -151,13 +360,13 @@ function handleSelectQuestion(question, response, scores, age, mlFeatures) {
 /**
  * Handle multiselect questions (multiple choices)
  */
-function handleMultiselectQuestion(question, responses, scores) {
+function handleMultiselectQuestion(question, responses, scores, contributions) {
   if (!Array.isArray(responses)) {
     responses = [responses];
   }
 
   responses.forEach(response => {
-    const responseIndex = question.options.indexOf(response);
+    const responseIndex = getOptionIndex(question, response);
 
     if (responseIndex === -1) return;
 
@@ -165,13 +374,74 @@ function handleMultiselectQuestion(question, responses, scores) {
     if (question.weights) {
       Object.entries(question.weights).forEach(([condition, weights]) => {
         if (scores.hasOwnProperty(condition)) {
-          scores[condition] += weights[responseIndex] || 0;
+          const score = weights[responseIndex] || 0;
+          scores[condition] += score;
+          addContribution(contributions, question, response, condition, score);
         }
       });
     }
   });
 }
 
+/**
+ * Handle slider questions (continuous rating between min and max)
+ * Weights give the score at min and at max; answers in between are interpolated
+ */
+function handleSliderQuestion(question, response, scores, contributions) {
+  if (!question.weights || typeof response !== 'number') return;
+
+  const position = Math.min(1, Math.max(0, (response - question.min) / (question.max - question.min)));
+
+  Object.entries(question.weights).forEach(([condition, [atMin, atMax]]) => {
+    if (scores.hasOwnProperty(condition)) {
+      const score = Math.round((atMin + (atMax - atMin) * position) * 10) / 10;
+      scores[condition] += score;
+      addContribution(contributions, question, response, condition, score);
+    }
+  });
+}
+
+/**
+ * Handle matrix questions (one option per row, e.g. frequency in each setting)
+ * Every row is scored with the question's option weights; rows left blank
+ * get the same neutral estimate as a skipped question, and "not sure" rows
+ * add nothing
+ */
+function handleMatrixQuestion(question, response, scores, contributions, notAnsweredText) {
+  if (!question.weights) return;
+
+  question.rowCodes.forEach((rowCode, rowIndex) => {
+    const code = response[rowCode];
+    if (isNotSure(code)) return;
+    const responseIndex = getOptionIndex(question, code);
+    const rowLabel = question.rows[rowIndex];
+
+    Object.entries(question.weights).forEach(([condition, weights]) => {
+      if (!scores.hasOwnProperty(condition)) return;
+
+      if (responseIndex === -1) {
+        const neutral = weights.reduce((sum, weight) => sum + weight, 0) / weights.length;
+        scores[condition] += neutral;
+        if (neutral !== 0) {
+          contributions[condition].push({
+            questionId: question.id,
+            questionText: question.text,
+            answer: `${rowLabel}: ${notAnsweredText}`,
+            points: Math.round(neutral * 10) / 10,
+            ageAdjustment: 0,
+            imputed: true
+          });
+        }
+        return;
+      }
+
+      const score = weights[responseIndex] || 0;
+      scores[condition] += score;
+      addContribution(contributions, question, code, condition, score, 0, `${rowLabel}: ${getOptionText(question, code)}`);
+    });
+  });
+}
+
 /**
  * Apply age adjustments to scores
  * @param {number} score - Base score
@@ -203,7 +473,7 @@ function applyAgeAdjustment(score, responseIndex, age, ageAdjustments) {
  * Useful for calculating percentages
  */
 export function getMaxPossibleScore(condition) {
-  const allQuestions = questionsData.sections.flatMap(section => section.questions);
+  const allQuestions = getAllQuestions();
 
   let maxScore = 0;
 
@@ -211,13 +481,39 @@ export function getMaxPossibleScore(condition) {
     if (question.weights && question.weights[condition]) {
       const weights = question.weights[condition];
       const maxWeight = Math.max(...weights);
-      maxScore += maxWeight;
+      maxScore += maxWeight * getRowCount(question);
     }
   });
 
   return maxScore;
 }
 
+/**
+ * Get the lowest and highest raw score a set of questions can give a condition
+ * @param {string} condition - Condition key
+ * @param {Array} questions - Questions to include (e.g. the visible questions of a form)
+ * @returns {Object} { min, max }
+ */
+export function getScoreRange(condition, questions) {
+  let min = 0;
+  let max = 0;
+
+  questions.forEach(question => {
+    const weights = question.weights && question.weights[condition];
+    if (!weights || weights.length === 0) return;
+
+    if (question.type === 'multiselect') {
+      min += weights.filter(w => w < 0).reduce((sum, w) => sum + w, 0);
+      max += weights.filter(w => w > 0).reduce((sum, w) => sum + w, 0);
+    } else {
+      min += Math.min(...weights) * getRowCount(question);
+      max += Math.max(...weights) * getRowCount(question);
+    }
+  });
+
+  return { min, max };
+}
+
 /**
  * Calculate percentage score for a condition
  */
@@ -231,11 +527,22 @@ export function getPercentageScore(rawScore, condition) {
  * Requires elevated scores in at least 2 domains
  */
 export function isImpairmentSignificant(impairment) {
-  const domains = ['academic', 'social', 'family', 'emotional'];
+  const domains = Object.keys(impairment).filter(domain => domain !== 'total');
   const elevatedDomains = domains.filter(domain => impairment[domain] >= 2);
   return elevatedDomains.length >= 2;
 }
 
+/**
+ * Describe one impairment domain score (0-4)
+ * @returns {string} 'significant', 'moderate', 'mild' or 'none'
+ */
+export function getImpairmentLevel(score) {
+  if (score >= 3) return 'significant';
+  if (score >= 2) return 'moderate';
+  if (score >= 1) return 'mild';
+  return 'none';
+}
+
 /**
  * Check if sleep issues are confounding the results
  * High sleep scores may indicate sleep disorder rather than ADHD
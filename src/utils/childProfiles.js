@@ -0,0 +1,306 @@
+import { canSaveSessions, isValidPin } from './sessionStore.js';
+import { createSalt, deriveKey, encryptJson, decryptJson, toBase64, fromBase64 } from './pinCrypto.js';
+import { readScreeningExport } from './screeningExport.js';
+import { getAllQuestions, formatAnswer, isAnswered, isNotSure, NOT_SURE } from './questionBank.js';
+import { INFORMANTS } from './informants.js';
+import { getTrack } from './tracks.js';
+import { localizeQuestionBank } from './i18n.js';
+
+/**
+ * Child Profiles
+ * Keeps repeat screenings of the same child (or adult) on this device, so
+ * results before and after an intervention can be compared. Each profile holds
+ * dated screening files (see screeningExport.js), which keep the answers and
+ * results as saved and are migrated when read. Profiles are health records,
+ * so the whole store is encrypted with a PIN like saved sessions; unlike
+ * sessions it does not expire, and a forgotten PIN cannot be recovered
+ */
+
+export const PROFILE_SETTINGS = {
+  storageKey: 'nhsAdhdScreening.profiles',
+  storeVersion: 1,
+  keyIterations: 250000     // PBKDF2 iterations
+};
+
+/**
+ * Create an error the interface can show in the user's language
+ * `code` names the message (profiles.errors.<code>) and `params` fills it in
+ */
+function profileError(code, message, params = {}) {
+  const error = new Error(message);
+  error.code = code;
+  error.params = params;
+  return error;
+}
+
+/**
+ * Create a short random id for a profile or screening
+ */
+function createId() {
+  return toBase64(globalThis.crypto.getRandomValues(new Uint8Array(9))).replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+/**
+ * Check whether profiles have been set up on this device
+ * @returns {boolean}
+ */
+export function hasProfileStore() {
+  return Boolean(readRecord());
+}
+
+/**
+ * Set up an empty profile store protected by a PIN
+ * @param {string} pin - PIN chosen by the user
+ * @returns {Promise<Object>} { profiles, storeKey }
+ */
+export async function createProfileStore(pin) {
+  if (!canSaveSessions()) {
+    throw profileError('unavailable', 'This browser cannot keep profiles');
+  }
+  if (!isValidPin(pin)) {
+    throw profileError('invalidPin', 'PIN must be 4 to 8 digits');
+  }
+
+  const salt = createSalt();
+  const storeKey = { key: await deriveKey(pin, salt, PROFILE_SETTINGS.keyIterations), salt };
+  await saveProfiles([], storeKey);
+  return { profiles: [], storeKey };
+}
+
+/**
+ * Decrypt the profile store with the user's PIN
+ * @param {string} pin - PIN entered by the user
+ * @returns {Promise<Object>} { profiles, storeKey }
+ */
+export async function openProfileStore(pin) {
+  const record = readRecord();
+  if (!record) {
+    throw profileError('noProfiles', 'There are no profiles on this device');
+  }
+
+  const salt = fromBase64(record.salt);
+  let payload;
+  let key;
+  try {
+    key = await deriveKey(pin || '', salt, PROFILE_SETTINGS.keyIterations);
+    payload = await decryptJson(key, record);
+  } catch {
+    throw profileError('incorrectPin', 'Incorrect PIN');
+  }
+
+  return { profiles: payload.profiles, storeKey: { key, salt } };
+}
+
+/**
+ * Encrypt and save every profile
+ * @param {Array} profiles - Profiles from createProfile, addScreening...
+ * @param {Object} storeKey - Key from createProfileStore or openProfileStore
+ * @returns {Promise<void>}
+ */
+export async function saveProfiles(profiles, storeKey) {
+  const record = {
+    version: PROFILE_SETTINGS.storeVersion,
+    salt: toBase64(storeKey.salt),
+    ...await encryptJson(storeKey.key, { profiles })
+  };
+
+  try {
+    globalThis.localStorage.setItem(PROFILE_SETTINGS.storageKey, JSON.stringify(record));
+  } catch {
+    throw profileError('storageFull', 'There is no room left on this device to save the profiles');
+  }
+}
+
+/**
+ * Delete every profile from this device
+ */
+export function deleteProfileStore() {
+  if (canSaveSessions()) {
+    globalThis.localStorage.removeItem(PROFILE_SETTINGS.storageKey);
+  }
+}
+
+/**
+ * Read the stored record; a malformed record is left alone rather than
+ * deleted, as it may be all the history a family has
+ */
+function readRecord() {
+  if (!canSaveSessions()) return null;
+
+  try {
+    const record = JSON.parse(globalThis.localStorage.getItem(PROFILE_SETTINGS.storageKey));
+    return record && record.salt && record.iv && record.data ? record : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Create a profile
+ * @param {string} name - Name or initials the family recognises
+ * @param {string} trackId - Screening track; every screening in the profile must use it
+ * @param {Date} createdAt - Defaults to now
+ * @returns {Object} Profile { id, name, track, createdAt, screenings }
+ */
+export function createProfile(name, trackId, createdAt = new Date()) {
+  return {
+    id: createId(),
+    name: name.trim(),
+    track: getTrack(trackId).id,
+    createdAt: createdAt.toISOString(),
+    screenings: []
+  };
+}
+
+/**
+ * Add a screening to a profile
+ * @param {Object} profile - Profile to add to (not changed)
+ * @param {Object} file - Screening file from createScreeningExport
+ * @param {Object} options - { screenedAt: Date, note }
+ * @returns {Object} Updated profile
+ */
+export function addScreening(profile, file, options = {}) {
+  const { track } = readScreeningExport(file);
+  if (track !== profile.track) {
+    throw profileError('trackMismatch', `A ${track} screening cannot be added to a ${profile.track} profile`);
+  }
+
+  const screening = {
+    id: createId(),
+    screenedAt: (options.screenedAt || new Date()).toISOString(),
+    note: (options.note || '').trim(),
+    file
+  };
+
+  return {
+    ...profile,
+    screenings: [...profile.screenings, screening].sort((a, b) => a.screenedAt.localeCompare(b.screenedAt))
+  };
+}
+
+/**
+ * Remove a screening from a profile
+ * @returns {Object} Updated profile
+ */
+export function removeScreening(profile, screeningId) {
+  return { ...profile, screenings: profile.screenings.filter(screening => screening.id !== screeningId) };
+}
+
+/**
+ * Results over time, oldest first, as saved
+ * @param {Object} profile - Profile
+ * @returns {Array} [{ id, screenedAt, note, childAge, probabilities, probabilityMode, engineVersion,
+ *   confidence, impairmentTotal, impairmentMax, sleepScore }]
+ */
+export function getProfileHistory(profile) {
+  const domains = Object.keys(getTrack(profile.track).impairmentDomains);
+
+  return profile.screenings.map(({ id, screenedAt, note, file }) => {
+    const { results } = file;
+    return {
+      id,
+      screenedAt,
+      note,
+      childAge: results.childAge,
+      probabilities: results.probabilities,
+      probabilityMode: results.probabilityMode,
+      engineVersion: results.engineVersion,
+      confidence: results.confidence,
+      impairmentTotal: results.impairment.total,
+      impairmentMax: domains.length * 4,
+      sleepScore: results.sleepScore
+    };
+  });
+}
+
+/**
+ * Comparable form of a stored answer (multiselect order does not matter)
+ */
+function answerKey(response) {
+  if (!isAnswered(response) && !isNotSure(response)) return null;
+  return JSON.stringify(Array.isArray(response) ? [...response].sort() : response);
+}
+
+/**
+ * Answer as shown in the history view; "Not sure" is left as NOT_SURE for the
+ * view to word, and unanswered questions are null
+ */
+function displayAnswer(question, response) {
+  if (isNotSure(response)) return NOT_SURE;
+  return isAnswered(response) ? formatAnswer(question, response) : null;
+}
+
+/**
+ * Points each condition's score took from a question (main form only)
+ */
+function questionPoints(results, questionId) {
+  const points = {};
+  Object.entries(results.explanations || {}).forEach(([condition, explanation]) => {
+    points[condition] = explanation.answers
+      .filter(answer => answer.questionId === questionId)
+      .reduce((sum, answer) => sum + answer.points, 0);
+  });
+  return points;
+}
+
+/**
+ * Answers that changed between two screenings in a profile
+ * Answers are compared after migration to the current questionnaire. For the
+ * main form, `effects` gives how far each condition's score moved because of
+ * the change, largest changes first
+ * @param {Object} profile - Profile
+ * @param {string} fromId - Earlier screening id
+ * @param {string} toId - Later screening id
+ * @param {string} locale - Language for question and answer text
+ * @returns {Array} [{ form, questionId, questionText, before, after, effects }]
+ */
+export function compareScreenings(profile, fromId, toId, locale) {
+  const find = id => profile.screenings.find(screening => screening.id === id);
+  const before = readScreeningExport(find(fromId).file);
+  const after = readScreeningExport(find(toId).file);
+  const track = getTrack(profile.track);
+
+  const forms = [
+    { form: 'parent', questionBank: track.questionBank, before: before.responses, after: after.responses },
+    ...(track.informants
+      ? Object.values(INFORMANTS)
+        .filter(informant => informant.id !== 'parent')
+        .map(informant => ({
+          form: informant.id,
+          questionBank: informant.questionBank,
+          before: before.informants[informant.id] || {},
+          after: after.informants[informant.id] || {}
+        }))
+      : [])
+  ];
+
+  const changes = forms.flatMap(({ form, questionBank, before: earlier, after: later }) =>
+    getAllQuestions(localizeQuestionBank(questionBank, locale))
+      .filter(question => answerKey(earlier[question.id]) !== answerKey(later[question.id]))
+      .map(question => {
+        const effects = {};
+        if (form === 'parent') {
+          const earlierPoints = questionPoints(before.results, question.id);
+          const laterPoints = questionPoints(after.results, question.id);
+          Object.keys(laterPoints).forEach(condition => {
+            const delta = Math.round((laterPoints[condition] - (earlierPoints[condition] || 0)) * 10) / 10;
+            if (delta !== 0) effects[condition] = delta;
+          });
+        }
+        return {
+          form,
+          questionId: question.id,
+          questionText: question.text,
+          before: displayAnswer(question, earlier[question.id]),
+          after: displayAnswer(question, later[question.id]),
+          effects
+        };
+      })
+  );
+
+  const largestEffect = change => Math.max(0, ...Object.values(change.effects).map(Math.abs));
+  return changes
+    .map((change, index) => ({ change, index }))
+    .sort((a, b) => largestEffect(b.change) - largestEffect(a.change) || a.index - b.index)
+    .map(({ change }) => change);
+}
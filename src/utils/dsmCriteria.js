@@ -0,0 +1,161 @@
+import { getAllQuestions, getQuestion, getOptionText, formatAnswer, isAnswered } from './questionBank.js';
+import { getVisibility } from './branching.js';
+
+/**
+ * DSM-5 Criteria Module
+ * Counts symptoms from the optional 18-item checklist (Vanderbilt / SNAP-IV
+ * style), or the 18 ASRS items on the adult track, and checks the DSM-5 ADHD
+ * criteria alongside the weighted score:
+ *   A. 6+ of 9 inattentive and/or hyperactive-impulsive symptoms (5+ from age 17)
+ *   B. Several symptoms present before age 12 (onsetAge)
+ *   C. Symptoms present in two or more settings (pervasiveness)
+ */
+
+export const SYMPTOM_DOMAINS = {
+  inattentive: 'Inattention',
+  hyperactiveImpulsive: 'Hyperactivity-impulsivity'
+};
+
+export const DSM_SETTINGS = {
+  symptomThreshold: 6,        // symptoms needed in a domain under age 17
+  adultSymptomThreshold: 5,   // symptoms needed from age 17
+  adultAge: 17,
+  presentCodes: ['often', 'veryOften'], // ratings that count as a symptom being present
+  onsetBefore12Codes: ['under5', 'age5to7', 'age8to12'],
+  minimumSettings: 2
+};
+
+/**
+ * Presentation labels keyed by presentation type
+ */
+export const PRESENTATIONS = {
+  combined: 'Combined presentation',
+  predominantlyInattentive: 'Predominantly inattentive presentation',
+  predominantlyHyperactiveImpulsive: 'Predominantly hyperactive-impulsive presentation'
+};
+
+/**
+ * Evaluate the DSM-5 ADHD criteria
+ * @param {Object} responses - Parent responses (with cross-setting evidence merged into pervasiveness)
+ * @param {number} age - Child's age
+ * @param {Object} questionBank - Question bank holding the symptom items (defaults to the parent questionnaire)
+ * @returns {Object} Symptom counts per domain, presentation, onset and settings checks
+ *   Each criterion has status 'met', 'notMet' or 'unknown'
+ */
+export function evaluateDsmCriteria(responses, age, questionBank) {
+  const visibility = getVisibility(responses, age, questionBank);
+  const symptomQuestions = getAllQuestions(questionBank).filter(question => question.symptomDomain);
+  const threshold = age >= DSM_SETTINGS.adultAge
+    ? DSM_SETTINGS.adultSymptomThreshold
+    : DSM_SETTINGS.symptomThreshold;
+
+  const domains = {};
+  Object.keys(SYMPTOM_DOMAINS).forEach(domain => {
+    const symptoms = symptomQuestions
+      .filter(question => question.symptomDomain === domain)
+      .map(question => {
+        const response = visibility.questions[question.id] ? responses[question.id] : undefined;
+        return {
+          id: question.id,
+          text: question.text,
+          answered: isAnswered(response),
+          rating: isAnswered(response) ? getOptionText(question, response) : null,
+          present: DSM_SETTINGS.presentCodes.includes(response)
+        };
+      });
+
+    const count = symptoms.filter(symptom => symptom.present).length;
+    const unanswered = symptoms.filter(symptom => !symptom.answered).length;
+
+    let status = 'notMet';
+    if (count >= threshold) {
+      status = 'met';
+    } else if (count + unanswered >= threshold) {
+      // Skipped items could still reach the threshold
+      status = 'unknown';
+    }
+
+    domains[domain] = {
+      label: SYMPTOM_DOMAINS[domain],
+      count,
+      total: symptoms.length,
+      answered: symptoms.length - unanswered,
+      threshold,
+      status,
+      symptoms
+    };
+  });
+
+  const completed = Object.values(domains).some(domain => domain.answered > 0);
+
+  const inattentiveMet = domains.inattentive.status === 'met';
+  const hyperactiveMet = domains.hyperactiveImpulsive.status === 'met';
+  let presentation = null;
+  if (inattentiveMet && hyperactiveMet) {
+    presentation = 'combined';
+  } else if (inattentiveMet) {
+    presentation = 'predominantlyInattentive';
+  } else if (hyperactiveMet) {
+    presentation = 'predominantlyHyperactiveImpulsive';
+  }
+
+  let symptomStatus = 'notMet';
+  if (presentation) {
+    symptomStatus = 'met';
+  } else if (Object.values(domains).some(domain => domain.status === 'unknown')) {
+    symptomStatus = 'unknown';
+  }
+
+  const onset = checkOnset(responses.onsetAge, questionBank);
+  const settings = checkSettings(responses.pervasiveness, questionBank);
+
+  const statuses = [symptomStatus, onset.status, settings.status];
+  let overall = 'unknown';
+  if (statuses.includes('notMet')) {
+    overall = 'notMet';
+  } else if (statuses.every(status => status === 'met')) {
+    overall = 'met';
+  }
+
+  return {
+    completed,
+    domains,
+    symptoms: { status: symptomStatus, threshold },
+    presentation,
+    presentationLabel: presentation ? PRESENTATIONS[presentation] : null,
+    onset,
+    settings,
+    status: overall
+  };
+}
+
+/**
+ * Criterion B: several symptoms present before age 12
+ */
+function checkOnset(onsetAge, questionBank) {
+  if (!isAnswered(onsetAge)) {
+    return { status: 'unknown', answer: null };
+  }
+
+  return {
+    status: DSM_SETTINGS.onsetBefore12Codes.includes(onsetAge) ? 'met' : 'notMet',
+    answer: formatAnswer(getQuestion('onsetAge', questionBank), onsetAge)
+  };
+}
+
+/**
+ * Criterion C: symptoms present in two or more settings
+ */
+function checkSettings(pervasiveness, questionBank) {
+  if (!isAnswered(pervasiveness)) {
+    return { status: 'unknown', settings: [], answer: null, count: 0 };
+  }
+
+  const settings = Array.isArray(pervasiveness) ? pervasiveness : [pervasiveness];
+  return {
+    status: settings.length >= DSM_SETTINGS.minimumSettings ? 'met' : 'notMet',
+    settings,
+    answer: formatAnswer(getQuestion('pervasiveness', questionBank), settings),
+    count: settings.length
+  };
+}
@@ -0,0 +1,76 @@
+import { getScalingFactor } from './bayesianEngine.js';
+import { getQuestion, getOptionText } from './questionBank.js';
+
+/**
+ * Result Explainer
+ * Builds a per-condition breakdown of what drove each probability:
+ * answer contributions (including age adjustments), demographic prior
+ * adjustments and pattern-match boosts
+ */
+
+/**
+ * Number of answers shown in the "What drove this result" panel
+ */
+const TOP_ANSWER_COUNT = 5;
+
+/**
+ * Short question label for a prior adjustment step ("Family history (select all that apply):" -> "Family history")
+ */
+function getStepLabel(question) {
+  return question.text.replace(/[:?]$|\s*\(.*\)[:?]?$/, '');
+}
+
+/**
+ * Explain each condition's result
+ * @param {Object} params
+ * @param {Object} params.contributions - Per-condition answer contributions from calculateScores
+ * @param {Object} params.priors - Prior audit trail from calculatePriors
+ * @param {Object} params.patternMatches - Match results from matchPatterns
+ * @param {Object} params.questionBank - Question bank used to label prior steps (defaults to the parent questionnaire)
+ * @returns {Object} Breakdown for each condition
+ */
+export function explainResults({ contributions, priors, patternMatches, questionBank }) {
+  const explanations = {};
+
+  Object.entries(contributions).forEach(([condition, answerContributions]) => {
+    const scalingFactor = getScalingFactor(condition);
+
+    // Express each answer on the same log-odds scale as the prior steps
+    const answers = answerContributions
+      .map(contribution => ({
+        ...contribution,
+        logOdds: contribution.points / scalingFactor
+      }))
+      .sort((a, b) => Math.abs(b.points) - Math.abs(a.points));
+
+    const prior = priors && priors[condition];
+    const match = patternMatches && patternMatches[condition];
+
+    explanations[condition] = {
+      rawScore: answers.reduce((sum, answer) => sum + answer.points, 0),
+      answers,
+      topAnswers: answers.slice(0, TOP_ANSWER_COUNT),
+      prior: prior ? {
+        base: prior.base,
+        probability: prior.probability,
+        clamped: prior.clamped,
+        steps: prior.steps.map(step => {
+          const question = getQuestion(step.factor, questionBank);
+          return {
+            ...step,
+            label: question ? getStepLabel(question) : step.factor,
+            sourceLabels: step.sources.map(code => (question ? getOptionText(question, code) : code)),
+            combinedOddsRatio: Math.exp(step.logOddsDelta)
+          };
+        })
+      } : null,
+      patternBoost: match && match.matched ? {
+        patternName: match.patternName,
+        confidenceBoost: match.confidenceBoost,
+        matchedFeatureKeys: match.matchedFeatureKeys
+      } : null
+    };
+  });
+
+  return explanations;
+}
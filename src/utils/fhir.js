@@ -0,0 +1,665 @@
+import {
+  getAllQuestions,
+  offersNotSure,
+  isAnswered,
+  isNotSure,
+  getOptionText,
+  NOT_SURE,
+  NOT_SURE_TEXT
+} from './questionBank.js';
+import { getVisibility } from './branching.js';
+import { INFORMANTS } from './informants.js';
+import { TRACKS, getTrack } from './tracks.js';
+import { DEFAULT_LOCALE, translate } from './i18n.js';
+
+/**
+ * FHIR Interoperability
+ * Exchanges question banks and completed screenings as FHIR R4 resources:
+ * each question bank as a Questionnaire, each completed form as a
+ * QuestionnaireResponse, and the computed probabilities as Observations in a
+ * collection Bundle. Imported responses are read back into response sets and
+ * re-scored with the current engine; reported Observations are never reused
+ * as results
+ *
+ * "Not sure" is the notSure answer coding (or, for sliders, an answer with the
+ * data-absent-reason "asked-unknown"); questions left out by quick screening
+ * carry the data-absent-reason "not-asked" and no answer
+ */
+
+/**
+ * Identifiers for this tool's FHIR content
+ * Placeholders until the questionnaires are published on an organisation's
+ * FHIR server; change them together, since imports match on the same values
+ */
+export const FHIR_SYSTEMS = {
+  questionnaire: 'urn:nhs-adhd-screener:questionnaire',   // + ':' + question bank id
+  answers: 'urn:nhs-adhd-screener:answer',                // option codes
+  observations: 'urn:nhs-adhd-screener:observation',      // condition probability codes
+  probabilityModes: 'urn:nhs-adhd-screener:probability-mode',
+  childId: 'urn:nhs-adhd-screener:child-id'
+};
+
+/**
+ * Standard HL7 extensions and code systems
+ */
+const HL7 = {
+  itemControl: 'http://hl7.org/fhir/StructureDefinition/questionnaire-itemControl',
+  itemControlCodes: 'http://hl7.org/fhir/questionnaire-item-control',
+  minValue: 'http://hl7.org/fhir/StructureDefinition/minValue',
+  maxValue: 'http://hl7.org/fhir/StructureDefinition/maxValue',
+  sliderStep: 'http://hl7.org/fhir/StructureDefinition/questionnaire-sliderStepValue',
+  dataAbsentReason: 'http://hl7.org/fhir/StructureDefinition/data-absent-reason',
+  observationCategory: 'http://terminology.hl7.org/CodeSystem/observation-category',
+  ucum: 'http://unitsofmeasure.org'
+};
+
+/**
+ * Question bank types and the FHIR item types they are exchanged as
+ */
+const ITEM_TYPES = {
+  number: 'integer',
+  select: 'choice',
+  scale: 'choice',
+  multiselect: 'choice',
+  slider: 'decimal',
+  matrix: 'group',
+  date: 'date',
+  text: 'text'
+};
+
+/**
+ * Forms that can be exchanged: every informant form on the child track, and
+ * the question bank of each track without other informants
+ */
+const FORMS = [
+  ...Object.values(INFORMANTS).map(informant => ({
+    questionBank: informant.questionBank,
+    track: 'child',
+    informant: informant.id,
+    title: `ADHD screening: ${informant.label} form`
+  })),
+  ...Object.values(TRACKS).filter(track => !track.informants).map(track => ({
+    questionBank: track.questionBank,
+    track: track.id,
+    informant: null,
+    title: `ADHD screening: ${track.label}`
+  }))
+];
+
+/**
+ * Get the canonical URL of a question bank's Questionnaire
+ * @param {Object} questionBank - Question bank
+ * @returns {string} Canonical URL (without the version)
+ */
+export function getQuestionnaireUrl(questionBank) {
+  return `${FHIR_SYSTEMS.questionnaire}:${questionBank.id}`;
+}
+
+/**
+ * Find the form a question bank belongs to
+ */
+function getForm(questionBank) {
+  const form = FORMS.find(candidate => candidate.questionBank.id === questionBank.id);
+  if (!form) {
+    throw new Error(`Question bank "${questionBank.id}" is not an exchangeable form`);
+  }
+  return form;
+}
+
+/**
+ * Coding for an option code
+ */
+function answerCoding(question, code) {
+  return { system: FHIR_SYSTEMS.answers, code, display: getOptionText(question, code) };
+}
+
+/**
+ * Item control extension (e.g. slider, flyover)
+ */
+function itemControl(code) {
+  return {
+    url: HL7.itemControl,
+    valueCodeableConcept: { coding: [{ system: HL7.itemControlCodes, code }] }
+  };
+}
+
+/**
+ * Data-absent-reason extension
+ */
+function dataAbsentReason(code) {
+  return { url: HL7.dataAbsentReason, valueCode: code };
+}
+
+/**
+ * Find a data-absent-reason code on an item or answer
+ */
+function getDataAbsentReason(element) {
+  const extension = (element.extension || []).find(candidate => candidate.url === HL7.dataAbsentReason);
+  return extension ? extension.valueCode : null;
+}
+
+/**
+ * Translate a branching rule into enableWhen conditions
+ * Supports single comparisons, age bounds and all/any groups of them;
+ * returns null for rules FHIR cannot express (the item is then always enabled)
+ * @param {Object} rule - showIf rule (see branching.js)
+ * @param {Object} questionBank - Question bank the rule refers to
+ * @returns {Object|null} { enableWhen, enableBehavior }
+ */
+function toEnableWhen(rule, questionBank) {
+  if (rule.all || rule.any) {
+    const behavior = rule.all ? 'all' : 'any';
+    const parts = (rule.all || rule.any).map(child => toEnableWhen(child, questionBank));
+    const combinable = parts.every(part => part && (part.enableWhen.length === 1 || part.enableBehavior === behavior));
+    return combinable ? { enableWhen: parts.flatMap(part => part.enableWhen), enableBehavior: behavior } : null;
+  }
+
+  if (rule.age) {
+    const conditions = [];
+    if (rule.age.min !== undefined) conditions.push({ question: 'age', operator: '>=', answerInteger: rule.age.min });
+    if (rule.age.max !== undefined) conditions.push({ question: 'age', operator: '<=', answerInteger: rule.age.max });
+    return { enableWhen: conditions, enableBehavior: 'all' };
+  }
+
+  const question = getAllQuestions(questionBank).find(candidate => candidate.id === rule.question);
+  if (!question) return null;
+
+  if (rule.answered !== undefined) {
+    return { enableWhen: [{ question: question.id, operator: 'exists', answerBoolean: rule.answered }], enableBehavior: 'all' };
+  }
+  if (!question.optionCodes) return null;
+
+  const condition = (operator, code) => ({ question: question.id, operator, answerCoding: answerCoding(question, code) });
+  if (rule.equals !== undefined) return { enableWhen: [condition('=', rule.equals)], enableBehavior: 'all' };
+  if (rule.includes !== undefined) return { enableWhen: [condition('=', rule.includes)], enableBehavior: 'all' };
+  if (rule.notEquals !== undefined) return { enableWhen: [condition('!=', rule.notEquals)], enableBehavior: 'all' };
+  if (rule.in !== undefined) return { enableWhen: rule.in.map(code => condition('=', code)), enableBehavior: 'any' };
+  if (rule.notIn !== undefined) return { enableWhen: rule.notIn.map(code => condition('!=', code)), enableBehavior: 'all' };
+  return null;
+}
+
+/**
+ * Add enableWhen conditions for an item's showIf rule
+ * skipIf rules cannot be expressed and are left to the scoring engine
+ */
+function withEnableWhen(item, source, questionBank) {
+  const translated = source.showIf && toEnableWhen(source.showIf, questionBank);
+  if (!translated) return item;
+
+  return translated.enableWhen.length > 1
+    ? { ...item, enableWhen: translated.enableWhen, enableBehavior: translated.enableBehavior }
+    : { ...item, enableWhen: translated.enableWhen };
+}
+
+/**
+ * Answer options for a choice question, including "Not sure" where offered
+ */
+function answerOptions(question) {
+  const options = question.optionCodes.map(code => ({ valueCoding: answerCoding(question, code) }));
+  if (offersNotSure(question)) {
+    options.push({ valueCoding: { system: FHIR_SYSTEMS.answers, code: NOT_SURE, display: NOT_SURE_TEXT } });
+  }
+  return options;
+}
+
+/**
+ * Build the Questionnaire item for a question
+ */
+function questionItem(question, questionBank) {
+  const item = {
+    linkId: question.id,
+    text: question.text,
+    type: ITEM_TYPES[question.type]
+  };
+  const extension = [];
+
+  if (question.required) item.required = true;
+
+  if (question.type === 'number' || question.type === 'slider') {
+    const valueKey = question.type === 'number' ? 'valueInteger' : 'valueDecimal';
+    if (question.min !== undefined) extension.push({ url: HL7.minValue, [valueKey]: question.min });
+    if (question.max !== undefined) extension.push({ url: HL7.maxValue, [valueKey]: question.max });
+  }
+  if (question.type === 'slider') {
+    extension.push(itemControl('slider'));
+    if (Number.isInteger(question.step)) extension.push({ url: HL7.sliderStep, valueInteger: question.step });
+  }
+  if (question.type === 'text' && question.maxLength) item.maxLength = question.maxLength;
+  if (question.optionCodes && question.type !== 'matrix') item.answerOption = answerOptions(question);
+  if (question.type === 'multiselect') item.repeats = true;
+  if (extension.length > 0) item.extension = extension;
+
+  const children = [];
+  if (question.hint) {
+    children.push({ linkId: `${question.id}.hint`, text: question.hint, type: 'display', extension: [itemControl('flyover')] });
+  }
+  if (question.type === 'matrix') {
+    question.rowCodes.forEach((rowCode, index) => children.push({
+      linkId: `${question.id}.${rowCode}`,
+      text: question.rows[index],
+      type: 'choice',
+      ...(question.required ? { required: true } : {}),
+      answerOption: answerOptions(question)
+    }));
+  }
+  if (children.length > 0) item.item = children;
+
+  return withEnableWhen(item, question, questionBank);
+}
+
+/**
+ * Export a question bank as a FHIR Questionnaire
+ * Sections become groups; option codes are exchanged as codings
+ * @param {Object} questionBank - Question bank (e.g. questions.json)
+ * @returns {Object} Questionnaire resource
+ */
+export function createFhirQuestionnaire(questionBank) {
+  const form = getForm(questionBank);
+
+  return {
+    resourceType: 'Questionnaire',
+    id: `adhd-screening-${questionBank.id}`,
+    url: getQuestionnaireUrl(questionBank),
+    version: questionBank.instrumentVersion,
+    name: `AdhdScreening${questionBank.id.charAt(0).toUpperCase()}${questionBank.id.slice(1)}`,
+    title: form.title,
+    status: 'active',
+    subjectType: ['Patient'],
+    item: questionBank.sections.map(section => withEnableWhen({
+      linkId: section.id,
+      text: section.title,
+      type: 'group',
+      item: section.questions.map(question => questionItem(question, questionBank))
+    }, section, questionBank))
+  };
+}
+
+/**
+ * Build the answers for a stored response
+ */
+function responseAnswers(question, response) {
+  if (isNotSure(response)) {
+    return question.type === 'slider'
+      ? [{ extension: [dataAbsentReason('asked-unknown')] }]
+      : [{ valueCoding: { system: FHIR_SYSTEMS.answers, code: NOT_SURE, display: NOT_SURE_TEXT } }];
+  }
+
+  switch (question.type) {
+    case 'number':
+      return [{ valueInteger: response }];
+    case 'slider':
+      return [{ valueDecimal: response }];
+    case 'date':
+      return [{ valueDate: response }];
+    case 'text':
+      return [{ valueString: response.trim() }];
+    case 'multiselect':
+      return response.map(code => ({ valueCoding: answerCoding(question, code) }));
+    default:
+      return [{ valueCoding: answerCoding(question, response) }];
+  }
+}
+
+/**
+ * Build the QuestionnaireResponse item for a question, or null if it has no answer to send
+ */
+function responseItem(question, response, notAsked) {
+  const item = { linkId: question.id, text: question.text };
+
+  if (notAsked.includes(question.id) && !isAnswered(response) && !isNotSure(response)) {
+    return { ...item, extension: [dataAbsentReason('not-asked')] };
+  }
+
+  if (question.type === 'matrix' && response && typeof response === 'object' && !isNotSure(response)) {
+    const rows = question.rowCodes
+      .filter(rowCode => isAnswered(response[rowCode]) || isNotSure(response[rowCode]))
+      .map(rowCode => ({
+        linkId: `${question.id}.${rowCode}`,
+        text: question.rows[question.rowCodes.indexOf(rowCode)],
+        answer: responseAnswers(question, response[rowCode])
+      }));
+    return rows.length > 0 ? { ...item, item: rows } : null;
+  }
+
+  if (!isAnswered(response) && !isNotSure(response)) return null;
+  // Free text that is not a string (e.g. a number in a hand-written file) is left out
+  if (question.type === 'text' && typeof response !== 'string') return null;
+  return { ...item, answer: responseAnswers(question, response) };
+}
+
+/**
+ * Export one completed form as a FHIR QuestionnaireResponse
+ * Only shown questions are included; skipped questions are left out
+ * @param {Object} questionBank - Question bank the form was completed on
+ * @param {Object} responses - Responses keyed by question id (option codes)
+ * @param {Object} options - { age, notAsked: question ids left out by quick screening, childId, authored: Date, id }
+ * @returns {Object} QuestionnaireResponse resource
+ */
+export function createFhirQuestionnaireResponse(questionBank, responses, options = {}) {
+  const { age, notAsked = [], childId, authored = new Date(), id } = options;
+  const visibility = getVisibility(responses, age, questionBank);
+
+  const item = questionBank.sections
+    .filter(section => visibility.sections[section.id])
+    .map(section => ({
+      linkId: section.id,
+      text: section.title,
+      item: section.questions
+        .filter(question => visibility.questions[question.id])
+        .map(question => responseItem(question, responses[question.id], notAsked))
+        .filter(Boolean)
+    }))
+    .filter(section => section.item.length > 0);
+
+  return {
+    resourceType: 'QuestionnaireResponse',
+    ...(id ? { id } : {}),
+    questionnaire: `${getQuestionnaireUrl(questionBank)}|${questionBank.instrumentVersion}`,
+    status: 'completed',
+    ...(childId ? { subject: { identifier: { system: FHIR_SYSTEMS.childId, value: childId } } } : {}),
+    authored: authored.toISOString(),
+    item
+  };
+}
+
+/**
+ * Round a percentage for an Observation value
+ */
+const roundPercent = value => Math.round(value * 10) / 10;
+
+/**
+ * Percentage quantity
+ */
+function percentQuantity(value) {
+  return { value: roundPercent(value), unit: '%', system: HL7.ucum, code: '%' };
+}
+
+/**
+ * Build the probability Observation for one condition
+ */
+function probabilityObservation(condition, results, { childId, effective, derivedFrom }) {
+  const label = translate(DEFAULT_LOCALE, `conditions.${condition}`);
+  const interval = results.intervals[condition];
+  const level = Math.round(results.intervalLevel * 100);
+  const intervalComponent = (bound, text) => ({
+    code: { coding: [{ system: FHIR_SYSTEMS.observations, code: `interval${bound}`, display: text }] },
+    valueQuantity: percentQuantity(interval[bound.toLowerCase()])
+  });
+
+  return {
+    resourceType: 'Observation',
+    status: 'preliminary',
+    category: [{ coding: [{ system: HL7.observationCategory, code: 'survey', display: 'Survey' }] }],
+    code: {
+      coding: [{ system: FHIR_SYSTEMS.observations, code: condition, display: `${label} screening probability` }],
+      text: `${label} screening probability`
+    },
+    ...(childId ? { subject: { identifier: { system: FHIR_SYSTEMS.childId, value: childId } } } : {}),
+    effectiveDateTime: effective,
+    valueQuantity: percentQuantity(results.probabilities[condition]),
+    method: {
+      coding: [{ system: FHIR_SYSTEMS.probabilityModes, code: results.probabilityMode }],
+      text: `${results.probabilityMode === 'independent' ? 'Independent' : 'Relative'} probability, screening engine ${results.engineVersion}`
+    },
+    note: [{
+      text: `Screening estimate, not a diagnosis. Questionnaire ${results.instrumentVersion}, ` +
+        `${results.prevalenceProfile} prevalence profile, confidence ${results.confidence}.`
+    }],
+    component: [
+      intervalComponent('Lower', `Lower bound of the ${level}% uncertainty range`),
+      intervalComponent('Upper', `Upper bound of the ${level}% uncertainty range`)
+    ],
+    derivedFrom
+  };
+}
+
+/**
+ * Export a completed screening as a FHIR Bundle
+ * Holds a QuestionnaireResponse per completed form and an Observation per
+ * condition probability, linked with urn:uuid references
+ * @param {Object} results - Results from runScreening
+ * @param {Object} options - { responses, informantResponses, childId, notAsked, generatedAt: Date }
+ * @returns {Object} Bundle resource (type "collection")
+ */
+export function createFhirBundle(results, options = {}) {
+  const { responses = {}, informantResponses = {}, childId, notAsked = [] } = options;
+  const generatedAt = options.generatedAt || new Date();
+  const track = getTrack(results.track);
+  const fullUrl = () => `urn:uuid:${globalThis.crypto.randomUUID()}`;
+
+  // The main form first, then other informants' forms that were scored
+  const forms = track.informants
+    ? results.informants.forms.map(form => ({
+      questionBank: INFORMANTS[form.informant].questionBank,
+      responses: form.informant === 'parent' ? responses : informantResponses[form.informant],
+      notAsked: form.informant === 'parent' ? notAsked : []
+    }))
+    : [{ questionBank: track.questionBank, responses, notAsked }];
+
+  const responseEntries = forms.map(form => ({
+    fullUrl: fullUrl(),
+    resource: createFhirQuestionnaireResponse(form.questionBank, form.responses, {
+      age: results.childAge,
+      notAsked: form.notAsked,
+      childId,
+      authored: generatedAt
+    })
+  }));
+
+  const derivedFrom = responseEntries.map(entry => ({ reference: entry.fullUrl }));
+  const observationEntries = Object.keys(results.probabilities).map(condition => ({
+    fullUrl: fullUrl(),
+    resource: probabilityObservation(condition, results, {
+      childId,
+      effective: generatedAt.toISOString(),
+      derivedFrom
+    })
+  }));
+
+  return {
+    resourceType: 'Bundle',
+    type: 'collection',
+    timestamp: generatedAt.toISOString(),
+    entry: [...responseEntries, ...observationEntries]
+  };
+}
+
+/**
+ * Collect QuestionnaireResponse items by linkId, at any depth
+ */
+function collectItems(items = [], found = {}) {
+  items.forEach(item => {
+    found[item.linkId] = item;
+    collectItems(item.item, found);
+    (item.answer || []).forEach(answer => collectItems(answer.item, found));
+  });
+  return found;
+}
+
+/**
+ * Read one answer as a stored value, or undefined if it does not fit the question
+ */
+function readAnswer(question, answer) {
+  if (getDataAbsentReason(answer) === 'asked-unknown') {
+    return offersNotSure(question) ? NOT_SURE : undefined;
+  }
+  if (answer.valueCoding) {
+    const { code } = answer.valueCoding;
+    if (code === NOT_SURE) return offersNotSure(question) ? NOT_SURE : undefined;
+    return question.optionCodes && question.optionCodes.includes(code) ? code : undefined;
+  }
+
+  switch (question.type) {
+    case 'number':
+      return Number.isInteger(answer.valueInteger) ? answer.valueInteger : undefined;
+    case 'slider': {
+      const value = answer.valueDecimal !== undefined ? answer.valueDecimal : answer.valueInteger;
+      return typeof value === 'number' ? value : undefined;
+    }
+    case 'date':
+      return answer.valueDate;
+    case 'text':
+      return answer.valueString;
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Read a QuestionnaireResponse into responses for a question bank
+ */
+function readQuestionnaireResponse(resource, warnings) {
+  const [url, version] = String(resource.questionnaire || '').split('|');
+  const form = FORMS.find(candidate => getQuestionnaireUrl(candidate.questionBank) === url);
+  if (!form) {
+    throw new Error(`Unknown questionnaire: ${resource.questionnaire || '(none)'}`);
+  }
+
+  const items = collectItems(resource.item);
+  const responses = {};
+  const notAsked = [];
+  const unread = answerItem => warnings.push(`${form.title}, ${answerItem.linkId}: answer does not match the question and was dropped`);
+
+  getAllQuestions(form.questionBank).forEach(question => {
+    const item = items[question.id];
+    if (!item) return;
+
+    if (getDataAbsentReason(item) === 'not-asked') {
+      notAsked.push(question.id);
+      return;
+    }
+
+    if (question.type === 'matrix') {
+      const rows = {};
+      question.rowCodes.forEach(rowCode => {
+        const rowItem = items[`${question.id}.${rowCode}`];
+        if (!rowItem || !rowItem.answer || rowItem.answer.length === 0) return;
+        const value = readAnswer(question, rowItem.answer[0]);
+        if (value === undefined) unread(rowItem); else rows[rowCode] = value;
+      });
+      if (Object.keys(rows).length > 0) responses[question.id] = rows;
+      return;
+    }
+
+    const values = (item.answer || []).map(answer => readAnswer(question, answer));
+    if (values.some(value => value === undefined)) unread(item);
+    const read = values.filter(value => value !== undefined);
+    if (read.length === 0) return;
+
+    if (question.type !== 'multiselect') {
+      responses[question.id] = read[0];
+    } else {
+      responses[question.id] = read.includes(NOT_SURE) ? NOT_SURE : read;
+    }
+  });
+
+  const questionIds = new Set(getAllQuestions(form.questionBank).flatMap(question =>
+    [question.id, `${question.id}.hint`, ...(question.rowCodes || []).map(rowCode => `${question.id}.${rowCode}`)]
+  ));
+  const sectionIds = new Set(form.questionBank.sections.map(section => section.id));
+  Object.keys(items)
+    .filter(linkId => !questionIds.has(linkId) && !sectionIds.has(linkId))
+    .forEach(linkId => warnings.push(`${form.title}: unknown item "${linkId}" was ignored`));
+
+  const childId = resource.subject && resource.subject.identifier &&
+    resource.subject.identifier.system === FHIR_SYSTEMS.childId ? resource.subject.identifier.value : null;
+
+  return { form, instrumentVersion: version || null, responses, notAsked, childId };
+}
+
+/**
+ * Read the probabilities reported in a Bundle's Observations
+ */
+function readReportedProbabilities(observations) {
+  const probabilities = {};
+  let probabilityMode = null;
+
+  observations.forEach(observation => {
+    const coding = ((observation.code && observation.code.coding) || [])
+      .find(candidate => candidate.system === FHIR_SYSTEMS.observations);
+    if (!coding || !observation.valueQuantity) return;
+
+    probabilities[coding.code] = observation.valueQuantity.value;
+    const mode = ((observation.method && observation.method.coding) || [])
+      .find(candidate => candidate.system === FHIR_SYSTEMS.probabilityModes);
+    if (mode) probabilityMode = mode.code;
+  });
+
+  return Object.keys(probabilities).length > 0 ? { probabilities, probabilityMode } : null;
+}
+
+/**
+ * Import a FHIR QuestionnaireResponse, or a Bundle of them, for re-scoring
+ * A Bundle's responses must all be for the same person; teacher and
+ * young-person forms are linked to the parent form. Answers are checked
+ * against the question bank and anything that does not fit is dropped with
+ * a warning. Forms from older child questionnaire versions are returned with
+ * their version so readLinkedResponseSet can migrate them
+ * @param {Object} resource - QuestionnaireResponse or Bundle resource
+ * @returns {Object} {
+ *   responseSet: linked response set (child track) or response set (other tracks),
+ *   notAsked: question ids left out by quick screening (main form),
+ *   reported: { probabilities, probabilityMode } from the Bundle's Observations, or null,
+ *   warnings
+ * }
+ * @throws {Error} If the resource holds no known form, or mixes tracks or people
+ */
+export function readFhirResource(resource) {
+  if (!resource || !['Bundle', 'QuestionnaireResponse'].includes(resource.resourceType)) {
+    throw new Error('Expected a FHIR Bundle or QuestionnaireResponse');
+  }
+
+  const resources = resource.resourceType === 'Bundle'
+    ? (resource.entry || []).map(entry => entry.resource).filter(Boolean)
+    : [resource];
+  const warnings = [];
+  const forms = resources
+    .filter(candidate => candidate.resourceType === 'QuestionnaireResponse')
+    .map(candidate => readQuestionnaireResponse(candidate, warnings));
+
+  if (forms.length === 0) {
+    throw new Error('No QuestionnaireResponse found');
+  }
+  const tracks = new Set(forms.map(form => form.form.track));
+  if (tracks.size > 1) {
+    throw new Error('Cannot import forms from more than one screening track together');
+  }
+  const childIds = new Set(forms.map(form => form.childId).filter(Boolean));
+  if (childIds.size > 1) {
+    throw new Error('Cannot import forms for more than one person together');
+  }
+  const [childId = null] = childIds;
+  const reported = readReportedProbabilities(resources.filter(candidate => candidate.resourceType === 'Observation'));
+
+  const main = forms.find(form => !form.form.informant || form.form.informant === 'parent');
+  if (!main) {
+    throw new Error('No parent or carer form found; other informants\' forms are scored alongside it');
+  }
+  if (forms.filter(form => form.form === main.form).length > 1) {
+    throw new Error(`More than one ${main.form.title} found`);
+  }
+
+  if (!main.form.informant) {
+    return {
+      responseSet: { instrumentVersion: main.instrumentVersion, track: main.form.track, responses: main.responses },
+      notAsked: main.notAsked,
+      reported,
+      warnings
+    };
+  }
+
+  const informants = {};
+  forms.forEach(form => {
+    if (informants[form.form.informant]) {
+      throw new Error(`More than one ${form.form.title} found`);
+    }
+    informants[form.form.informant] = { instrumentVersion: form.instrumentVersion, responses: form.responses };
+  });
+
+  return {
+    responseSet: { childId, informants },
+    notAsked: main.notAsked,
+    reported,
+    warnings
+  };
+}
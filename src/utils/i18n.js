@@ -0,0 +1,241 @@
+import enBundle from '../data/locales/en.json';
+import cyBundle from '../data/locales/cy.json';
+import plBundle from '../data/locales/pl.json';
+import urBundle from '../data/locales/ur.json';
+import bnBundle from '../data/locales/bn.json';
+
+/**
+ * Localisation
+ * Display text for the questionnaires, results and interface in each
+ * supported language. Locale bundles only ever replace text: question ids,
+ * option codes, weights and every other scoring input come from the question
+ * banks, so a screening scores the same whatever language it is shown in.
+ * English is the source language: question banks, ageNorms.json,
+ * mlPatterns.json and the recommendation text in mlMatcher.js are written in
+ * English, and anything a bundle leaves out falls back to that text
+ */
+
+/**
+ * Supported locales
+ * dir:  text direction of the language
+ * intl: locale passed to Intl for dates, lists and plural rules
+ */
+export const LOCALES = {
+  en: { id: 'en', name: 'English', dir: 'ltr', intl: 'en-GB', bundle: enBundle },
+  cy: { id: 'cy', name: 'Cymraeg', dir: 'ltr', intl: 'cy-GB', bundle: cyBundle },
+  pl: { id: 'pl', name: 'Polski', dir: 'ltr', intl: 'pl-PL', bundle: plBundle },
+  ur: { id: 'ur', name: 'اردو', dir: 'rtl', intl: 'ur', bundle: urBundle },
+  bn: { id: 'bn', name: 'বাংলা', dir: 'ltr', intl: 'bn', bundle: bnBundle }
+};
+
+export const DEFAULT_LOCALE = 'en';
+
+/**
+ * Browser storage key for the chosen language
+ */
+const LOCALE_STORAGE_KEY = 'nhsAdhdScreening.locale';
+
+/**
+ * Get a locale definition
+ * Falls back to English when the id is unknown or missing
+ * @param {string} localeId - Locale id
+ * @returns {Object} Locale definition
+ */
+export function getLocale(localeId) {
+  return LOCALES[localeId] || LOCALES[DEFAULT_LOCALE];
+}
+
+/**
+ * Pick the first supported locale from a list of language tags
+ * @param {Array} languages - Language tags, most preferred first (e.g. navigator.languages)
+ * @returns {string} Locale id ("pl-PL" matches "pl"; English when none match)
+ */
+export function matchLocale(languages = []) {
+  const match = languages
+    .map(tag => String(tag).toLowerCase().split('-')[0])
+    .find(language => LOCALES[language]);
+  return match || DEFAULT_LOCALE;
+}
+
+/**
+ * Language to start in: the one chosen last time on this device, otherwise the
+ * browser's preferred language
+ * @returns {string} Locale id
+ */
+export function getPreferredLocale() {
+  try {
+    const saved = globalThis.localStorage && globalThis.localStorage.getItem(LOCALE_STORAGE_KEY);
+    if (LOCALES[saved]) return saved;
+  } catch {
+    // storage access can throw when blocked by browser settings
+  }
+
+  const navigator = globalThis.navigator;
+  return matchLocale(navigator ? navigator.languages || [navigator.language] : []);
+}
+
+/**
+ * Remember the chosen language on this device
+ * @param {string} localeId - Locale id
+ */
+export function savePreferredLocale(localeId) {
+  try {
+    if (globalThis.localStorage) globalThis.localStorage.setItem(LOCALE_STORAGE_KEY, localeId);
+  } catch {
+    // the choice still applies until the page is closed
+  }
+}
+
+/**
+ * Read a value from a bundle by path
+ */
+function lookup(bundle, path) {
+  return path.reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), bundle);
+}
+
+/**
+ * Get part of a locale bundle, e.g. ['recommendations', 'child']
+ * @param {string} localeId - Locale id
+ * @param {Array} path - Keys from the top of the bundle
+ * @returns {*} The value at that path, or undefined when the bundle has none
+ */
+export function getTranslations(localeId, path) {
+  return lookup(getLocale(localeId).bundle, path);
+}
+
+/**
+ * Translate source-language content (pattern names, age notes...)
+ * @param {string} localeId - Locale id
+ * @param {Array} path - Keys from the top of the bundle
+ * @param {string} sourceText - English text, used when the bundle has no translation
+ * @returns {string} Translated text
+ */
+export function localizeText(localeId, path, sourceText) {
+  const text = getTranslations(localeId, path);
+  return typeof text === 'string' ? text : sourceText;
+}
+
+/**
+ * Fill {placeholders} in a message
+ * Values may be React elements (e.g. bold text inside a sentence); the message
+ * is then returned as an array of parts instead of a string
+ * @param {string} template - Message with {name} placeholders
+ * @param {Object} params - Placeholder values
+ * @returns {string|Array} Formatted message
+ */
+export function formatMessage(template, params = {}) {
+  const parts = template
+    .split(/\{(\w+)\}/)
+    .map((part, index) => (index % 2 === 1 && params[part] !== undefined ? params[part] : part));
+
+  return parts.every(part => typeof part === 'string' || typeof part === 'number')
+    ? parts.join('')
+    : parts.filter(part => part !== '');
+}
+
+/**
+ * Translate an interface message
+ * Messages with a `count` parameter may be plural forms ({ one, few, many, other... })
+ * chosen with the language's plural rules
+ * @param {string} localeId - Locale id
+ * @param {string} key - Dotted key under "ui", e.g. "results.title"
+ * @param {Object} params - Placeholder values
+ * @returns {string|Array} Translated message (English if untranslated, the key if unknown)
+ */
+export function translate(localeId, key, params = {}) {
+  const path = ['ui', ...key.split('.')];
+  const locale = getLocale(localeId);
+  let message = lookup(locale.bundle, path);
+  if (message === undefined) message = lookup(LOCALES[DEFAULT_LOCALE].bundle, path);
+
+  if (message && typeof message === 'object' && typeof params.count === 'number') {
+    const form = new Intl.PluralRules(locale.intl).select(params.count);
+    message = message[form] || message.other;
+  }
+
+  return typeof message === 'string' ? formatMessage(message, params) : key;
+}
+
+/**
+ * Join items into a list ("ADHD, autism and anxiety")
+ * @param {string} localeId - Locale id
+ * @param {Array} items - Strings to join
+ * @returns {string} List in the language's style
+ */
+export function formatList(localeId, items) {
+  return new Intl.ListFormat(getLocale(localeId).intl, { type: 'conjunction' }).format(items);
+}
+
+/**
+ * Format a time for display
+ * @param {string} localeId - Locale id
+ * @param {number} time - Time (ms)
+ * @returns {string} e.g. "3 Mar 2025, 14:05"
+ */
+export function formatDateTime(localeId, time) {
+  return new Date(time).toLocaleString(getLocale(localeId).intl, { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+/**
+ * Format a date for letters
+ * @param {string} localeId - Locale id
+ * @param {number} time - Time (ms)
+ * @returns {string} e.g. "3 March 2025"
+ */
+export function formatDate(localeId, time) {
+  return new Date(time).toLocaleDateString(getLocale(localeId).intl, { dateStyle: 'long' });
+}
+
+/**
+ * Localised copies of each question bank, so repeated renders reuse them
+ */
+const localizedBanks = new WeakMap();
+
+/**
+ * Show a question bank in another language
+ * Replaces section titles, question text, hints, option and row labels (matched
+ * on their stable codes) and slider labels. Everything else is left untouched
+ * @param {Object} questionBank - Question bank with an `id` (e.g. "child")
+ * @param {string} localeId - Locale id
+ * @returns {Object} Question bank with translated text (the bank itself in English)
+ */
+export function localizeQuestionBank(questionBank, localeId) {
+  const translations = getTranslations(localeId, ['questionBanks', questionBank.id]);
+  if (!translations) return questionBank;
+
+  if (!localizedBanks.has(questionBank)) localizedBanks.set(questionBank, new Map());
+  const cache = localizedBanks.get(questionBank);
+  if (!cache.has(localeId)) {
+    const sectionTitles = translations.sections || {};
+    const questionText = translations.questions || {};
+
+    cache.set(localeId, {
+      ...questionBank,
+      sections: questionBank.sections.map(section => ({
+        ...section,
+        title: sectionTitles[section.id] || section.title,
+        questions: section.questions.map(question => localizeQuestion(question, questionText[question.id]))
+      }))
+    });
+  }
+  return cache.get(localeId);
+}
+
+/**
+ * Translate one question's text fields
+ */
+function localizeQuestion(question, text) {
+  if (!text) return question;
+
+  const localized = { ...question };
+  ['text', 'hint', 'minLabel', 'maxLabel'].forEach(field => {
+    if (question[field] && text[field]) localized[field] = text[field];
+  });
+  if (question.options && text.options) {
+    localized.options = question.optionCodes.map((code, index) => text.options[code] || question.options[index]);
+  }
+  if (question.rows && text.rows) {
+    localized.rows = question.rowCodes.map((code, index) => text.rows[code] || question.rows[index]);
+  }
+  return localized;
+}
@@ -0,0 +1,356 @@
+import questionsData from '../data/questions.json';
+import teacherQuestionsData from '../data/teacherQuestions.json';
+import selfReportQuestionsData from '../data/selfReportQuestions.json';
+import { calculateScores, getScoreRange } from './calculator.js';
+import { getAllQuestions, isAnswered } from './questionBank.js';
+import { migrateResponseSet } from './responseMigration.js';
+import { translate } from './i18n.js';
+
+/**
+ * Multi-informant Screening
+ * Parent, teacher and young-person forms for the same child, each with its
+ * own question set and weights. Forms are scored separately, compared for
+ * agreement, and merged into the parent-form pipeline as extra evidence
+ */
+
+/**
+ * Informant forms
+ * settings: pervasiveness option codes the informant can vouch for
+ * weight:   how strongly the form's evidence counts relative to the parent form
+ * minAge:   youngest age the form is offered for
+ */
+export const INFORMANTS = {
+  parent: {
+    id: 'parent',
+    label: 'Parent or carer',
+    questionBank: questionsData,
+    settings: ['home'],
+    weight: 1
+  },
+  teacher: {
+    id: 'teacher',
+    label: 'Teacher',
+    questionBank: teacherQuestionsData,
+    settings: ['school'],
+    weight: 0.75
+  },
+  selfReport: {
+    id: 'selfReport',
+    label: 'Young person',
+    questionBank: selfReportQuestionsData,
+    settings: ['social'],
+    weight: 0.5,
+    minAge: 11
+  }
+};
+
+export const INFORMANT_SETTINGS = {
+  elevatedThreshold: 50,   // percent of a form's score range counted as elevated
+  disagreementSpread: 25,  // percentage points between informants before a split counts as disagreement
+  disagreementWeight: 0.5  // evidence contradicting the parent form counts half
+};
+
+/**
+ * Question holding the settings where difficulties occur
+ */
+const PERVASIVENESS_QUESTION = 'pervasiveness';
+
+/**
+ * Get an informant definition
+ * @param {string} informantId - Informant id
+ * @returns {Object|undefined} Informant definition
+ */
+export function getInformant(informantId) {
+  return INFORMANTS[informantId];
+}
+
+/**
+ * Get the informant forms offered for a child's age
+ * @param {number} age - Child's age
+ * @returns {Array} Informant definitions
+ */
+export function getAvailableInformants(age) {
+  return Object.values(INFORMANTS).filter(informant =>
+    !informant.minAge || (age && age >= informant.minAge)
+  );
+}
+
+/**
+ * Create an identifier linking all forms completed for one child
+ * @returns {string} Child reference
+ */
+export function createChildId() {
+  return globalThis.crypto.randomUUID();
+}
+
+/**
+ * Wrap every informant's responses for one child in a linked response set
+ * @param {string} childId - Child reference from createChildId
+ * @param {Object} informantResponses - Responses keyed by informant id
+ * @returns {Object} { childId, informants: { id: { instrumentVersion, responses } } }
+ */
+export function createLinkedResponseSet(childId, informantResponses) {
+  const informants = {};
+
+  Object.entries(informantResponses).forEach(([informantId, responses]) => {
+    const informant = getInformant(informantId);
+    if (!informant || !Object.values(responses || {}).some(isAnswered)) return;
+
+    informants[informantId] = {
+      instrumentVersion: informant.questionBank.instrumentVersion,
+      responses
+    };
+  });
+
+  return { childId, informants };
+}
+
+/**
+ * Read a linked response set, or a single parent response set
+ * The parent form is migrated to the current instrument version; other
+ * forms must match their form's current version
+ * @param {Object} input - Linked response set, or a single parent or adult response set
+ * @returns {Object} { childId, track, responses, informants, migratedFrom, warnings }
+ */
+export function readLinkedResponseSet(input) {
+  if (!input || !input.informants) {
+    const parent = migrateResponseSet(input);
+    return { childId: null, track: parent.track, responses: parent.responses, informants: {}, migratedFrom: parent.migratedFrom, warnings: parent.warnings };
+  }
+
+  if (!input.informants.parent) {
+    throw new Error('Linked response set has no parent form');
+  }
+
+  const parent = migrateResponseSet(input.informants.parent);
+  const informants = {};
+
+  Object.entries(input.informants).forEach(([informantId, responseSet]) => {
+    if (informantId === 'parent') return;
+
+    const informant = getInformant(informantId);
+    if (!informant) {
+      throw new Error(`Unknown informant form: ${informantId}`);
+    }
+
+    const expectedVersion = informant.questionBank.instrumentVersion;
+    if (responseSet.instrumentVersion !== expectedVersion) {
+      throw new Error(`Cannot read ${informant.label} form version ${responseSet.instrumentVersion} (expected ${expectedVersion})`);
+    }
+
+    informants[informantId] = responseSet.responses;
+  });
+
+  return {
+    childId: input.childId || null,
+    track: parent.track,
+    responses: parent.responses,
+    informants,
+    migratedFrom: parent.migratedFrom,
+    warnings: parent.warnings
+  };
+}
+
+/**
+ * Score one informant's form
+ * Elevation places each condition score within the form's possible range
+ * (0-100), so forms of different lengths can be compared
+ * @param {string} informantId - Informant id
+ * @param {Object} responses - That informant's responses
+ * @param {number} age - Child's age
+ * @returns {Object} Scores, neutral scores, elevation and completeness for the form
+ */
+export function scoreInformantForm(informantId, responses, age) {
+  const informant = getInformant(informantId);
+  const { scores, completeness } = calculateScores(responses, age, { questionBank: informant.questionBank });
+
+  // Score of a form with every question skipped, i.e. all neutral estimates
+  const neutralScores = calculateScores({}, age, { questionBank: informant.questionBank }).scores;
+
+  const visibleQuestions = getAllQuestions(informant.questionBank)
+    .filter(question => completeness.status[question.id] !== 'hidden');
+
+  const elevation = {};
+  Object.entries(scores).forEach(([condition, score]) => {
+    const { min, max } = getScoreRange(condition, visibleQuestions);
+    elevation[condition] = max > min ? ((score - min) / (max - min)) * 100 : null;
+  });
+
+  return {
+    informant: informantId,
+    label: informant.label,
+    scores,
+    neutralScores,
+    elevation,
+    completeness
+  };
+}
+
+/**
+ * Compare informants' elevation for each condition
+ */
+function compareInformants(forms, conditions) {
+  const { elevatedThreshold, disagreementSpread } = INFORMANT_SETTINGS;
+  const agreement = {};
+
+  conditions.forEach(condition => {
+    const ratings = forms
+      .filter(form => form.elevation[condition] !== null)
+      .map(form => ({
+        informant: form.informant,
+        label: form.label,
+        elevation: form.elevation[condition],
+        elevated: form.elevation[condition] >= elevatedThreshold
+      }));
+
+    const values = ratings.map(rating => rating.elevation);
+    const spread = values.length > 0 ? Math.max(...values) - Math.min(...values) : 0;
+    const elevatedCount = ratings.filter(rating => rating.elevated).length;
+
+    let status = 'agree';
+    if (ratings.length < 2) {
+      status = 'single';
+    } else if (elevatedCount > 0 && elevatedCount < ratings.length) {
+      status = spread >= disagreementSpread ? 'disagree' : 'borderline';
+    }
+
+    agreement[condition] = { status, spread, ratings };
+  });
+
+  return agreement;
+}
+
+/**
+ * Merge additional informant forms into the parent-form scoring
+ * @param {Object} responses - Parent form responses
+ * @param {Object} informantResponses - Other informants' responses keyed by informant id
+ * @param {number} age - Child's age
+ * @param {string} locale - Language for the text describing other forms' evidence
+ * @returns {Object} {
+ *   responses: parent responses with cross-setting evidence added to pervasiveness,
+ *   scoreAdjustments: raw score points to add per condition,
+ *   contributions: per-condition contributions describing that evidence,
+ *   forms, agreement, disagreements, crossSettingEvidence, warnings
+ * }
+ */
+export function mergeInformants(responses, informantResponses = {}, age, locale) {
+  const { elevatedThreshold, disagreementWeight } = INFORMANT_SETTINGS;
+  const warnings = [];
+  const parentForm = scoreInformantForm('parent', responses, age);
+  const conditions = Object.keys(parentForm.scores);
+  const otherForms = [];
+
+  Object.entries(informantResponses).forEach(([informantId, formResponses]) => {
+    const informant = getInformant(informantId);
+    if (!informant || informantId === 'parent') {
+      warnings.push(`Unknown informant form "${informantId}" was ignored`);
+      return;
+    }
+    if (informant.minAge && age < informant.minAge) {
+      warnings.push(`${informant.label} form was ignored: it is only used from age ${informant.minAge}`);
+      return;
+    }
+
+    const form = scoreInformantForm(informantId, formResponses || {}, age);
+    if (form.completeness.answered > 0) {
+      otherForms.push(form);
+    }
+  });
+
+  const forms = [parentForm, ...otherForms];
+  const agreement = compareInformants(forms, conditions);
+
+  // Evidence from other informants, centred on each form's neutral score;
+  // evidence that contradicts the parent form is discounted
+  const scoreAdjustments = {};
+  const contributions = {};
+  conditions.forEach(condition => {
+    scoreAdjustments[condition] = 0;
+    contributions[condition] = [];
+  });
+
+  otherForms.forEach(form => {
+    const informant = getInformant(form.informant);
+
+    conditions.forEach(condition => {
+      const elevation = form.elevation[condition];
+      if (elevation === null) return;
+
+      const parentElevation = parentForm.elevation[condition];
+      const agreesWithParent = parentElevation === null ||
+        (elevation >= elevatedThreshold) === (parentElevation >= elevatedThreshold);
+      const weight = informant.weight * (agreesWithParent ? 1 : disagreementWeight);
+      const points = Math.round((form.scores[condition] - form.neutralScores[condition]) * weight * 10) / 10;
+
+      scoreAdjustments[condition] += points;
+      if (points !== 0) {
+        contributions[condition].push({
+          questionId: `informant:${form.informant}`,
+          questionText: translate(locale, 'informants.form', { informant: translate(locale, `informants.${form.informant}`) }),
+          answer: translate(locale, agreesWithParent ? 'informants.formRange' : 'informants.formRangeDisagrees', { percent: Math.round(elevation) }),
+          points,
+          ageAdjustment: 0,
+          informant: form.informant
+        });
+      }
+    });
+  });
+
+  // Cross-setting evidence: settings where another informant reports elevated difficulties
+  const reportedSettings = Array.isArray(responses[PERVASIVENESS_QUESTION])
+    ? responses[PERVASIVENESS_QUESTION]
+    : [];
+  const crossSettingEvidence = [];
+
+  otherForms
+    .filter(form => conditions.some(condition => form.elevation[condition] >= elevatedThreshold))
+    .forEach(form => {
+      getInformant(form.informant).settings.forEach(setting => {
+        const alreadyReported = reportedSettings.includes(setting) ||
+          crossSettingEvidence.some(evidence => evidence.setting === setting);
+        if (!alreadyReported) {
+          crossSettingEvidence.push({ setting, informant: form.informant, label: form.label });
+        }
+      });
+    });
+
+  const mergedResponses = crossSettingEvidence.length > 0
+    ? { ...responses, [PERVASIVENESS_QUESTION]: [...reportedSettings, ...crossSettingEvidence.map(evidence => evidence.setting)] }
+    : responses;
+
+  return {
+    responses: mergedResponses,
+    scoreAdjustments,
+    contributions,
+    forms: forms.map(({ informant, label, elevation, completeness }) => ({
+      informant,
+      label,
+      elevation,
+      answered: completeness.answered,
+      total: completeness.total
+    })),
+    agreement,
+    disagreements: conditions.filter(condition => agreement[condition].status === 'disagree'),
+    crossSettingEvidence,
+    warnings
+  };
+}
+
+/**
+ * Mark pervasiveness contributions that came from another informant's form
+ * @param {Object} contributions - Per-condition contributions from calculateScores (updated in place)
+ * @param {Array} crossSettingEvidence - Settings added by mergeInformants
+ * @param {string} locale - Language for the added label
+ */
+export function labelCrossSettingContributions(contributions, crossSettingEvidence, locale) {
+  crossSettingEvidence.forEach(evidence => {
+    Object.values(contributions).forEach(conditionContributions => {
+      conditionContributions
+        .filter(contribution => contribution.questionId === PERVASIVENESS_QUESTION && contribution.answerCode === evidence.setting)
+        .forEach(contribution => {
+          const informant = translate(locale, `informants.${evidence.informant}`).toLowerCase();
+          contribution.answer = `${contribution.answer} (${translate(locale, 'informants.fromForm', { informant })})`;
+        });
+    });
+  });
+}
@@ -1,84 +1,121 @@
 import mlPatternsData from '../data/mlPatterns.json';
+import { getTranslations, localizeText, formatMessage, formatList } from './i18n.js';
 
 /**
  * ML Pattern Matcher - V8 Specification
- * Hardcoded pattern matching logic based on empirical evidence
- * Returns confidence bonuses for matched patterns
+ * Signature-driven pattern matching against the patterns in mlPatterns.json
+ * Returns confidence bonuses scaled by how much of each pattern matched
  */
 
 /**
- * Match ML features against V8 pattern specifications
- * Uses numeric variability (0-4 index) and string values for other features
- * @param {Object} mlFeatures - Features extracted from question responses
- * @returns {Object} Match results with confidence boosts for each condition
+ * Minimum proportion of signature features that must match for a pattern
+ * to count as confirmed
  */
-export function matchPatterns(mlFeatures) {
-  const matchedPatterns = {
-    adhd: { matched: false, patternName: null, confidenceBoost: 0 },
-    autism: { matched: false, patternName: null, confidenceBoost: 0 },
-    anxiety: { matched: false, patternName: null, confidenceBoost: 0 },
-    trauma: { matched: false, patternName: null, confidenceBoost: 0 }
-  };
+const MATCH_THRESHOLD = 0.75;
 
-  // ADHD Combined Type Pattern
-  // High variability (index >= 3) + Strong novelty seeking + Dramatic reward response + Present hyperactivity
-  if (mlFeatures.variability >= 3 &&
-      mlFeatures.noveltySeeking === 'strong' &&
-      mlFeatures.rewardResponse === 'dramatic' &&
-      mlFeatures.hyperactivity === 'present') {
-    matchedPatterns.adhd = {
-      matched: true,
-      patternName: 'ADHD Combined Type',
-      confidenceBoost: 25
-    };
-  }
-  // ADHD Inattentive Type Pattern
-  // High variability (index >= 3) + Absent/Moderate hyperactivity + Moderate/Dramatic reward response
-  else if (mlFeatures.variability >= 3 &&
-           (mlFeatures.hyperactivity === 'absent' || mlFeatures.hyperactivity === 'moderate') &&
-           (mlFeatures.rewardResponse === 'moderate' || mlFeatures.rewardResponse === 'dramatic')) {
-    matchedPatterns.adhd = {
-      matched: true,
-      patternName: 'ADHD Inattentive Type',
-      confidenceBoost: 20
-    };
-  }
+/**
+ * Bucket boundaries for index-based features (0-4 scale)
+ * "high" and "low" in a signature refer to these ranges
+ */
+const INDEX_BUCKETS = {
+  high: index => index >= 3,
+  low: index => index <= 1
+};
 
-  // Autism Classic Pattern
-  // Low variability (index 0-1) + Negative novelty seeking + Interest-driven hyperfocus
-  if ((mlFeatures.variability === 0 || mlFeatures.variability === 1) &&
-      mlFeatures.noveltySeeking === 'negative' &&
-      mlFeatures.hyperfocusPattern === 'interestDriven') {
-    matchedPatterns.autism = {
-      matched: true,
-      patternName: 'Autism Classic',
-      confidenceBoost: 30
-    };
-  }
+/**
+ * Map mlPatterns.json groups to condition keys
+ * e.g. "adhdPatterns" -> "adhd"
+ */
+const PATTERN_GROUPS = Object.entries(mlPatternsData).map(([groupKey, patterns]) => ({
+  condition: groupKey.replace(/Patterns$/, ''),
+  patterns
+}));
 
-  // Generalized Anxiety Pattern
-  // Worry-based attention content + Non-regulated emotional state
-  if (mlFeatures.attentionContent === 'worry' &&
-      mlFeatures.emotionalRegulation &&
-      mlFeatures.emotionalRegulation !== 'regulated') {
-    matchedPatterns.anxiety = {
-      matched: true,
-      patternName: 'Generalized Anxiety',
-      confidenceBoost: 20
-    };
+/**
+ * Check a single feature value against a signature expectation
+ * Arrays match any listed value, "high"/"low" match index buckets,
+ * anything else must match exactly
+ * @param {*} value - Extracted feature value
+ * @param {*} expected - Signature value from mlPatterns.json
+ * @returns {boolean} True if the feature satisfies the signature
+ */
+function featureMatches(value, expected) {
+  if (value === undefined || value === null) return false;
+
+  if (Array.isArray(expected)) {
+    return expected.some(option => featureMatches(value, option));
   }
 
-  // PTSD/Trauma Pattern
-  // Post-event trigger + Trauma response in emotional regulation
-  if (mlFeatures.trigger === 'postEvent' &&
-      mlFeatures.emotionalRegulation === 'traumaResponse') {
-    matchedPatterns.trauma = {
-      matched: true,
-      patternName: 'PTSD Presentation',
-      confidenceBoost: 25
-    };
+  if (typeof value === 'number' && INDEX_BUCKETS[expected]) {
+    return INDEX_BUCKETS[expected](value);
   }
 
+  return value === expected;
+}
+
+/**
+ * Evaluate one pattern signature against extracted features
+ * @param {Object} pattern - Pattern definition from mlPatterns.json
+ * @param {Object} mlFeatures - Features extracted from question responses
+ * @returns {Object} Match details for the pattern
+ */
+export function evaluateSignature(pattern, mlFeatures) {
+  const features = Object.entries(pattern.signature);
+  const matchedFeatureKeys = features
+    .filter(([feature, expected]) => featureMatches(mlFeatures[feature], expected))
+    .map(([feature]) => feature);
+
+  const totalFeatures = features.length;
+  const matchedFeatures = matchedFeatureKeys.length;
+  const matchScore = totalFeatures > 0 ? matchedFeatures / totalFeatures : 0;
+  const matched = matchScore >= MATCH_THRESHOLD;
+
+  return {
+    matched,
+    patternName: pattern.name,
+    // Scale the boost by the proportion of the signature that matched
+    confidenceBoost: matched ? Math.round(pattern.confidenceBoost * matchScore) : 0,
+    matchScore,
+    matchedFeatures,
+    totalFeatures,
+    matchedFeatureKeys
+  };
+}
+
+/**
+ * Match ML features against every pattern in mlPatterns.json
+ * Uses numeric variability (0-4 index) and string values for other features
+ * The strongest pattern per condition is reported
+ * @param {Object} mlFeatures - Features extracted from question responses
+ * @returns {Object} Match results with confidence boosts for each condition
+ */
+export function matchPatterns(mlFeatures) {
+  const matchedPatterns = {};
+
+  PATTERN_GROUPS.forEach(({ condition, patterns }) => {
+    const best = patterns
+      .map(pattern => evaluateSignature(pattern, mlFeatures))
+      .reduce((top, result) => {
+        if (!top) return result;
+        if (result.confidenceBoost !== top.confidenceBoost) {
+          return result.confidenceBoost > top.confidenceBoost ? result : top;
+        }
+        return result.matchScore > top.matchScore ? result : top;
+      }, null);
+
+    matchedPatterns[condition] = best && best.matched
+      ? best
+      : {
+          matched: false,
+          patternName: null,
+          confidenceBoost: 0,
+          matchScore: best ? best.matchScore : 0,
+          matchedFeatures: best ? best.matchedFeatures : 0,
+          totalFeatures: best ? best.totalFeatures : 0,
+          matchedFeatureKeys: best ? best.matchedFeatureKeys : []
+        };
+  });
+
   return matchedPatterns;
 }
 
@@ -199,97 +236,277 @@ function calculateSuggestionStrength(probability, match) {
   return strength;
 }
 
+/**
+ * Probability above which a condition is considered high
+ */
+const HIGH_PROBABILITY_THRESHOLD = 50;
+
+/**
+ * Display names used in recommendation text
+ */
+const CONDITION_NAMES = {
+  adhd: 'ADHD',
+  autism: 'autism',
+  anxiety: 'anxiety',
+  trauma: 'trauma'
+};
+
+/**
+ * Flags raised on either track
+ */
+export const FLAG_TEXT = {
+  coOccurring: 'Several conditions are likely to co-occur ({conditions}) - assessments should consider them together',
+  sleep: 'Sleep disturbance can mimic ADHD symptoms - address sleep issues first'
+};
+
+/**
+ * Recommendation wording for each screening track
+ * The child track speaks to parents and schools; the adult track speaks to
+ * the person completing the screen about their own work and home life.
+ * impairment: rules applied when a functional impact domain reaches `min`
+ */
+export const RECOMMENDATION_TEXT = {
+  child: {
+    coOccurringReferral: 'Multidisciplinary neurodevelopmental assessment covering all high-probability conditions',
+    adhdReferral: 'ADHD assessment with developmental paediatrician or CAMHS',
+    autismReferral: 'Autism diagnostic assessment (ADOS-2) through local autism pathway',
+    anxietyReferral: 'CAMHS referral for anxiety assessment and treatment',
+    traumaReferral: 'Trauma-informed therapy (e.g., EMDR, trauma-focused CBT)',
+    sleepReferral: 'Sleep study consultation - rule out sleep apnea/sleep disorders',
+    impairment: [
+      {
+        domain: 'academic',
+        min: 3,
+        referrals: ['Educational psychology assessment for school support'],
+        support: ['Request school SENCO meeting to discuss educational support needs']
+      },
+      {
+        domain: 'emotional',
+        min: 4,
+        flags: ['Significant impact on self-esteem - monitor for depression/self-harm risk'],
+        support: ['Consider counseling/therapeutic support for emotional wellbeing']
+      }
+    ],
+    adhdSupport: [
+      'Break tasks into smaller chunks with frequent breaks (e.g., 15-20 min work periods)',
+      'Use immediate, specific rewards for completed tasks (token economy, instant feedback)',
+      'Provide high-stimulation breaks between tasks (physical activity, sensory input)',
+      'Minimize distractions in study environment (quiet space, reduce visual clutter)',
+      'Use timers and visual schedules to aid time awareness'
+    ],
+    autismSupport: [
+      'Maintain predictable routines with advance warning of changes (visual countdown)',
+      'Provide visual schedules and social stories for transitions and new situations',
+      'Reduce sensory overload (quiet spaces, ear defenders, fidget tools if needed)',
+      'Allow for special interest time as motivation and regulation tool',
+      'Use concrete, literal language and check understanding'
+    ],
+    anxietySupport: [
+      'Teach and practice calming techniques (deep breathing, grounding exercises)',
+      'Gradual exposure to anxiety-provoking situations with support',
+      'Validate worries while gently challenging catastrophic thinking',
+      'Create a worry time/worry box to contain anxious thoughts'
+    ],
+    traumaSupport: [
+      'Ensure safety and predictability in environment (consistent routines, safe spaces)',
+      'Trauma-informed behavior support - avoid punishment, use connection and regulation',
+      'Be aware of trauma triggers and provide warning/choice when possible',
+      'Build trusting relationships before making demands'
+    ]
+  },
+  adult: {
+    coOccurringReferral: 'Adult neurodevelopmental assessment covering all high-probability conditions',
+    adhdReferral: 'Ask your GP for a referral to an adult ADHD assessment service',
+    autismReferral: 'Ask your GP for a referral to an adult autism diagnostic service',
+    anxietyReferral: 'Refer yourself to NHS Talking Therapies for anxiety assessment and treatment',
+    traumaReferral: 'Trauma-focused therapy (e.g., trauma-focused CBT or EMDR) through NHS Talking Therapies or your GP',
+    sleepReferral: 'Discuss your sleep with your GP - rule out sleep apnoea, insomnia or other sleep disorders',
+    impairment: [
+      {
+        domain: 'work',
+        min: 3,
+        referrals: ['Occupational health or workplace needs assessment (Access to Work can help fund support)'],
+        support: ['Ask your employer or place of study about reasonable adjustments (quiet workspace, written instructions, flexible deadlines)']
+      },
+      {
+        domain: 'finances',
+        min: 3,
+        support: ['Set up automatic bill payments and budgeting reminders; free debt advice is available from services such as Citizens Advice']
+      },
+      {
+        domain: 'relationships',
+        min: 3,
+        support: ['Share how these difficulties show up with a partner or family, or consider relationship counselling together']
+      },
+      {
+        domain: 'emotional',
+        min: 4,
+        flags: ['Significant impact on self-esteem and mood - speak to your GP if you feel low or have thoughts of self-harm'],
+        support: ['Consider talking therapy or peer support for your emotional wellbeing']
+      }
+    ],
+    adhdSupport: [
+      'Break large tasks into small, concrete next steps and set a start time for each',
+      'Use external reminders (phone alarms, shared calendars, a visible to-do list) rather than relying on memory',
+      'Reduce distractions while working (notifications off, noise-cancelling headphones, a clear desk)',
+      'Plan demanding work for your best time of day and build in movement breaks',
+      'Consider ADHD coaching or a local or online adult ADHD peer support group'
+    ],
+    autismSupport: [
+      'Plan ahead for changes and ask for advance notice where you can',
+      'Reduce sensory overload (noise-cancelling headphones, quieter spaces, regular breaks)',
+      'Ask for clear, direct communication and written follow-ups at work',
+      'Make time for interests and activities that help you recharge'
+    ],
+    anxietySupport: [
+      'Practise calming techniques (slow breathing, grounding exercises)',
+      'Gradually face situations you avoid, one step at a time',
+      'Notice worst-case thinking and test it against what actually happens',
+      'Use self-help resources such as the NHS Every Mind Matters guidance on anxiety'
+    ],
+    traumaSupport: [
+      'Keep routines that help you feel safe and settled',
+      'Learn your triggers and plan ways to ground yourself when they come up',
+      'Lean on people you trust and go at your own pace',
+      'Avoid using alcohol or drugs to cope with difficult memories'
+    ]
+  }
+};
+
+/**
+ * Recommendation text for a track in the requested language
+ * Locale bundles translate the text above entry by entry (impairment rules by
+ * domain); lists must keep the same number of entries, and anything missing
+ * or mismatched stays in English
+ * @param {string} track - 'child' or 'adult'
+ * @param {string} locale - Locale id
+ * @returns {Object} Text in the shape of RECOMMENDATION_TEXT[track]
+ */
+function getRecommendationText(track, locale) {
+  const trackId = RECOMMENDATION_TEXT[track] ? track : 'child';
+  const text = RECOMMENDATION_TEXT[trackId];
+  const translations = getTranslations(locale, ['recommendations', trackId]) || {};
+
+  const pick = (english, translated) => {
+    if (Array.isArray(english)) {
+      return Array.isArray(translated) && translated.length === english.length ? translated : english;
+    }
+    return typeof translated === 'string' ? translated : english;
+  };
+
+  const localized = {};
+  Object.entries(text).forEach(([key, english]) => {
+    localized[key] = key === 'impairment'
+      ? english.map(rule => {
+        const ruleTranslations = (translations.impairment || {})[rule.domain] || {};
+        const localizedRule = { ...rule };
+        ['referrals', 'flags', 'support']
+          .filter(field => rule[field])
+          .forEach(field => { localizedRule[field] = pick(rule[field], ruleTranslations[field]); });
+        return localizedRule;
+      })
+      : pick(english, translations[key]);
+  });
+  return localized;
+}
+
 /**
  * Generate V8-specification clinical recommendations
+ * Works with relative shares or independent probabilities; with independent
+ * probabilities several conditions can be high and are acted on together
  * @param {Object} probabilities - Probability scores for each condition
  * @param {Object} impairment - Impairment scores across domains
  * @param {number} sleepScore - Sleep confounder score
+ * @param {string} track - 'child' (default) or 'adult'; selects the wording
+ * @param {string} locale - Language of the text (defaults to English)
  * @returns {Object} Comprehensive recommendations object
  */
-export function generateRecommendations(probabilities, impairment, sleepScore) {
+export function generateRecommendations(probabilities, impairment, sleepScore, track = 'child', locale) {
+  const text = getRecommendationText(track, locale);
+
   // Find primary condition (highest probability)
   const primaryCondition = Object.entries(probabilities).reduce((max, [key, val]) =>
     val > max.val ? { key, val } : max,
     { key: null, val: 0 }
   );
 
+  // All conditions above the high threshold, highest first
+  const highConditions = Object.entries(probabilities)
+    .filter(([, val]) => val > HIGH_PROBABILITY_THRESHOLD)
+    .sort(([, a], [, b]) => b - a)
+    .map(([key]) => key);
+
   const recommendations = {
     urgency: primaryCondition.val > 70 ? 'urgent' : primaryCondition.val > 50 ? 'priority' : 'routine',
+    highConditions,
     referrals: [],
     support: [],
     flags: []
   };
 
+  // Co-occurring conditions (only possible with independent probabilities)
+  if (highConditions.length >= 2) {
+    const names = highConditions.map(condition =>
+      localizeText(locale, ['recommendations', 'conditionNames', condition], CONDITION_NAMES[condition] || condition)
+    );
+    const flag = localizeText(locale, ['recommendations', 'flags', 'coOccurring'], FLAG_TEXT.coOccurring);
+    recommendations.flags.push(formatMessage(flag, { conditions: formatList(locale, names) }));
+    recommendations.referrals.push(text.coOccurringReferral);
+  }
+
   // ADHD-specific referrals (threshold: 40%)
   if (probabilities.adhd > 40) {
-    recommendations.referrals.push('ADHD assessment with developmental paediatrician or CAMHS');
+    recommendations.referrals.push(text.adhdReferral);
   }
 
   // Autism-specific referrals (threshold: 30%)
   if (probabilities.autism > 30) {
-    recommendations.referrals.push('Autism diagnostic assessment (ADOS-2) through local autism pathway');
+    recommendations.referrals.push(text.autismReferral);
   }
 
   // Anxiety-specific referrals (threshold: 50%)
   if (probabilities.anxiety > 50) {
-    recommendations.referrals.push('CAMHS referral for anxiety assessment and treatment');
+    recommendations.referrals.push(text.anxietyReferral);
   }
 
   // Trauma-specific referrals (threshold: 30%)
   if (probabilities.trauma > 30) {
-    recommendations.referrals.push('Trauma-informed therapy (e.g., EMDR, trauma-focused CBT)');
+    recommendations.referrals.push(text.traumaReferral);
   }
 
   // Sleep confounder flag (threshold: 6+)
   if (sleepScore > 6) {
-    recommendations.referrals.push('Sleep study consultation - rule out sleep apnea/sleep disorders');
-    recommendations.flags.push('Sleep disturbance can mimic ADHD symptoms - address sleep issues first');
+    recommendations.referrals.push(text.sleepReferral);
+    recommendations.flags.push(localizeText(locale, ['recommendations', 'flags', 'sleep'], FLAG_TEXT.sleep));
   }
 
-  // Academic impairment (threshold: 3+)
-  if (impairment.academic >= 3) {
-    recommendations.referrals.push('Educational psychology assessment for school support');
-    recommendations.support.push('Request school SENCO meeting to discuss educational support needs');
-  }
-
-  // Emotional wellbeing concerns (threshold: 4+)
-  if (impairment.emotional >= 4) {
-    recommendations.flags.push('Significant impact on self-esteem - monitor for depression/self-harm risk');
-    recommendations.support.push('Consider counseling/therapeutic support for emotional wellbeing');
-  }
+  // Functional impact (academic 3+ and emotional 4+ on the child track)
+  text.impairment
+    .filter(rule => impairment[rule.domain] >= rule.min)
+    .forEach(rule => {
+      recommendations.referrals.push(...(rule.referrals || []));
+      recommendations.flags.push(...(rule.flags || []));
+      recommendations.support.push(...(rule.support || []));
+    });
 
   // ADHD-specific support strategies (threshold: 30%)
   if (probabilities.adhd > 30) {
-    recommendations.support.push('Break tasks into smaller chunks with frequent breaks (e.g., 15-20 min work periods)');
-    recommendations.support.push('Use immediate, specific rewards for completed tasks (token economy, instant feedback)');
-    recommendations.support.push('Provide high-stimulation breaks between tasks (physical activity, sensory input)');
-    recommendations.support.push('Minimize distractions in study environment (quiet space, reduce visual clutter)');
-    recommendations.support.push('Use timers and visual schedules to aid time awareness');
+    recommendations.support.push(...text.adhdSupport);
   }
 
   // Autism-specific support strategies (threshold: 30%)
   if (probabilities.autism > 30) {
-    recommendations.support.push('Maintain predictable routines with advance warning of changes (visual countdown)');
-    recommendations.support.push('Provide visual schedules and social stories for transitions and new situations');
-    recommendations.support.push('Reduce sensory overload (quiet spaces, ear defenders, fidget tools if needed)');
-    recommendations.support.push('Allow for special interest time as motivation and regulation tool');
-    recommendations.support.push('Use concrete, literal language and check understanding');
+    recommendations.support.push(...text.autismSupport);
   }
 
   // Anxiety-specific support strategies (threshold: 40%)
   if (probabilities.anxiety > 40) {
-    recommendations.support.push('Teach and practice calming techniques (deep breathing, grounding exercises)');
-    recommendations.support.push('Gradual exposure to anxiety-provoking situations with support');
-    recommendations.support.push('Validate worries while gently challenging catastrophic thinking');
-    recommendations.support.push('Create a worry time/worry box to contain anxious thoughts');
+    recommendations.support.push(...text.anxietySupport);
   }
 
   // Trauma-specific support strategies (threshold: 25%)
   if (probabilities.trauma > 25) {
-    recommendations.support.push('Ensure safety and predictability in environment (consistent routines, safe spaces)');
-    recommendations.support.push('Trauma-informed behavior support - avoid punishment, use connection and regulation');
-    recommendations.support.push('Be aware of trauma triggers and provide warning/choice when possible');
-    recommendations.support.push('Build trusting relationships before making demands');
+    recommendations.support.push(...text.traumaSupport);
   }
 
   return recommendations;
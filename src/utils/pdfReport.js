@@ -0,0 +1,389 @@
+import { PAGE_SIZE, buildPdf, textOp, lineOp, rectOp, wrapText, measureText, canEncodeText } from './pdfWriter.js';
+import { getTrack } from './tracks.js';
+import { getInformant } from './informants.js';
+import { getVisibility } from './branching.js';
+import { getQuestion, formatAnswer, isAnswered, isNotSure } from './questionBank.js';
+import { generateRecommendations, getMatchedPatternsSummary } from './mlMatcher.js';
+import { hasSleepConfounder } from './calculator.js';
+import { getPrevalenceProfile } from './bayesianEngine.js';
+import { getLocale, translate, formatDateTime, DEFAULT_LOCALE } from './i18n.js';
+
+/**
+ * Screening Report
+ * Builds the PDF report attached to referrals: details, every question with
+ * the answer given, probabilities, patterns, impairment, sleep and age
+ * context, recommendations and the versions that produced the result.
+ * The report is written for the clinician receiving the referral, so it is
+ * always in English, whatever language the screening was completed in;
+ * pass results scored with the English locale
+ */
+
+const MARGIN = 50;
+const CONTENT_WIDTH = PAGE_SIZE.width - MARGIN * 2;
+const CONTENT_TOP = PAGE_SIZE.height - 70;   // below the running header
+const CONTENT_BOTTOM = 60;                   // above the footer
+const ANSWER_COLUMN = 300;                   // question text width in answer tables
+
+// NHS colours
+const COLORS = {
+  blue: '#005EB8',
+  text: '#212B32',
+  secondary: '#4C6272',
+  border: '#D8DDE0',
+  pale: '#E8EDEE',
+  interval: '#A9C7E8',
+  warning: '#FFB81C',
+  red: '#DA291C'
+};
+
+/**
+ * Report text in English
+ */
+const t = (key, params) => translate(DEFAULT_LOCALE, key, params);
+
+/**
+ * Lay out content top to bottom, starting new pages as needed
+ * Blocks are measured first so short blocks are never split across pages
+ */
+function createLayout() {
+  const pages = [];
+  let operations = null;
+  let y = 0;
+
+  const newPage = () => {
+    operations = [];
+    pages.push(operations);
+    y = CONTENT_TOP;
+  };
+  newPage();
+
+  // Start a new page unless `height` points fit on this one
+  const ensureSpace = height => {
+    if (y - height < CONTENT_BOTTOM && y < CONTENT_TOP) newPage();
+  };
+
+  // Draw wrapped text; returns the height used
+  const drawLines = (lines, x, top, { font = 'regular', size = 10, color = COLORS.text } = {}) => {
+    const lineHeight = size * 1.35;
+    lines.forEach((line, index) => {
+      operations.push(textOp(x, top - size - index * lineHeight, line, { font, size, color }));
+    });
+    return lines.length * lineHeight;
+  };
+
+  const layout = {
+    pages,
+
+    space(height) {
+      y -= height;
+    },
+
+    title(text, subtitle) {
+      y -= drawLines([text], MARGIN, y, { font: 'bold', size: 20, color: COLORS.blue }) + 4;
+      if (subtitle) y -= drawLines(wrapText(subtitle, 'regular', 10, CONTENT_WIDTH), MARGIN, y, { color: COLORS.secondary });
+      y -= 12;
+    },
+
+    heading(text) {
+      ensureSpace(60); // keep headings with some of their content
+      y -= 8;
+      y -= drawLines([text], MARGIN, y, { font: 'bold', size: 14, color: COLORS.blue });
+      operations.push(lineOp(MARGIN, y - 3, MARGIN + CONTENT_WIDTH, y - 3, { width: 1, color: COLORS.blue }));
+      y -= 10;
+    },
+
+    subheading(text) {
+      ensureSpace(40);
+      y -= 4;
+      y -= drawLines(wrapText(text, 'bold', 11, CONTENT_WIDTH), MARGIN, y, { font: 'bold', size: 11 }) + 4;
+    },
+
+    paragraph(text, { font = 'regular', size = 10, color = COLORS.text, indent = 0 } = {}) {
+      const lines = wrapText(text, font, size, CONTENT_WIDTH - indent);
+      lines.forEach(line => {
+        ensureSpace(size * 1.35);
+        y -= drawLines([line], MARGIN + indent, y, { font, size, color });
+      });
+      y -= 4;
+    },
+
+    // Text beside a coloured bar, e.g. warnings
+    callout(text, color) {
+      const lines = wrapText(text, 'regular', 10, CONTENT_WIDTH - 16);
+      const height = lines.length * 13.5 + 12;
+      ensureSpace(height);
+      operations.push(rectOp(MARGIN, y - height, CONTENT_WIDTH, height, '#F0F4F5'));
+      operations.push(rectOp(MARGIN, y - height, 4, height, color));
+      drawLines(lines, MARGIN + 14, y - 6);
+      y -= height + 8;
+    },
+
+    bullets(items) {
+      items.forEach(item => {
+        const lines = wrapText(item, 'regular', 10, CONTENT_WIDTH - 14);
+        ensureSpace(lines.length * 13.5);
+        operations.push(textOp(MARGIN + 2, y - 10, '•', { size: 10, color: COLORS.text }));
+        y -= drawLines(lines, MARGIN + 14, y) + 2;
+      });
+      y -= 4;
+    },
+
+    // Two-column rows: label on the left, value on the right
+    rows(entries, { labelWidth = 170, labelFont = 'regular', valueFont = 'bold', size = 10 } = {}) {
+      entries.forEach(([label, value]) => {
+        const labelLines = wrapText(label, labelFont, size, labelWidth - 10);
+        const valueLines = wrapText(value, valueFont, size, CONTENT_WIDTH - labelWidth);
+        const height = Math.max(labelLines.length, valueLines.length) * size * 1.35 + 6;
+        ensureSpace(height);
+        drawLines(labelLines, MARGIN, y - 2, { font: labelFont, size, color: COLORS.secondary });
+        drawLines(valueLines, MARGIN + labelWidth, y - 2, { font: valueFont, size });
+        operations.push(lineOp(MARGIN, y - height, MARGIN + CONTENT_WIDTH, y - height, { color: COLORS.border }));
+        y -= height;
+      });
+      y -= 8;
+    },
+
+    // Probability bar with its uncertainty range
+    probability(label, probability, interval) {
+      const barX = MARGIN + 120;
+      const barWidth = 230;
+      const height = 22;
+      ensureSpace(height);
+      const middle = y - height / 2;
+      const scale = value => barX + barWidth * Math.min(Math.max(value, 0), 100) / 100;
+
+      operations.push(textOp(MARGIN, middle - 3.5, label, { font: 'bold', size: 10, color: COLORS.text }));
+      operations.push(rectOp(barX, middle - 5, barWidth, 10, COLORS.pale));
+      if (interval) {
+        operations.push(rectOp(scale(interval.lower), middle - 5, scale(interval.upper) - scale(interval.lower), 10, COLORS.interval));
+      }
+      operations.push(rectOp(barX, middle - 2, scale(probability) - barX, 4, COLORS.blue));
+
+      const value = `${Math.round(probability)}%`;
+      operations.push(textOp(barX + barWidth + 45 - measureText(value, 'bold', 10), middle - 3.5, value, { font: 'bold', size: 10, color: COLORS.text }));
+      if (interval) {
+        operations.push(textOp(barX + barWidth + 55, middle - 3.5, `range ${Math.round(interval.lower)}-${Math.round(interval.upper)}%`, { size: 9, color: COLORS.secondary }));
+      }
+      y -= height;
+    }
+  };
+
+  return layout;
+}
+
+/**
+ * Add the running header and "Page n of N" footer to every page
+ */
+function addPageFurniture(pages, { reference, footer }) {
+  pages.forEach((operations, index) => {
+    const pageLabel = `Page ${index + 1} of ${pages.length}`;
+    const headerY = PAGE_SIZE.height - 40;
+    operations.push(textOp(MARGIN, headerY, 'NHS ADHD Screening Tool - Screening report', { font: 'bold', size: 9, color: COLORS.blue }));
+    if (reference) {
+      operations.push(textOp(MARGIN + CONTENT_WIDTH - measureText(reference, 'regular', 9), headerY, reference, { size: 9, color: COLORS.secondary }));
+    }
+    operations.push(lineOp(MARGIN, headerY - 8, MARGIN + CONTENT_WIDTH, headerY - 8, { color: COLORS.border }));
+
+    operations.push(lineOp(MARGIN, 45, MARGIN + CONTENT_WIDTH, 45, { color: COLORS.border }));
+    operations.push(textOp(MARGIN, 32, footer, { size: 8, color: COLORS.secondary }));
+    operations.push(textOp(MARGIN + CONTENT_WIDTH - measureText(pageLabel, 'regular', 8), 32, pageLabel, { size: 8, color: COLORS.secondary }));
+  });
+}
+
+/**
+ * Answer shown for a question in the report
+ * Unanswered questions say why: not sure, not asked on the quick route or skipped
+ */
+function describeAnswer(question, response, status) {
+  if (isNotSure(response)) return 'Not sure';
+  if (isAnswered(response)) {
+    const answer = formatAnswer(question, response);
+    return canEncodeText(answer)
+      ? answer
+      : `${answer}\n(Written in a script this report cannot show; see the on-screen results.)`;
+  }
+  if (status === 'notAsked') return 'Not asked (quick screening)';
+  return 'Not answered';
+}
+
+/**
+ * List every question shown to an informant with the answer given
+ */
+function addAnswers(layout, questionBank, responses, age, answerStatus = {}) {
+  const visibility = getVisibility(responses, age, questionBank);
+
+  questionBank.sections
+    .filter(section => visibility.sections[section.id])
+    .forEach(section => {
+      const questions = section.questions.filter(question => visibility.questions[question.id]);
+      if (questions.length === 0) return;
+
+      layout.subheading(section.title);
+      layout.rows(
+        questions.map(question => [question.text, describeAnswer(question, responses[question.id], answerStatus[question.id])]),
+        { labelWidth: ANSWER_COLUMN, size: 9 }
+      );
+    });
+}
+
+/**
+ * Build the screening report
+ * @param {Object} results - Results from runScreening, scored with the English locale
+ * @param {Object} options
+ * @param {Object} options.responses - Answers on the main form, keyed by question id
+ * @param {Object} options.informantResponses - Other informants' answers keyed by informant id (child track)
+ * @param {string} options.childId - Reference linking the informants' forms
+ * @param {string} options.locale - Language the screening was completed in
+ * @param {Date} options.generatedAt - Report date (defaults to now)
+ * @returns {Uint8Array} PDF file contents
+ */
+export function createScreeningReport(results, options = {}) {
+  const { responses = {}, informantResponses = {}, childId, locale = DEFAULT_LOCALE } = options;
+  const generatedAt = options.generatedAt || new Date();
+  const track = getTrack(results.track);
+  const isAdult = track.id === 'adult';
+  const domains = Object.keys(track.impairmentDomains);
+  const layout = createLayout();
+  const generated = formatDateTime(DEFAULT_LOCALE, generatedAt.getTime());
+  const prevalenceProfile = getPrevalenceProfile(results.prevalenceProfile);
+
+  layout.title('ADHD Screening Report', `${track.label} screening. Generated ${generated}.`);
+  layout.callout(`This is a screening report, not a diagnosis. ${t('recommendations.disclaimer')}`, COLORS.warning);
+
+  // Details
+  layout.heading('Details');
+  const dateOfBirth = responses.dateOfBirth && getQuestion('dateOfBirth', track.questionBank);
+  const gender = getQuestion('gender', track.questionBank);
+  const { completeness } = results;
+  const completenessText = [`${completeness.answered} of ${completeness.total} scored questions answered`];
+  if (completeness.notAsked > 0) completenessText.push(`${completeness.notAsked} not asked (quick screening)`);
+  if (completeness.notSure > 0) completenessText.push(`${completeness.notSure} answered "Not sure"`);
+
+  layout.rows([
+    childId && [isAdult ? 'Reference' : 'Child reference', childId],
+    [isAdult ? 'Age' : 'Child age', `${results.childAge} years`],
+    dateOfBirth && ['Date of birth', formatAnswer(dateOfBirth, responses.dateOfBirth)],
+    gender && isAnswered(responses.gender) && ['Gender', formatAnswer(gender, responses.gender)],
+    results.informants.forms.length > 0 && ['Forms completed', results.informants.forms
+      .map(form => `${form.label} (${form.answered} of ${form.total} answered)`)
+      .join(', ')],
+    ['Completeness', completenessText.join('; ')],
+    locale !== DEFAULT_LOCALE && ['Language used', `${getLocale(locale).name} (answers are shown in English below)`],
+    ['Confidence', t(`results.confidence.${results.confidence}`)],
+    ['Prevalence profile', `${prevalenceProfile.label} (${prevalenceProfile.description})`],
+    ['Questionnaire version', results.instrumentVersion],
+    ['Engine version', results.engineVersion]
+  ].filter(Boolean));
+
+  // Probabilities
+  layout.heading(t('results.probabilities'));
+  layout.paragraph(t(`results.modeDescriptions.${results.probabilityMode === 'independent' ? 'independent' : 'relative'}`), { color: COLORS.secondary, size: 9 });
+  Object.entries(results.probabilities)
+    .sort(([, a], [, b]) => b - a)
+    .forEach(([condition, probability]) => {
+      layout.probability(t(`conditions.${condition}`), probability, results.intervals[condition]);
+    });
+  layout.space(6);
+  layout.paragraph(t('results.intervalNote', { level: Math.round(results.intervalLevel * 100) }), { color: COLORS.secondary, size: 9 });
+  if (completeness.insufficientInformation) {
+    layout.callout(`${t('warnings.insufficient.title')}: ${completeness.missingKeyItems.map(item => item.text).join('; ')}`, COLORS.red);
+  }
+  if (completeness.notSureItems.length > 0) {
+    layout.paragraph(`Answered "Not sure" (treated as missing evidence): ${completeness.notSureItems.map(item => item.text).join('; ')}`, { size: 9 });
+  }
+
+  // ASRS screener (adult track)
+  if (results.asrs.completed) {
+    const { partA, partB } = results.asrs;
+    layout.heading(t('results.asrs'));
+    layout.rows([
+      ['Result', t(`asrs.statuses.${results.asrs.status}`)],
+      ['Part A', `${partA.shaded} of ${partA.total} answers in the shaded range (needs ${partA.threshold}+)`],
+      ['Part B', `${partB.shaded} of ${partB.total} answers in the shaded range`]
+    ]);
+  }
+
+  // DSM-5 criteria (optional checklist)
+  if (results.dsmCriteria.completed) {
+    const criteria = results.dsmCriteria;
+    layout.heading(t('results.dsm'));
+    layout.rows([
+      ['Result', `${t(`dsm.overall.${criteria.status}`)}${criteria.presentation ? ` (${t(`dsm.presentations.${criteria.presentation}`)})` : ''}`],
+      ...Object.entries(criteria.domains).map(([key, domain]) => [
+        t(`dsm.domains.${key}`),
+        `${domain.count} of ${domain.total} symptoms (needs ${domain.threshold}+): ${t(`dsm.statuses.${domain.status}`)}`
+      ]),
+      [t('dsm.onset'), t(`dsm.statuses.${criteria.onset.status}`)],
+      [t('dsm.settings'), t(`dsm.statuses.${criteria.settings.status}`)]
+    ]);
+  }
+
+  // Informant agreement (child track with more than one form)
+  if (results.informants.forms.length > 1) {
+    layout.heading(t('results.agreement'));
+    layout.rows(Object.entries(results.informants.agreement).map(([condition, agreement]) => [
+      t(`conditions.${condition}`),
+      `${t(`agreement.statuses.${agreement.status}`)}: ${agreement.ratings.map(rating => `${rating.label} ${Math.round(rating.elevation)}%`).join(', ')}`
+    ]));
+    if (results.informants.crossSettingEvidence.length > 0) {
+      layout.paragraph(`Settings added from other forms: ${results.informants.crossSettingEvidence
+        .map(evidence => `${evidence.setting} (${evidence.label})`).join(', ')}`, { size: 9 });
+    }
+  }
+
+  // Patterns
+  layout.heading(t('results.patterns'));
+  const patterns = getMatchedPatternsSummary(results.patternMatches);
+  if (patterns.length === 0) {
+    layout.paragraph(t('patterns.none'));
+  } else {
+    layout.rows(patterns.map(pattern => [
+      pattern.patternName,
+      `${pattern.matchPercentage}% match (${pattern.matchedFeatures} of ${pattern.totalFeatures} features), confidence boost +${pattern.confidenceBoost}`
+    ]));
+  }
+
+  // Impairment, sleep and age context
+  layout.heading('Functional Impact, Sleep and Age Context');
+  layout.rows([
+    ...domains.map(domain => [t(`impairmentDomains.${domain}`), `${results.impairment[domain]} of 4`]),
+    ['Total impact', `${results.impairment.total} of ${domains.length * 4}`],
+    ['Sleep score', `${results.sleepScore}${hasSleepConfounder(results.sleepScore) ? ` - ${t('results.sleepTitle')}` : ''}`],
+    results.ageContext && [`Age context (${results.childAge} years)`, results.ageContext.note]
+  ].filter(Boolean));
+
+  // Recommendations
+  const recs = generateRecommendations(results.probabilities, results.impairment, results.sleepScore, track.id, DEFAULT_LOCALE);
+  layout.heading(t('results.nextSteps'));
+  layout.paragraph(`Urgency: ${t(`recommendations.urgencyLevels.${recs.urgency}`)}`, { font: 'bold' });
+  [['Important flags', recs.flags], ['Recommended assessments and referrals', recs.referrals], ['Support strategies', recs.support]]
+    .filter(([, items]) => items.length > 0)
+    .forEach(([title, items]) => {
+      layout.subheading(title);
+      layout.bullets(items);
+    });
+
+  // Answers, main form first
+  layout.heading(track.informants ? `Answers: ${getInformant('parent').label} form` : 'Answers');
+  addAnswers(layout, track.questionBank, responses, results.childAge, completeness.status);
+  if (track.informants) {
+    results.informants.forms
+      .filter(form => form.informant !== 'parent')
+      .forEach(form => {
+        layout.heading(`Answers: ${form.label} form`);
+        addAnswers(layout, getInformant(form.informant).questionBank, informantResponses[form.informant] || {}, results.childAge);
+      });
+  }
+
+  addPageFurniture(layout.pages, {
+    reference: childId ? `${isAdult ? 'Reference' : 'Child reference'} ${childId}` : '',
+    footer: `Not a diagnosis. Questionnaire ${results.instrumentVersion}, engine ${results.engineVersion}. Generated ${generated}.`
+  });
+
+  return buildPdf(layout.pages, {
+    title: 'ADHD Screening Report',
+    subject: `${track.label} screening`,
+    creator: 'NHS ADHD Screening Tool',
+    createdAt: generatedAt
+  });
+}
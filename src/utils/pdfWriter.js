@@ -0,0 +1,272 @@
+/**
+ * PDF Writer
+ * Builds PDF files in the browser (or Node) without a server or library.
+ * Pages are lists of drawing operations made with textOp, lineOp and rectOp,
+ * laid out in points from the bottom-left corner of an A4 page.
+ * Text uses the standard Helvetica fonts, which every PDF reader provides, so
+ * nothing is embedded; they cover the Windows-1252 character set, and other
+ * characters are shown as "?" (check with canEncodeText)
+ */
+
+/**
+ * A4 page size in points
+ */
+export const PAGE_SIZE = { width: 595.28, height: 841.89 };
+
+/**
+ * Fonts available to textOp
+ */
+export const FONTS = {
+  regular: { resource: 'F1', baseFont: 'Helvetica' },
+  bold: { resource: 'F2', baseFont: 'Helvetica-Bold' }
+};
+
+/**
+ * Glyph widths (thousandths of the font size) for characters 32-126
+ */
+const ASCII_WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ]
+};
+
+/**
+ * Windows-1252 codes for the characters outside Latin-1 that the fonts include
+ */
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, 'ˆ': 0x88,
+  '‰': 0x89, 'Š': 0x8A, '‹': 0x8B, 'Œ': 0x8C, 'Ž': 0x8E, '‘': 0x91, '’': 0x92, '“': 0x93,
+  '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9A, '›': 0x9B,
+  'œ': 0x9C, 'ž': 0x9E, 'Ÿ': 0x9F
+};
+
+/**
+ * Widths of punctuation outside ASCII; accented letters use their base letter
+ */
+const EXTRA_WIDTHS = {
+  0x85: 1000, 0x91: 222, 0x92: 222, 0x93: 333, 0x94: 333, 0x95: 350, 0x96: 556, 0x97: 1000,
+  0xA0: 278, 0xA3: 556, 0xB0: 400, 0xB1: 584, 0xB7: 278, 0xD7: 584, 0xF7: 584
+};
+
+/**
+ * Get the Windows-1252 code for a character
+ * @returns {number|null} Code, or null when the fonts cannot show it
+ */
+function winAnsiCode(char) {
+  const code = char.codePointAt(0);
+  if (WIN_ANSI_EXTRAS[char]) return WIN_ANSI_EXTRAS[char];
+  if (code === 0x09 || code === 0x0A) return 0x20;
+  if ((code >= 0x20 && code <= 0x7E) || (code >= 0xA0 && code <= 0xFF)) return code;
+  return null;
+}
+
+/**
+ * Check whether text can be shown exactly with the built-in fonts
+ * @param {string} text - Text to check
+ * @returns {boolean} false when some characters would be shown as "?"
+ */
+export function canEncodeText(text) {
+  return Array.from(String(text)).every(char => winAnsiCode(char) !== null);
+}
+
+/**
+ * Width of a character in thousandths of the font size
+ */
+function charWidth(char, font) {
+  const code = winAnsiCode(char);
+  if (code === null) return ASCII_WIDTHS[font][31]; // drawn as "?"
+  if (code <= 0x7E) return ASCII_WIDTHS[font][code - 32];
+  if (EXTRA_WIDTHS[code]) return EXTRA_WIDTHS[code];
+
+  const base = char.normalize('NFD')[0];
+  return base !== char && base.charCodeAt(0) <= 0x7E ? ASCII_WIDTHS[font][base.charCodeAt(0) - 32] : 556;
+}
+
+/**
+ * Measure a line of text
+ * @param {string} text - Text
+ * @param {string} font - 'regular' or 'bold'
+ * @param {number} size - Font size (points)
+ * @returns {number} Width in points
+ */
+export function measureText(text, font, size) {
+  return Array.from(String(text)).reduce((width, char) => width + charWidth(char, font), 0) * size / 1000;
+}
+
+/**
+ * Break text into lines that fit a width
+ * Breaks at spaces and line breaks; words longer than the width are split
+ * @param {string} text - Text
+ * @param {string} font - 'regular' or 'bold'
+ * @param {number} size - Font size (points)
+ * @param {number} maxWidth - Available width (points)
+ * @returns {Array} Lines
+ */
+export function wrapText(text, font, size, maxWidth) {
+  const lines = [];
+
+  String(text).split('\n').forEach(paragraph => {
+    let line = '';
+    paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (measureText(candidate, font, size) <= maxWidth) {
+        line = candidate;
+        return;
+      }
+      if (line) lines.push(line);
+
+      // Split words that do not fit on a line of their own
+      line = '';
+      Array.from(word).forEach(char => {
+        if (line && measureText(line + char, font, size) > maxWidth) {
+          lines.push(line);
+          line = '';
+        }
+        line += char;
+      });
+    });
+    lines.push(line);
+  });
+
+  return lines;
+}
+
+/**
+ * Write text as a PDF string literal
+ * Non-ASCII codes are written as octal escapes so the file stays ASCII
+ */
+function pdfString(text) {
+  const body = Array.from(String(text)).map(char => {
+    const code = winAnsiCode(char);
+    if (char === '(' || char === ')' || char === '\\') return `\\${char}`;
+    if (code === null) return '?';
+    return code > 0x7E ? `\\${code.toString(8).padStart(3, '0')}` : String.fromCharCode(code);
+  }).join('');
+  return `(${body})`;
+}
+
+/**
+ * Format a number for a content stream
+ */
+const num = value => String(Math.round(value * 100) / 100);
+
+/**
+ * Convert a "#RRGGBB" colour to PDF colour components
+ */
+function pdfColor(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return [value >> 16, (value >> 8) & 0xFF, value & 0xFF].map(component => num(component / 255)).join(' ');
+}
+
+/**
+ * Draw a line of text
+ * @param {number} x - Left edge (points)
+ * @param {number} y - Baseline (points from the bottom of the page)
+ * @param {string} text - Text (one line; see wrapText)
+ * @param {Object} style - { font: 'regular'|'bold', size, color: '#RRGGBB' }
+ * @returns {string} Drawing operation
+ */
+export function textOp(x, y, text, { font = 'regular', size = 10, color = '#000000' } = {}) {
+  return `BT /${FONTS[font].resource} ${num(size)} Tf ${pdfColor(color)} rg ${num(x)} ${num(y)} Td ${pdfString(text)} Tj ET`;
+}
+
+/**
+ * Draw a straight line
+ * @param {number} x1 - Start x
+ * @param {number} y1 - Start y
+ * @param {number} x2 - End x
+ * @param {number} y2 - End y
+ * @param {Object} style - { width, color: '#RRGGBB' }
+ * @returns {string} Drawing operation
+ */
+export function lineOp(x1, y1, x2, y2, { width = 0.5, color = '#000000' } = {}) {
+  return `${num(width)} w ${pdfColor(color)} RG ${num(x1)} ${num(y1)} m ${num(x2)} ${num(y2)} l S`;
+}
+
+/**
+ * Draw a filled rectangle
+ * @param {number} x - Left edge
+ * @param {number} y - Bottom edge
+ * @param {number} width - Width
+ * @param {number} height - Height
+ * @param {string} color - Fill colour ('#RRGGBB')
+ * @returns {string} Drawing operation
+ */
+export function rectOp(x, y, width, height, color) {
+  return `${pdfColor(color)} rg ${num(x)} ${num(y)} ${num(width)} ${num(height)} re f`;
+}
+
+/**
+ * Format a date for the document information dictionary
+ */
+function pdfDate(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `D:${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+    `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+}
+
+/**
+ * Assemble a PDF file
+ * @param {Array} pages - One array of drawing operations per page
+ * @param {Object} info - { title, subject, creator, createdAt: Date }
+ * @returns {Uint8Array} PDF file contents
+ */
+export function buildPdf(pages, info = {}) {
+  if (pages.length === 0) throw new Error('A PDF needs at least one page');
+
+  // Object numbers: 1 catalog, 2 page tree, 3-4 fonts, 5 info, then a page and its contents per page
+  const fontObjects = Object.values(FONTS).map((font, index) => ({ ...font, id: 3 + index }));
+  const infoId = 3 + fontObjects.length;
+  const pageId = index => infoId + 1 + index * 2;
+  const objects = [];
+
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pages.map((page, index) => `${pageId(index)} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  fontObjects.forEach(font => {
+    objects[font.id] = `<< /Type /Font /Subtype /Type1 /BaseFont /${font.baseFont} /Encoding /WinAnsiEncoding >>`;
+  });
+  objects[infoId] = `<< ${[
+    info.title && `/Title ${pdfString(info.title)}`,
+    info.subject && `/Subject ${pdfString(info.subject)}`,
+    info.creator && `/Creator ${pdfString(info.creator)}`,
+    `/CreationDate (${pdfDate(info.createdAt || new Date())})`
+  ].filter(Boolean).join(' ')} >>`;
+
+  const fontResources = fontObjects.map(font => `/${font.resource} ${font.id} 0 R`).join(' ');
+  pages.forEach((operations, index) => {
+    const content = operations.join('\n');
+    objects[pageId(index)] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_SIZE.width} ${PAGE_SIZE.height}] ` +
+      `/Resources << /Font << ${fontResources} >> >> /Contents ${pageId(index) + 1} 0 R >>`;
+    objects[pageId(index) + 1] = `<< /Length ${content.length} >>\nstream\n${content}\nendstream`;
+  });
+
+  // Every character is ASCII, so string offsets are byte offsets
+  let output = '%PDF-1.4\n';
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = output.length;
+    output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+
+  const xrefOffset = output.length;
+  output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    output += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  output += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Uint8Array.from(output, char => char.charCodeAt(0));
+}
@@ -0,0 +1,80 @@
+/**
+ * PIN Encryption
+ * Encrypts data kept in browser storage (saved sessions, child profiles)
+ * with AES-GCM, using a key derived from a PIN the user chooses (PBKDF2).
+ * Salts, IVs and ciphertext are stored as base64 text
+ */
+
+/**
+ * Create a random salt for a new key
+ * @returns {Uint8Array}
+ */
+export function createSalt() {
+  return globalThis.crypto.getRandomValues(new Uint8Array(16));
+}
+
+/**
+ * Derive an AES-GCM key from a PIN
+ * @param {string} pin - PIN entered by the user
+ * @param {Uint8Array} salt - Salt stored with the encrypted data
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<CryptoKey>}
+ */
+export async function deriveKey(pin, salt, iterations) {
+  const material = await globalThis.crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(pin),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+
+  return globalThis.crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Encrypt a JSON-serialisable value
+ * @returns {Promise<Object>} { iv, data } as base64
+ */
+export async function encryptJson(key, value) {
+  const iv = globalThis.crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await globalThis.crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    new TextEncoder().encode(JSON.stringify(value))
+  );
+
+  return { iv: toBase64(iv), data: toBase64(new Uint8Array(ciphertext)) };
+}
+
+/**
+ * Decrypt a value saved with encryptJson
+ * Rejects when the key is wrong or the data has been changed
+ * @param {CryptoKey} key - Key from deriveKey
+ * @param {Object} encrypted - { iv, data } as base64
+ * @returns {Promise<*>} The value
+ */
+export async function decryptJson(key, { iv, data }) {
+  const plaintext = await globalThis.crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: fromBase64(iv) },
+    key,
+    fromBase64(data)
+  );
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+export function toBase64(bytes) {
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary);
+}
+
+export function fromBase64(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
@@ -0,0 +1,144 @@
+import questionsData from '../data/questions.json';
+
+/**
+ * Question Bank helpers
+ * Shared lookups over questions.json
+ * Responses store stable option codes (`optionCodes`), never display text,
+ * so option wording can change without breaking scoring
+ */
+
+/**
+ * Version of the questionnaire instrument
+ * Stamped on every response set and result
+ */
+export const INSTRUMENT_VERSION = questionsData.instrumentVersion;
+
+/**
+ * Standard "not sure" answer, offered on every optional choice, slider and
+ * matrix question. It is stored in place of an option code and scored as
+ * missing evidence rather than as a weighted option
+ */
+export const NOT_SURE = 'notSure';
+export const NOT_SURE_TEXT = 'Not sure';
+
+/**
+ * Question types that can be answered "not sure"
+ */
+const NOT_SURE_TYPES = ['select', 'scale', 'multiselect', 'slider', 'matrix'];
+
+/**
+ * Flatten all questions from all sections
+ * @param {Object} questionBank - Question bank (defaults to the parent questionnaire)
+ * @returns {Array} Questions with their sectionId
+ */
+export function getAllQuestions(questionBank = questionsData) {
+  return questionBank.sections.flatMap(section =>
+    section.questions.map(q => ({ ...q, sectionId: section.id }))
+  );
+}
+
+/**
+ * Find a question by id
+ * @param {string} questionId - Question id
+ * @param {Object} questionBank - Question bank (defaults to the parent questionnaire)
+ * @returns {Object|undefined} Question definition
+ */
+export function getQuestion(questionId, questionBank = questionsData) {
+  return getAllQuestions(questionBank).find(q => q.id === questionId);
+}
+
+/**
+ * Get the index of an option from its stable code
+ * @param {Object} question - Question definition
+ * @param {string} code - Option code stored in responses
+ * @returns {number} Option index, or -1 if the code is unknown
+ */
+export function getOptionIndex(question, code) {
+  return question.optionCodes ? question.optionCodes.indexOf(code) : -1;
+}
+
+/**
+ * Get the display text for an option code
+ * @param {Object} question - Question definition
+ * @param {string} code - Option code
+ * @returns {string} Option text (falls back to the code itself)
+ */
+export function getOptionText(question, code) {
+  if (code === NOT_SURE) return NOT_SURE_TEXT;
+  const index = getOptionIndex(question, code);
+  return index === -1 ? String(code) : question.options[index];
+}
+
+/**
+ * Check whether a question offers the "not sure" answer
+ * Required questions must be answered, so they never offer it
+ * @param {Object} question - Question definition
+ * @returns {boolean}
+ */
+export function offersNotSure(question) {
+  return NOT_SURE_TYPES.includes(question.type) && !question.required;
+}
+
+/**
+ * Check whether a response is the "not sure" answer
+ */
+export function isNotSure(response) {
+  return response === NOT_SURE;
+}
+
+/**
+ * Check whether a response counts as answered
+ * Blank text, empty multiselect arrays, matrices with no rows answered,
+ * "not sure" and missing values all count as unanswered evidence
+ */
+export function isAnswered(response) {
+  if (response === undefined || response === null || isNotSure(response)) return false;
+  if (typeof response === 'string') return response.trim() !== '';
+  if (Array.isArray(response)) return response.length > 0;
+  if (typeof response === 'object') return Object.values(response).some(isAnswered);
+  return true;
+}
+
+/**
+ * Format a stored response for display
+ * @param {Object} question - Question definition
+ * @param {*} response - Stored response (code, array of codes, or number)
+ * @returns {string} Human-readable answer
+ */
+export function formatAnswer(question, response) {
+  if (isNotSure(response)) {
+    return NOT_SURE_TEXT;
+  }
+  if (question.type === 'matrix' && response && typeof response === 'object') {
+    return question.rowCodes
+      .map((rowCode, index) => isAnswered(response[rowCode]) ? `${question.rows[index]}: ${getOptionText(question, response[rowCode])}` : null)
+      .filter(Boolean)
+      .join('; ');
+  }
+  if (Array.isArray(response)) {
+    return response.map(code => getOptionText(question, code)).join(', ');
+  }
+  if (!question.optionCodes) {
+    return String(response);
+  }
+  return getOptionText(question, response);
+}
+
+/**
+ * Work out an exact age from a date of birth
+ * @param {string} dateOfBirth - Date as YYYY-MM-DD
+ * @param {Date} onDate - Date to measure the age on (defaults to today)
+ * @returns {Object|null} { years, months }, or null for a missing, invalid or future date
+ */
+export function getAgeFromDateOfBirth(dateOfBirth, onDate = new Date()) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateOfBirth || '');
+  if (!match) return null;
+
+  const [year, month, day] = match.slice(1).map(Number);
+  let months = (onDate.getFullYear() - year) * 12 + (onDate.getMonth() + 1 - month);
+  if (onDate.getDate() < day) months -= 1;
+  const isRealDate = new Date(Date.UTC(year, month - 1, day)).getUTCDate() === day && month >= 1 && month <= 12;
+  if (months < 0 || !isRealDate) return null;
+
+  return { years: Math.floor(months / 12), months: months % 12 };
+}
@@ -0,0 +1,358 @@
+import { getTrack } from './tracks.js';
+import { getQuestion, formatAnswer, isAnswered } from './questionBank.js';
+import { generateRecommendations, getMatchedPatternsSummary } from './mlMatcher.js';
+import { getImpairmentLevel, hasSleepConfounder } from './calculator.js';
+import { translate, formatDate, DEFAULT_LOCALE } from './i18n.js';
+
+/**
+ * Referral Letters
+ * Turns screening results into a letter the family can edit and send: to
+ * the GP, to the school SENCO or to CAMHS. Letters are plain text with
+ * [square bracket] gaps for the details the tool does not collect (names,
+ * addresses), and can be saved as an RTF document that opens in any word
+ * processor. Like the PDF report, letters are written in English for the
+ * professional who receives them; pass results scored with the English locale
+ */
+
+/**
+ * Letter templates
+ * tracks: screening tracks the letter is offered on
+ */
+export const LETTER_TEMPLATES = {
+  gp: { id: 'gp', label: 'GP', tracks: ['child', 'adult'] },
+  senco: { id: 'senco', label: 'School SENCO', tracks: ['child'] },
+  camhs: { id: 'camhs', label: 'CAMHS', tracks: ['child'] }
+};
+
+/**
+ * Number of answers listed under "What I have noticed"
+ */
+const KEY_ANSWER_COUNT = 6;
+
+/**
+ * Letter text in English
+ */
+const t = (key, params) => translate(DEFAULT_LOCALE, key, params);
+
+/**
+ * Get the letter templates offered on a track
+ * @param {string} trackId - Screening track id
+ * @returns {Array} Letter templates
+ */
+export function getLetterTemplates(trackId) {
+  const track = getTrack(trackId);
+  return Object.values(LETTER_TEMPLATES).filter(template => template.tracks.includes(track.id));
+}
+
+/**
+ * Bulleted list, one item per line
+ */
+const bullets = items => items.map(item => `- ${item}`).join('\n');
+
+/**
+ * Paragraph with a heading line
+ */
+const section = (heading, body) => `${heading}\n${body}`;
+
+/**
+ * Question and answer on one line ("Family history: Parent")
+ * Instructions such as "(Select all that apply)" are left out
+ */
+function describeKeyAnswer({ questionText, answers }) {
+  const question = questionText.replace(/\s*\([^)]*\)([:?]?)$/, '$1');
+  return /[:?]$/.test(question) ? `${question} ${answers.join(', ')}` : `${question}: ${answers.join(', ')}`;
+}
+
+/**
+ * Answers that raised the conditions of most concern the most
+ * Conditions above the high threshold are used, or the highest one if none is;
+ * neutral estimates for skipped questions and whole-form ratings from other
+ * informants are left out, and several options chosen for one question are
+ * listed together
+ */
+function getKeyAnswers(results, recs) {
+  const conditions = recs.highConditions.length > 0
+    ? recs.highConditions
+    : [Object.entries(results.probabilities).sort(([, a], [, b]) => b - a)[0][0]];
+  const questions = new Map();
+
+  conditions
+    .flatMap(condition => (results.explanations[condition] || { answers: [] }).answers)
+    .filter(answer => answer.points > 0 && !answer.imputed && !answer.questionId.startsWith('informant:'))
+    .sort((a, b) => b.points - a.points)
+    .forEach(answer => {
+      const question = questions.get(answer.questionId) || { questionText: answer.questionText, answers: [] };
+      if (!question.answers.includes(answer.answer)) question.answers.push(answer.answer);
+      questions.set(answer.questionId, question);
+    });
+
+  return Array.from(questions.values()).slice(0, KEY_ANSWER_COUNT).map(describeKeyAnswer);
+}
+
+/**
+ * Everything the templates fill in, worked out once
+ */
+function getLetterContext(results, options) {
+  const { responses = {}, childId } = options;
+  const date = options.date || new Date();
+  const track = getTrack(results.track);
+  const domains = Object.keys(track.impairmentDomains);
+  const recs = generateRecommendations(results.probabilities, results.impairment, results.sleepScore, track.id, DEFAULT_LOCALE);
+  const dateOfBirth = isAnswered(responses.dateOfBirth) && getQuestion('dateOfBirth', track.questionBank);
+
+  return {
+    results,
+    recs,
+    childId,
+    isAdult: track.id === 'adult',
+    date: formatDate(DEFAULT_LOCALE, date.getTime()),
+    age: results.childAge,
+    dateOfBirth: dateOfBirth ? formatAnswer(dateOfBirth, responses.dateOfBirth) : null,
+    probabilities: Object.entries(results.probabilities)
+      .sort(([, a], [, b]) => b - a)
+      .map(([condition, probability]) => {
+        const interval = results.intervals[condition];
+        return `${t(`conditions.${condition}`)}: ${Math.round(probability)}% (range ${Math.round(interval.lower)}-${Math.round(interval.upper)}%)`;
+      }),
+    modeNote: results.probabilityMode === 'independent'
+      ? 'Each figure is the estimated chance that the condition is present; several can be high at once.'
+      : 'The figures are each condition\'s share of the overall pattern and add up to 100%.',
+    confidenceNote: `The tool rated its confidence in these results as ${results.confidence}.`,
+    keyAnswers: getKeyAnswers(results, recs),
+    impact: [
+      ...domains.map(domain => `${t(`impairmentDomains.${domain}`)}: ${t(`impairment.levels.${getImpairmentLevel(results.impairment[domain])}`)} (${results.impairment[domain]} of 4)`),
+      `Total: ${results.impairment.total} of ${domains.length * 4}`
+    ],
+    otherForms: results.informants.forms.filter(form => form.informant !== 'parent'),
+    versions: `Screening questionnaire version ${results.instrumentVersion}, scoring engine version ${results.engineVersion}.`
+  };
+}
+
+/**
+ * "Re:" line naming the child (or the adult completing the screen)
+ */
+function subjectLine(context, name) {
+  const details = [`aged ${context.age}`];
+  if (context.dateOfBirth) details.push(`date of birth ${context.dateOfBirth}`);
+  if (context.childId) details.push(`screening reference ${context.childId}`);
+  return `Re: ${name}, ${details.join(', ')}`;
+}
+
+/**
+ * Sender's address block and the date
+ */
+const senderBlock = context => `[Your name]\n[Your address]\n[Phone number or email]\n\n${context.date}`;
+
+/**
+ * Sleep paragraph, when sleep problems could explain some of the results
+ */
+function sleepParagraph(context, whose) {
+  if (!hasSleepConfounder(context.results.sleepScore)) return null;
+  return `The screening also picked up sleep difficulties (sleep score ${context.results.sleepScore}). Poor sleep can cause difficulties that look like ADHD, so ${whose} sleep may need to be looked at first.`;
+}
+
+/**
+ * The family's own words from the free-text questions
+ */
+function freeTextSection(context, heading) {
+  if (context.results.freeTextAnswers.length === 0) return null;
+  return section(heading, context.results.freeTextAnswers
+    .map(({ questionText, answer }) => `${questionText}\n${answer}`)
+    .join('\n\n'));
+}
+
+/**
+ * Forms completed by other informants (child track)
+ */
+function otherFormsParagraph(context) {
+  if (context.otherForms.length === 0) return null;
+  return `The results also include ${context.otherForms
+    .map(form => `a ${form.label.toLowerCase()} form (${form.answered} of ${form.total} questions answered)`)
+    .join(' and ')}.`;
+}
+
+/**
+ * Letter to the GP from a parent or carer
+ */
+function childGpLetter(context) {
+  const { recs } = context;
+  return [
+    senderBlock(context),
+    '[GP\'s name]\n[Practice name and address]',
+    'Dear [GP\'s name],',
+    subjectLine(context, '[Child\'s name]'),
+    `I am writing to ask for your advice about my child, [Child's name], and whether a referral for assessment would be appropriate. I have completed the NHS ADHD Screening Tool questionnaire about them. It is a screening questionnaire, not a diagnosis, but the results suggest that further assessment may help.`,
+    section('Screening results', `${bullets(context.probabilities)}\n${context.modeNote} ${context.confidenceNote}`),
+    context.keyAnswers.length > 0 && section('What I have noticed', `These answers contributed most to the results:\n${bullets(context.keyAnswers)}`),
+    section('How this affects daily life', bullets(context.impact)),
+    sleepParagraph(context, 'their'),
+    otherFormsParagraph(context),
+    freeTextSection(context, 'In my own words'),
+    recs.referrals.length > 0 && section('Recommended next steps', `The screening tool suggested:\n${bullets(recs.referrals)}`),
+    recs.flags.length > 0 && section('The screening also flagged', bullets(recs.flags)),
+    'I would be grateful if you could consider a referral to the appropriate service. I can bring the full screening report, which lists every answer, to an appointment.',
+    'Yours sincerely,\n\n[Your name]\nParent or carer of [Child\'s name]',
+    context.versions
+  ];
+}
+
+/**
+ * Letter to the GP from an adult about themselves
+ */
+function adultGpLetter(context) {
+  const { results, recs } = context;
+  return [
+    senderBlock(context),
+    '[GP\'s name]\n[Practice name and address]',
+    'Dear [GP\'s name],',
+    subjectLine(context, '[Your name]'),
+    'I am writing to ask about an assessment for adult ADHD. I have completed the NHS ADHD Screening Tool adult questionnaire, which is based on the Adult ADHD Self-Report Scale (ASRS v1.1). It is a screening questionnaire, not a diagnosis, but the results suggest that further assessment may help.',
+    section('Screening results', [
+      results.asrs.completed && `- ASRS v1.1 Part A: ${t(`asrs.statuses.${results.asrs.status}`)} (${results.asrs.partA.shaded} of ${results.asrs.partA.total} answers in the shaded range)`,
+      bullets(context.probabilities),
+      `${context.modeNote} ${context.confidenceNote}`
+    ].filter(Boolean).join('\n')),
+    context.keyAnswers.length > 0 && section('What I have noticed', `These answers contributed most to the results:\n${bullets(context.keyAnswers)}`),
+    section('How this affects daily life', bullets(context.impact)),
+    sleepParagraph(context, 'my'),
+    freeTextSection(context, 'In my own words'),
+    recs.referrals.length > 0 && section('Recommended next steps', `The screening tool suggested:\n${bullets(recs.referrals)}`),
+    recs.flags.length > 0 && section('The screening also flagged', bullets(recs.flags)),
+    'I would be grateful if you could consider referring me to the adult ADHD service. I can bring the full screening report, which lists every answer, to an appointment.',
+    'Yours sincerely,\n\n[Your name]',
+    context.versions
+  ];
+}
+
+/**
+ * Letter to the school's special educational needs coordinator
+ * Leads with the impact on school life and the support that may help
+ */
+function sencoLetter(context) {
+  const { recs } = context;
+  return [
+    senderBlock(context),
+    '[SENCO\'s name]\nSpecial Educational Needs Coordinator\n[School name and address]',
+    'Dear [SENCO\'s name],',
+    subjectLine(context, '[Child\'s name], [class or year group]'),
+    'I am writing to share the results of a screening questionnaire I completed about [Child\'s name] using the NHS ADHD Screening Tool, and to ask whether we could meet to talk about support at school. The screening is not a diagnosis, and I am also speaking to our GP.',
+    section('What the screening picked up', `${bullets(context.probabilities)}\n${context.modeNote}`),
+    section('How this affects [Child\'s name]', bullets(context.impact)),
+    context.keyAnswers.length > 0 && section('What I have noticed at home', bullets(context.keyAnswers)),
+    otherFormsParagraph(context),
+    recs.support.length > 0 && section('Strategies that may help', `The screening tool suggested:\n${bullets(recs.support)}`),
+    recs.referrals.length > 0 && section('Assessments the screening suggested', bullets(recs.referrals)),
+    'Could we arrange a meeting to talk about how [Child\'s name] is getting on, and whether SEN support, reasonable adjustments or a referral to the educational psychologist would help? I am happy to share the full screening report.',
+    'Yours sincerely,\n\n[Your name]\nParent or carer of [Child\'s name]',
+    context.versions
+  ];
+}
+
+/**
+ * Referral summary for CAMHS
+ * Carries the clinical detail: uncertainty, completeness, DSM-5 checklist,
+ * informant agreement, patterns and urgency
+ */
+function camhsLetter(context) {
+  const { results, recs } = context;
+  const { completeness, dsmCriteria } = results;
+  const patterns = getMatchedPatternsSummary(results.patternMatches);
+  const completenessText = [`${completeness.answered} of ${completeness.total} scored questions answered`];
+  if (completeness.notAsked > 0) completenessText.push(`${completeness.notAsked} not asked (quick screening)`);
+  if (completeness.notSure > 0) completenessText.push(`${completeness.notSure} answered "Not sure"`);
+
+  return [
+    senderBlock(context),
+    'Child and Adolescent Mental Health Services (CAMHS)\n[Single point of access address]',
+    'Dear CAMHS team,',
+    subjectLine(context, '[Child\'s name]'),
+    'I am writing to support a referral for [Child\'s name]. Below is a summary of the NHS ADHD Screening Tool questionnaire I completed about them. It is a screening questionnaire, not a diagnosis.',
+    section('Screening results', [
+      bullets(context.probabilities),
+      `${context.modeNote} Ranges are ${Math.round(results.intervalLevel * 100)}% uncertainty ranges.`,
+      `${context.confidenceNote} Completeness: ${completenessText.join('; ')}.`,
+      completeness.insufficientInformation && `Key questions not answered: ${completeness.missingKeyItems.map(item => item.text).join('; ')}`
+    ].filter(Boolean).join('\n')),
+    dsmCriteria.completed && section(t('results.dsm'), bullets([
+      `${t(`dsm.overall.${dsmCriteria.status}`)}${dsmCriteria.presentation ? ` (${t(`dsm.presentations.${dsmCriteria.presentation}`)})` : ''}`,
+      ...Object.entries(dsmCriteria.domains).map(([key, domain]) =>
+        `${t(`dsm.domains.${key}`)}: ${domain.count} of ${domain.total} symptoms (needs ${domain.threshold}+)`)
+    ])),
+    results.informants.forms.length > 1 && section(t('results.agreement'), bullets(
+      Object.entries(results.informants.agreement).map(([condition, agreement]) =>
+        `${t(`conditions.${condition}`)}: ${t(`agreement.statuses.${agreement.status}`)} (${agreement.ratings
+          .map(rating => `${rating.label} ${Math.round(rating.elevation)}%`).join(', ')})`)
+    )),
+    patterns.length > 0 && section('Patterns matched', bullets(patterns.map(pattern =>
+      `${pattern.patternName}: ${pattern.matchPercentage}% match (${pattern.matchedFeatures} of ${pattern.totalFeatures} features)`))),
+    context.keyAnswers.length > 0 && section('Answers that contributed most', bullets(context.keyAnswers)),
+    section('Functional impact', bullets(context.impact)),
+    section('Sleep and age context', bullets([
+      `Sleep score: ${results.sleepScore}${hasSleepConfounder(results.sleepScore) ? ' - sleep concerns detected' : ''}`,
+      results.ageContext && results.ageContext.note
+    ].filter(Boolean))),
+    freeTextSection(context, 'Additional context from the family'),
+    section(`Suggested next steps (urgency: ${t(`recommendations.urgencyLevels.${recs.urgency}`).toLowerCase()})`, bullets([...recs.flags, ...recs.referrals])),
+    'The full screening report, listing every answer, can be provided on request.',
+    'Yours faithfully,\n\n[Your name]\n[Relationship to child]\n[Phone number or email]',
+    context.versions
+  ];
+}
+
+/**
+ * Write a letter from a template
+ * @param {string} templateId - 'gp', 'senco' or 'camhs'
+ * @param {Object} results - Results from runScreening, scored with the English locale
+ * @param {Object} options - { responses, childId, date: Date }
+ * @returns {string} Letter text; paragraphs are separated by blank lines
+ */
+export function createReferralLetter(templateId, results, options = {}) {
+  const template = LETTER_TEMPLATES[templateId];
+  if (!template || !template.tracks.includes(getTrack(results.track).id)) {
+    throw new Error(`No ${templateId} letter for the ${results.track} track`);
+  }
+
+  const context = getLetterContext(results, options);
+  const builders = {
+    gp: context.isAdult ? adultGpLetter : childGpLetter,
+    senco: sencoLetter,
+    camhs: camhsLetter
+  };
+
+  return builders[template.id](context).filter(Boolean).join('\n\n') + '\n';
+}
+
+/**
+ * Escape text for RTF
+ * Characters outside ASCII are written as \uN? escapes (UTF-16 code units)
+ */
+function escapeRtf(text) {
+  return Array.from(text.replace(/[\\{}]/g, match => `\\${match}`))
+    .map(char => {
+      if (char.charCodeAt(0) < 128 && char.length === 1) return char;
+      return Array.from({ length: char.length }, (_, index) => {
+        const code = char.charCodeAt(index);
+        return `\\u${code > 32767 ? code - 65536 : code}?`;
+      }).join('');
+    })
+    .join('');
+}
+
+/**
+ * Save a letter as an RTF document, which opens in Word, LibreOffice and Pages
+ * @param {string} text - Letter text (possibly edited)
+ * @param {Object} options - { title }
+ * @returns {string} RTF file contents
+ */
+export function createLetterDocument(text, options = {}) {
+  const paragraphs = text.replace(/\r\n?/g, '\n').replace(/\n+$/, '').split('\n');
+  const info = options.title ? `{\\info{\\title ${escapeRtf(options.title)}}}` : '';
+
+  return [
+    `{\\rtf1\\ansi\\ansicpg1252\\deff0\\uc1{\\fonttbl{\\f0\\fswiss Arial;}}${info}`,
+    '\\paperw11906\\paperh16838\\margl1440\\margr1440\\margt1440\\margb1440',
+    '\\f0\\fs24\\sa0',
+    ...paragraphs.map(line => `${escapeRtf(line)}\\par`),
+    '}'
+  ].join('\n') + '\n';
+}
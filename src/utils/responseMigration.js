@@ -0,0 +1,156 @@
+import migrationsData from '../data/responseMigrations.json';
+import { INSTRUMENT_VERSION, getAllQuestions, isNotSure } from './questionBank.js';
+import { getTrack, DEFAULT_TRACK } from './tracks.js';
+
+/**
+ * Response Migration
+ * Stamps response sets with the instrument version and upgrades response
+ * sets saved under older versions so they can be re-scored
+ */
+
+/**
+ * Version assumed for response sets saved before versioning existed
+ */
+export const LEGACY_INSTRUMENT_VERSION = '1.0.0';
+
+/**
+ * Check whether unversioned responses already use the current option codes,
+ * e.g. a response set written by hand without `instrumentVersion`
+ * Answers to questions without options (age, dates, text) are not checked
+ */
+function usesCurrentCodes(responses) {
+  const questions = getAllQuestions();
+
+  return Object.entries(responses).every(([questionId, value]) => {
+    const question = questions.find(candidate => candidate.id === questionId);
+    if (!question || !question.optionCodes) return true;
+
+    const values = question.type === 'matrix' && value && typeof value === 'object'
+      ? Object.values(value)
+      : [].concat(value);
+    return values.every(code => isNotSure(code) || question.optionCodes.includes(code));
+  });
+}
+
+/**
+ * Wrap responses in a versioned response set
+ * Adult track sets also record the track, since they use a different question bank
+ * @param {Object} responses - Responses keyed by question id (option codes)
+ * @param {string} trackId - 'child' (default) or 'adult'
+ * @returns {Object} Response set stamped with the track's current instrument version
+ */
+export function createResponseSet(responses, trackId = DEFAULT_TRACK) {
+  const track = getTrack(trackId);
+  if (track.id === DEFAULT_TRACK) {
+    return {
+      instrumentVersion: INSTRUMENT_VERSION,
+      responses
+    };
+  }
+
+  return {
+    instrumentVersion: track.questionBank.instrumentVersion,
+    track: track.id,
+    responses
+  };
+}
+
+/**
+ * Upgrade a response set to the current instrument version
+ * Accepts a versioned response set or a bare, unversioned responses object.
+ * Unversioned responses are read as the current version when every answer is a
+ * current option code, and as the legacy version (option text) otherwise.
+ * Only the child questionnaire has migrations; adult track sets must match
+ * the adult question bank's current version
+ * @param {Object} input - Response set ({ instrumentVersion, track, responses }) or legacy responses
+ * @returns {Object} { track, instrumentVersion, responses, migratedFrom, warnings }
+ */
+export function migrateResponseSet(input) {
+  const isResponseSet = input && typeof input.responses === 'object' && input.responses !== null;
+
+  if (isResponseSet && input.track && input.track !== DEFAULT_TRACK) {
+    return readTrackResponseSet(input);
+  }
+
+  let responses = isResponseSet ? input.responses : input;
+  const originalVersion = (isResponseSet && input.instrumentVersion) ||
+    (usesCurrentCodes(responses) ? INSTRUMENT_VERSION : LEGACY_INSTRUMENT_VERSION);
+
+  let version = originalVersion;
+  const warnings = [];
+
+  while (version !== INSTRUMENT_VERSION) {
+    const migration = migrationsData[version];
+    if (!migration) {
+      throw new Error(`Cannot migrate responses from instrument version ${version} to ${INSTRUMENT_VERSION}`);
+    }
+
+    responses = applyOptionCodeMigration(responses, migration.optionCodes, warnings);
+    version = migration.to;
+  }
+
+  return {
+    track: DEFAULT_TRACK,
+    instrumentVersion: version,
+    responses,
+    migratedFrom: originalVersion === INSTRUMENT_VERSION ? null : originalVersion,
+    warnings
+  };
+}
+
+/**
+ * Read a response set saved on a track other than the child questionnaire
+ */
+function readTrackResponseSet(input) {
+  const track = getTrack(input.track);
+  if (track.id !== input.track) {
+    throw new Error(`Unknown screening track: ${input.track}`);
+  }
+
+  const expectedVersion = track.questionBank.instrumentVersion;
+  if (input.instrumentVersion !== expectedVersion) {
+    throw new Error(`Cannot read ${track.label} responses version ${input.instrumentVersion} (expected ${expectedVersion})`);
+  }
+
+  return {
+    track: track.id,
+    instrumentVersion: expectedVersion,
+    responses: input.responses,
+    migratedFrom: null,
+    warnings: []
+  };
+}
+
+/**
+ * Map stored option values to new codes
+ * Values without a mapping (e.g. numbers) are kept; unrecognised option
+ * text is dropped with a warning so the question counts as skipped
+ */
+function applyOptionCodeMigration(responses, optionCodes, warnings) {
+  const migrated = {};
+
+  Object.entries(responses).forEach(([questionId, value]) => {
+    const mapping = optionCodes && optionCodes[questionId];
+    if (!mapping) {
+      migrated[questionId] = value;
+      return;
+    }
+
+    const mapValue = (option) => {
+      if (mapping[option] !== undefined) return mapping[option];
+      warnings.push(`${questionId}: unrecognised answer "${option}" was dropped`);
+      return undefined;
+    };
+
+    if (Array.isArray(value)) {
+      migrated[questionId] = value.map(mapValue).filter(code => code !== undefined);
+    } else {
+      const code = mapValue(value);
+      if (code !== undefined) {
+        migrated[questionId] = code;
+      }
+    }
+  });
+
+  return migrated;
+}
@@ -0,0 +1,736 @@
+import questionsData from '../data/questions.json';
+import mlPatternsData from '../data/mlPatterns.json';
+import ageNormsData from '../data/ageNorms.json';
+import prevalenceProfilesData from '../data/prevalenceProfiles.json';
+import { RULE_OPERATORS } from './branching.js';
+import { INFORMANTS } from './informants.js';
+import { SYMPTOM_DOMAINS, DSM_SETTINGS } from './dsmCriteria.js';
+import { TRACKS } from './tracks.js';
+import { NOT_SURE } from './questionBank.js';
+import { LOCALES, DEFAULT_LOCALE } from './i18n.js';
+import { RECOMMENDATION_TEXT, FLAG_TEXT } from './mlMatcher.js';
+
+/**
+ * Schema Validator
+ * Checks the track and informant question banks, mlPatterns.json, ageNorms.json and the locale
+ * bundles for structural problems that would otherwise produce silently wrong scores or text
+ * Each problem is reported with a precise path, e.g.
+ *   questions.json: sections[1].questions[2].weights.adhd
+ */
+
+const CONDITIONS = ['adhd', 'autism', 'anxiety', 'trauma'];
+const QUESTION_TYPES = ['number', 'select', 'scale', 'multiselect', 'slider', 'matrix', 'date', 'text'];
+const CHOICE_TYPES = ['select', 'scale', 'multiselect'];
+const UNSCORED_TYPES = ['date', 'text'];
+const IMPAIRMENT_DOMAINS = [...new Set(Object.values(TRACKS).flatMap(track => Object.keys(track.impairmentDomains)))];
+const IMPAIRMENT_LEVELS = 5; // 0-4 scale
+const INDEX_BUCKETS = ['high', 'low'];
+
+const isString = value => typeof value === 'string' && value.length > 0;
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Validate a question bank
+ * @param {Object} data - Parsed questions.json (or another informant's form)
+ * @param {string} file - File name used in reported problems
+ * @returns {Array} Problems as { file, path, message }
+ */
+export function validateQuestionBank(data, file = 'questions.json') {
+  const errors = [];
+  const report = (path, message) => errors.push({ file, path, message });
+
+  if (!isString(data.id)) report('id', 'must be a non-empty string (locale bundles translate the bank by id)');
+
+  if (!isString(data.instrumentVersion) || !/^\d+\.\d+\.\d+$/.test(data.instrumentVersion)) {
+    report('instrumentVersion', 'must be a semantic version string (e.g. "2.0.0")');
+  }
+
+  if (!Array.isArray(data.sections) || data.sections.length === 0) {
+    report('sections', 'must be a non-empty array');
+    return errors;
+  }
+
+  // Questions defined so far; branching rules may only refer to these
+  const earlierQuestions = new Map();
+
+  data.sections.forEach((section, sectionIndex) => {
+    const sectionPath = `sections[${sectionIndex}]`;
+
+    if (!isString(section.id)) report(`${sectionPath}.id`, 'must be a non-empty string');
+    if (!isString(section.title)) report(`${sectionPath}.title`, 'must be a non-empty string');
+    validateBranching(section, sectionPath, earlierQuestions, report);
+
+    if (!Array.isArray(section.questions)) {
+      report(`${sectionPath}.questions`, 'must be an array');
+      return;
+    }
+
+    section.questions.forEach((question, questionIndex) => {
+      const path = `${sectionPath}.questions[${questionIndex}]`;
+
+      validateBranching(question, path, earlierQuestions, report);
+
+      if (!isString(question.id)) {
+        report(`${path}.id`, 'must be a non-empty string');
+      } else if (earlierQuestions.has(question.id)) {
+        report(`${path}.id`, `duplicate question id "${question.id}"`);
+      } else {
+        earlierQuestions.set(question.id, question);
+      }
+
+      validateQuestion(question, path, report);
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Validate showIf/skipIf rules on a section or question
+ */
+function validateBranching(item, path, earlierQuestions, report) {
+  ['showIf', 'skipIf'].forEach(key => {
+    if (item[key] !== undefined) {
+      validateRule(item[key], `${path}.${key}`, earlierQuestions, report);
+    }
+  });
+}
+
+/**
+ * Validate a single branching rule (recursively for all/any/not)
+ */
+function validateRule(rule, path, earlierQuestions, report) {
+  if (!isObject(rule)) {
+    report(path, 'must be a rule object');
+    return;
+  }
+
+  if (rule.all !== undefined || rule.any !== undefined) {
+    const key = rule.all !== undefined ? 'all' : 'any';
+    if (!Array.isArray(rule[key]) || rule[key].length === 0) {
+      report(`${path}.${key}`, 'must be a non-empty array of rules');
+      return;
+    }
+    rule[key].forEach((child, index) => validateRule(child, `${path}.${key}[${index}]`, earlierQuestions, report));
+    return;
+  }
+
+  if (rule.not !== undefined) {
+    validateRule(rule.not, `${path}.not`, earlierQuestions, report);
+    return;
+  }
+
+  if (rule.age !== undefined) {
+    if (!isObject(rule.age) || (rule.age.min === undefined && rule.age.max === undefined)) {
+      report(`${path}.age`, 'must be an object with min and/or max');
+      return;
+    }
+    ['min', 'max'].forEach(bound => {
+      if (rule.age[bound] !== undefined && !isNumber(rule.age[bound])) {
+        report(`${path}.age.${bound}`, 'must be a number');
+      }
+    });
+    return;
+  }
+
+  if (!isString(rule.question)) {
+    report(path, 'must have all, any, not, age or question');
+    return;
+  }
+
+  const target = earlierQuestions.get(rule.question);
+  if (!target) {
+    report(`${path}.question`, `"${rule.question}" is not an earlier question`);
+  }
+
+  const operators = RULE_OPERATORS.filter(operator => rule[operator] !== undefined);
+  if (operators.length !== 1) {
+    report(path, `must use exactly one of ${RULE_OPERATORS.join(', ')}`);
+    return;
+  }
+
+  const [operator] = operators;
+  if (operator === 'answered') {
+    if (typeof rule.answered !== 'boolean') report(`${path}.answered`, 'must be a boolean');
+    return;
+  }
+
+  if (target && !CHOICE_TYPES.includes(target.type)) {
+    report(path, `only "answered" can be used with ${target.type} questions`);
+    return;
+  }
+
+  const values = ['in', 'notIn'].includes(operator) ? rule[operator] : [rule[operator]];
+  if (!Array.isArray(values) || values.length === 0) {
+    report(`${path}.${operator}`, 'must be a non-empty array of option codes');
+    return;
+  }
+  if (target && target.optionCodes) {
+    values.forEach(value => {
+      if (!target.optionCodes.includes(value)) {
+        report(`${path}.${operator}`, `${JSON.stringify(value)} is not one of ${rule.question}'s optionCodes`);
+      }
+    });
+  }
+}
+
+/**
+ * Validate a single question definition
+ */
+function validateQuestion(question, path, report) {
+  if (!isString(question.text)) report(`${path}.text`, 'must be a non-empty string');
+
+  if (!QUESTION_TYPES.includes(question.type)) {
+    report(`${path}.type`, `must be one of ${QUESTION_TYPES.join(', ')} (got ${JSON.stringify(question.type)})`);
+    return;
+  }
+
+  ['required', 'keyItem', 'ordinal', 'ageAdjusted', 'derivesAge'].forEach(flag => {
+    if (question[flag] !== undefined && typeof question[flag] !== 'boolean') {
+      report(`${path}.${flag}`, 'must be a boolean');
+    }
+  });
+
+  if (question.type === 'number') {
+    if (question.min !== undefined && !isNumber(question.min)) report(`${path}.min`, 'must be a number');
+    if (question.max !== undefined && !isNumber(question.max)) report(`${path}.max`, 'must be a number');
+    if (isNumber(question.min) && isNumber(question.max) && question.min > question.max) {
+      report(`${path}.min`, `must not exceed max (${question.max})`);
+    }
+    return;
+  }
+
+  // Dates and free text are stored but not scored
+  if (UNSCORED_TYPES.includes(question.type)) {
+    if (question.weights !== undefined) report(`${path}.weights`, `${question.type} questions are not scored`);
+    if (question.derivesAge !== undefined && question.type !== 'date') {
+      report(`${path}.derivesAge`, 'is only allowed on date questions');
+    }
+    if (question.maxLength !== undefined && (!Number.isInteger(question.maxLength) || question.maxLength <= 0)) {
+      report(`${path}.maxLength`, 'must be a positive whole number');
+    }
+    return;
+  }
+
+  // Sliders: weights give the score at min and at max
+  if (question.type === 'slider') {
+    if (!isNumber(question.min)) report(`${path}.min`, 'is required and must be a number');
+    if (!isNumber(question.max)) report(`${path}.max`, 'is required and must be a number');
+    if (isNumber(question.min) && isNumber(question.max) && question.min >= question.max) {
+      report(`${path}.min`, `must be less than max (${question.max})`);
+    }
+    if (question.step !== undefined && (!isNumber(question.step) || question.step <= 0)) {
+      report(`${path}.step`, 'must be a positive number');
+    }
+    ['minLabel', 'maxLabel'].forEach(key => {
+      if (question[key] !== undefined && !isString(question[key])) report(`${path}.${key}`, 'must be a non-empty string');
+    });
+    if (question.weights !== undefined) {
+      if (!isObject(question.weights)) {
+        report(`${path}.weights`, 'must be an object keyed by condition');
+      } else {
+        Object.entries(question.weights).forEach(([condition, weights]) => {
+          if (!CONDITIONS.includes(condition)) {
+            report(`${path}.weights.${condition}`, `unknown condition (expected one of ${CONDITIONS.join(', ')})`);
+          }
+          if (!Array.isArray(weights) || weights.length !== 2 || !weights.every(isNumber)) {
+            report(`${path}.weights.${condition}`, 'must be two numbers: the score at min and at max');
+          }
+        });
+      }
+    }
+    return;
+  }
+
+  // Matrices: one answer per row, each row scored with the option weights
+  if (question.type === 'matrix') {
+    if (!Array.isArray(question.rows) || question.rows.length === 0 || !question.rows.every(isString)) {
+      report(`${path}.rows`, 'must be a non-empty array of strings');
+    } else if (!Array.isArray(question.rowCodes) || question.rowCodes.length !== question.rows.length || !question.rowCodes.every(isString)) {
+      report(`${path}.rowCodes`, `must be ${question.rows.length} non-empty strings, one per row`);
+    } else if (new Set(question.rowCodes).size !== question.rowCodes.length) {
+      report(`${path}.rowCodes`, 'must not contain duplicate codes');
+    }
+  }
+
+  // Choice questions: options and option codes
+  if (!Array.isArray(question.options) || question.options.length === 0 || !question.options.every(isString)) {
+    report(`${path}.options`, 'must be a non-empty array of strings');
+    return;
+  }
+
+  const optionCount = question.options.length;
+
+  if (question.minSelections !== undefined) {
+    if (question.type !== 'multiselect') {
+      report(`${path}.minSelections`, 'is only allowed on multiselect questions');
+    } else if (!Number.isInteger(question.minSelections) || question.minSelections < 1 || question.minSelections > optionCount) {
+      report(`${path}.minSelections`, `must be a whole number from 1 to ${optionCount}`);
+    }
+  }
+
+  const checkParallelArray = (key, value, itemCheck, itemDescription) => {
+    if (!Array.isArray(value)) {
+      report(`${path}.${key}`, 'must be an array');
+      return;
+    }
+    if (value.length !== optionCount) {
+      report(`${path}.${key}`, `has ${value.length} entries but options has ${optionCount}`);
+    }
+    value.forEach((item, index) => {
+      if (!itemCheck(item)) report(`${path}.${key}[${index}]`, `must be ${itemDescription}`);
+    });
+  };
+
+  checkParallelArray('optionCodes', question.optionCodes, isString, 'a non-empty string');
+  if (Array.isArray(question.optionCodes) && new Set(question.optionCodes).size !== question.optionCodes.length) {
+    report(`${path}.optionCodes`, 'must not contain duplicate codes');
+  }
+  if (Array.isArray(question.optionCodes) && question.optionCodes.includes(NOT_SURE)) {
+    report(`${path}.optionCodes`, `"${NOT_SURE}" is reserved for the standard "not sure" answer`);
+  }
+
+  if (question.weights !== undefined) {
+    if (!isObject(question.weights)) {
+      report(`${path}.weights`, 'must be an object keyed by condition');
+    } else {
+      Object.entries(question.weights).forEach(([condition, weights]) => {
+        if (!CONDITIONS.includes(condition)) {
+          report(`${path}.weights.${condition}`, `unknown condition (expected one of ${CONDITIONS.join(', ')})`);
+        }
+        checkParallelArray(`weights.${condition}`, weights, isNumber, 'a number');
+      });
+    }
+  }
+
+  if (question.mlKey !== undefined && !isString(question.mlKey)) {
+    report(`${path}.mlKey`, 'must be a non-empty string');
+  }
+  if (question.mlType !== undefined && question.mlType !== 'index') {
+    report(`${path}.mlType`, 'must be "index" when present');
+  }
+  if (question.mlValues !== undefined) {
+    checkParallelArray('mlValues', question.mlValues, isString, 'a non-empty string');
+  }
+  if (question.mlKey && question.mlType !== 'index' && question.mlValues === undefined) {
+    report(`${path}.mlValues`, 'is required when mlKey is set without mlType "index"');
+  }
+
+  if (question.impairmentDomain !== undefined) {
+    if (!IMPAIRMENT_DOMAINS.includes(question.impairmentDomain)) {
+      report(`${path}.impairmentDomain`, `must be one of ${IMPAIRMENT_DOMAINS.join(', ')}`);
+    }
+    if (optionCount !== IMPAIRMENT_LEVELS) {
+      report(`${path}.options`, `impairment questions need ${IMPAIRMENT_LEVELS} options (0-4 scale), found ${optionCount}`);
+    }
+  }
+
+  if (question.symptomDomain !== undefined) {
+    if (!Object.keys(SYMPTOM_DOMAINS).includes(question.symptomDomain)) {
+      report(`${path}.symptomDomain`, `must be one of ${Object.keys(SYMPTOM_DOMAINS).join(', ')}`);
+    }
+    const missingCodes = DSM_SETTINGS.presentCodes.filter(code => !(question.optionCodes || []).includes(code));
+    if (missingCodes.length > 0) {
+      report(`${path}.optionCodes`, `symptom items need the codes ${missingCodes.join(', ')} to count a symptom as present`);
+    }
+  }
+
+  if (question.shadedFrom !== undefined && !(question.optionCodes || []).includes(question.shadedFrom)) {
+    report(`${path}.shadedFrom`, `"${question.shadedFrom}" is not one of the question's optionCodes`);
+  }
+
+  if (question.sleepScores !== undefined) {
+    checkParallelArray('sleepScores', question.sleepScores, value => isNumber(value) && value >= 0, 'a non-negative number');
+  }
+
+  if (question.ageAdjustments !== undefined) {
+    if (!isObject(question.ageAdjustments)) {
+      report(`${path}.ageAdjustments`, 'must be an object');
+    } else {
+      Object.entries(question.ageAdjustments).forEach(([band, rule]) => {
+        const rulePath = `${path}.ageAdjustments.${band}`;
+        if (!['young', 'older'].includes(band)) report(rulePath, 'must be "young" or "older"');
+        if (!isObject(rule)) {
+          report(rulePath, 'must be an object with index and adjustment');
+          return;
+        }
+        if (!Number.isInteger(rule.index) || rule.index < 0 || rule.index >= optionCount) {
+          report(`${rulePath}.index`, `must be an option index between 0 and ${optionCount - 1}`);
+        }
+        if (!isNumber(rule.adjustment)) report(`${rulePath}.adjustment`, 'must be a number');
+      });
+    }
+  }
+
+  if (question.priorMultipliers !== undefined) {
+    if (!isObject(question.priorMultipliers)) {
+      report(`${path}.priorMultipliers`, 'must be an object keyed by option code');
+    } else {
+      Object.entries(question.priorMultipliers).forEach(([code, ratios]) => {
+        const ratioPath = `${path}.priorMultipliers.${code}`;
+        if (Array.isArray(question.optionCodes) && !question.optionCodes.includes(code)) {
+          report(ratioPath, `"${code}" is not one of the question's optionCodes`);
+        }
+        if (!isObject(ratios)) {
+          report(ratioPath, 'must be an object keyed by condition');
+          return;
+        }
+        Object.entries(ratios).forEach(([condition, ratio]) => {
+          if (!CONDITIONS.includes(condition)) report(`${ratioPath}.${condition}`, 'unknown condition');
+          if (!isNumber(ratio) || ratio <= 0) report(`${ratioPath}.${condition}`, 'must be a positive number');
+        });
+      });
+    }
+  }
+}
+
+/**
+ * Validate pattern signatures against the features the question bank produces
+ * @param {Object} data - Parsed mlPatterns.json
+ * @param {Object} questionBank - Parsed questions.json
+ * @returns {Array} Problems as { file, path, message }
+ */
+export function validateMlPatterns(data, questionBank) {
+  const errors = [];
+  const report = (path, message) => errors.push({ file: 'mlPatterns.json', path, message });
+
+  // Features available from the question bank
+  const features = {};
+  (questionBank.sections || []).forEach(section => {
+    (section.questions || []).forEach(question => {
+      if (!question.mlKey) return;
+      features[question.mlKey] = question.mlType === 'index'
+        ? { index: true }
+        : { values: question.mlValues || [] };
+    });
+  });
+
+  Object.entries(data).forEach(([groupKey, patterns]) => {
+    const condition = groupKey.replace(/Patterns$/, '');
+    if (!groupKey.endsWith('Patterns') || !CONDITIONS.includes(condition)) {
+      report(groupKey, `group must be named <condition>Patterns for one of ${CONDITIONS.join(', ')}`);
+    }
+    if (!Array.isArray(patterns)) {
+      report(groupKey, 'must be an array of patterns');
+      return;
+    }
+
+    patterns.forEach((pattern, index) => {
+      const path = `${groupKey}[${index}]`;
+      if (!isString(pattern.name)) report(`${path}.name`, 'must be a non-empty string');
+      if (!isNumber(pattern.confidenceBoost) || pattern.confidenceBoost < 0) {
+        report(`${path}.confidenceBoost`, 'must be a non-negative number');
+      }
+      if (pattern.prevalence !== undefined && (!isNumber(pattern.prevalence) || pattern.prevalence < 0 || pattern.prevalence > 1)) {
+        report(`${path}.prevalence`, 'must be a number between 0 and 1');
+      }
+      if (!isObject(pattern.signature) || Object.keys(pattern.signature).length === 0) {
+        report(`${path}.signature`, 'must be a non-empty object');
+        return;
+      }
+
+      Object.entries(pattern.signature).forEach(([feature, expected]) => {
+        const featurePath = `${path}.signature.${feature}`;
+        const definition = features[feature];
+        if (!definition) {
+          report(featurePath, `no question produces the feature "${feature}" (check mlKey in questions.json)`);
+          return;
+        }
+
+        const values = Array.isArray(expected) ? expected : [expected];
+        if (values.length === 0) report(featurePath, 'must not be an empty array');
+        values.forEach(value => {
+          if (definition.index) {
+            if (!INDEX_BUCKETS.includes(value)) {
+              report(featurePath, `index feature expects "high" or "low" (got ${JSON.stringify(value)})`);
+            }
+          } else if (!definition.values.includes(value)) {
+            report(featurePath, `${JSON.stringify(value)} is not one of the mlValues (${[...new Set(definition.values)].join(', ')})`);
+          }
+        });
+      });
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Validate developmental age norms
+ * @param {Object} data - Parsed ageNorms.json
+ * @returns {Array} Problems as { file, path, message }
+ */
+export function validateAgeNorms(data) {
+  const errors = [];
+  const report = (path, message) => errors.push({ file: 'ageNorms.json', path, message });
+
+  if (!isObject(data) || Object.keys(data).length === 0) {
+    report('', 'must be a non-empty object keyed by age');
+    return errors;
+  }
+
+  Object.entries(data).forEach(([age, norm]) => {
+    if (!/^\d+$/.test(age)) report(age, 'key must be a whole-number age');
+    if (!isObject(norm)) {
+      report(age, 'must be an object');
+      return;
+    }
+    if (!isNumber(norm.attentionSpan) || norm.attentionSpan <= 0) {
+      report(`${age}.attentionSpan`, 'must be a positive number of minutes');
+    }
+    if (typeof norm.hyperactivityExpected !== 'boolean') report(`${age}.hyperactivityExpected`, 'must be a boolean');
+    if (typeof norm.impulsivityHigh !== 'boolean') report(`${age}.impulsivityHigh`, 'must be a boolean');
+    if (!isString(norm.note)) report(`${age}.note`, 'must be a non-empty string');
+  });
+
+  return errors;
+}
+
+/**
+ * Validate informant forms and the settings they vouch for
+ * @param {Object} informants - Informant definitions keyed by id
+ * @param {Object} questionBank - Parent question bank (holds the pervasiveness question)
+ * @returns {Array} Problems as { file, path, message }
+ */
+export function validateInformantForms(informants, questionBank) {
+  const errors = [];
+  const pervasiveness = (questionBank.sections || [])
+    .flatMap(section => section.questions || [])
+    .find(question => question.id === 'pervasiveness');
+  const settingCodes = (pervasiveness && pervasiveness.optionCodes) || [];
+
+  Object.values(informants)
+    .filter(informant => informant.id !== 'parent')
+    .forEach(informant => {
+      const file = `${informant.id} form`;
+      errors.push(...validateQuestionBank(informant.questionBank, file));
+
+      informant.settings.forEach((setting, index) => {
+        if (!settingCodes.includes(setting)) {
+          errors.push({ file: 'informants.js', path: `${informant.id}.settings[${index}]`, message: `"${setting}" is not one of pervasiveness's optionCodes` });
+        }
+      });
+    });
+
+  return errors;
+}
+
+/**
+ * Validate screening tracks other than the child questionnaire
+ * Checks each track's question bank, its impairment domains and its prevalence profile
+ * @param {Object} tracks - Track definitions keyed by id
+ * @param {Object} prevalenceProfiles - Parsed prevalenceProfiles.json
+ * @returns {Array} Problems as { file, path, message }
+ */
+export function validateTracks(tracks, prevalenceProfiles) {
+  const errors = [];
+
+  Object.values(tracks)
+    .filter(track => track.questionBank !== questionsData)
+    .forEach(track => {
+      errors.push(...validateQuestionBank(track.questionBank, `${track.id} track`));
+
+      (track.questionBank.sections || [])
+        .flatMap(section => section.questions || [])
+        .filter(question => question.impairmentDomain && !track.impairmentDomains[question.impairmentDomain])
+        .forEach(question => {
+          errors.push({ file: 'tracks.js', path: `${track.id}.impairmentDomains`, message: `has no label for "${question.impairmentDomain}" (used by ${question.id})` });
+        });
+
+      if (track.prevalenceProfile && !prevalenceProfiles.profiles[track.prevalenceProfile]) {
+        errors.push({ file: 'tracks.js', path: `${track.id}.prevalenceProfile`, message: `"${track.prevalenceProfile}" is not a profile in prevalenceProfiles.json` });
+      }
+    });
+
+  return errors;
+}
+
+/**
+ * Validate locale bundles against the content they translate
+ * Every translation must point at something that exists in English: a bundle
+ * keyed on a renamed question id or option code would otherwise fall back to
+ * English without anyone noticing
+ * @param {Object} locales - Locale definitions keyed by id (see i18n.js)
+ * @param {Object} questionBanks - Source question banks keyed by bank id
+ * @returns {Array} Problems as { file, path, message }
+ */
+export function validateLocaleBundles(locales, questionBanks) {
+  const errors = [];
+  const english = locales[DEFAULT_LOCALE].bundle;
+  const patternNames = Object.values(mlPatternsData).flat().map(pattern => pattern.name);
+
+  Object.values(locales).forEach(locale => {
+    const file = `locales/${locale.id}.json`;
+    const report = (path, message) => errors.push({ file, path, message });
+    const bundle = locale.bundle;
+
+    if (bundle.locale !== locale.id) report('locale', `must be "${locale.id}"`);
+    if (typeof bundle.reviewed !== 'boolean') report('reviewed', 'must be a boolean');
+    if (locale.id === DEFAULT_LOCALE) return;
+
+    validateMessages(bundle.ui || {}, english.ui, 'ui', report);
+
+    Object.entries(bundle.questionBanks || {}).forEach(([bankId, translations]) => {
+      const bank = questionBanks[bankId];
+      if (!bank) {
+        report(`questionBanks.${bankId}`, `is not a question bank id (${Object.keys(questionBanks).join(', ')})`);
+        return;
+      }
+      validateBankTranslations(translations, bank, `questionBanks.${bankId}`, report);
+    });
+
+    Object.keys(bundle.patterns || {})
+      .filter(name => !patternNames.includes(name))
+      .forEach(name => report(`patterns.${name}`, 'is not a pattern name in mlPatterns.json'));
+
+    Object.keys(bundle.ageNorms || {})
+      .filter(age => !ageNormsData[age])
+      .forEach(age => report(`ageNorms.${age}`, 'is not an age in ageNorms.json'));
+
+    validateRecommendationTranslations(bundle.recommendations || {}, report);
+  });
+
+  return errors;
+}
+
+/**
+ * Check translated interface messages against the English ones
+ * Plural messages ({ one, other... }) must at least have an "other" form
+ */
+function validateMessages(messages, englishMessages, path, report) {
+  Object.entries(messages).forEach(([key, message]) => {
+    const messagePath = `${path}.${key}`;
+    const source = englishMessages[key];
+    if (source === undefined) {
+      report(messagePath, 'has no English message');
+    } else if (isObject(source) && !isString(source.other)) {
+      if (isObject(message)) validateMessages(message, source, messagePath, report);
+      else report(messagePath, 'must be an object of messages');
+    } else if (isObject(message)) {
+      if (!isString(message.other)) report(messagePath, 'plural message must have an "other" form');
+    } else if (!isString(message)) {
+      report(messagePath, 'must be a non-empty string');
+    }
+  });
+}
+
+/**
+ * Check a question bank translation against the bank's sections, questions and codes
+ */
+function validateBankTranslations(translations, bank, path, report) {
+  const sectionIds = bank.sections.map(section => section.id);
+  Object.keys(translations.sections || {})
+    .filter(id => !sectionIds.includes(id))
+    .forEach(id => report(`${path}.sections.${id}`, 'is not a section id'));
+
+  const questions = new Map(bank.sections.flatMap(section => section.questions).map(question => [question.id, question]));
+  Object.entries(translations.questions || {}).forEach(([id, text]) => {
+    const question = questions.get(id);
+    if (!question) {
+      report(`${path}.questions.${id}`, 'is not a question id');
+      return;
+    }
+    [['options', 'optionCodes'], ['rows', 'rowCodes']].forEach(([field, codesField]) => {
+      Object.keys(text[field] || {})
+        .filter(code => !(question[codesField] || []).includes(code))
+        .forEach(code => report(`${path}.questions.${id}.${field}.${code}`, `is not one of ${codesField}`));
+    });
+  });
+}
+
+/**
+ * Check recommendation translations line up with the English text
+ * Lists are used only when they have the same number of entries
+ */
+function validateRecommendationTranslations(recommendations, report) {
+  Object.keys(recommendations.flags || {})
+    .filter(key => !FLAG_TEXT[key])
+    .forEach(key => report(`recommendations.flags.${key}`, 'is not a recommendation flag'));
+  Object.keys(recommendations.conditionNames || {})
+    .filter(condition => !CONDITIONS.includes(condition))
+    .forEach(condition => report(`recommendations.conditionNames.${condition}`, 'is not a condition'));
+
+  Object.entries(RECOMMENDATION_TEXT).forEach(([track, text]) => {
+    const translations = recommendations[track] || {};
+    const checkList = (path, english, translated) => {
+      if (Array.isArray(english) && Array.isArray(translated) && translated.length !== english.length) {
+        report(path, `has ${translated.length} entries but the English text has ${english.length}`);
+      }
+    };
+
+    Object.entries(translations).forEach(([key, translated]) => {
+      const path = `recommendations.${track}.${key}`;
+      if (key === 'impairment') {
+        Object.entries(translated).forEach(([domain, fields]) => {
+          const rule = text.impairment.find(candidate => candidate.domain === domain);
+          if (!rule) {
+            report(`${path}.${domain}`, 'has no impairment rule');
+            return;
+          }
+          Object.entries(fields).forEach(([field, list]) => checkList(`${path}.${domain}.${field}`, rule[field], list));
+        });
+      } else if (text[key] === undefined) {
+        report(path, 'has no English text');
+      } else {
+        checkList(path, text[key], translated);
+      }
+    });
+  });
+}
+
+/**
+ * Validate all bundled data files
+ * @returns {Object} { valid, errors }
+ */
+export function validateDataFiles() {
+  const errors = [
+    ...validateQuestionBank(questionsData),
+    ...validateInformantForms(INFORMANTS, questionsData),
+    ...validateTracks(TRACKS, prevalenceProfilesData),
+    ...validateMlPatterns(mlPatternsData, questionsData),
+    ...validateAgeNorms(ageNormsData),
+    ...validateLocaleBundles(LOCALES, getQuestionBanks())
+  ];
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Every question bank a locale bundle can translate, keyed by bank id
+ */
+function getQuestionBanks() {
+  const banks = {};
+  [...Object.values(TRACKS), ...Object.values(INFORMANTS)].forEach(({ questionBank }) => {
+    banks[questionBank.id] = questionBank;
+  });
+  return banks;
+}
+
+/**
+ * Format a validation problem for display
+ * @param {Object} error - Problem from a validator
+ * @returns {string} e.g. "questions.json: sections[1].questions[0].weights.adhd has 4 entries but options has 5"
+ */
+export function formatValidationError(error) {
+  return `${error.file}: ${error.path ? `${error.path} ` : ''}${error.message}`;
+}
+
+/**
+ * Throw if the bundled data files are invalid
+ * Validation runs once and the result is cached
+ */
+let cachedValidation = null;
+export function assertValidDataFiles() {
+  if (!cachedValidation) {
+    cachedValidation = validateDataFiles();
+  }
+
+  if (!cachedValidation.valid) {
+    const details = cachedValidation.errors.map(formatValidationError).join('\n  ');
+    throw new Error(`Refusing to score: the question bank is invalid\n  ${details}`);
+  }
+}
@@ -0,0 +1,196 @@
+import { getAllQuestions, isAnswered, isNotSure } from './questionBank.js';
+import { getVisibility } from './branching.js';
+import { createResponseSet } from './responseMigration.js';
+import { createLinkedResponseSet, readLinkedResponseSet, INFORMANTS } from './informants.js';
+import { getTrack } from './tracks.js';
+
+/**
+ * Screening Export
+ * Saves a completed screening as a versioned JSON file (the response sets
+ * plus the full results object) that can be opened again later, and as a
+ * single flat CSV row for spreadsheets and audit
+ */
+
+/**
+ * File format marker and version
+ * Bump the version when the file layout changes; older files must stay readable
+ */
+export const EXPORT_FORMAT = 'nhs-adhd-screening';
+export const EXPORT_FORMAT_VERSION = 1;
+
+/**
+ * Create an error the app can show in the user's language
+ * `code` names the message (exportFile.errors.<code>) and `params` fills it in
+ */
+function exportError(code, message, params = {}) {
+  const error = new Error(message);
+  error.code = code;
+  error.params = params;
+  return error;
+}
+
+/**
+ * Create a screening file
+ * @param {Object} results - Results from runScreening
+ * @param {Object} options - { responses, informantResponses, childId, notAsked, locale, exportedAt: Date }
+ * @returns {Object} Screening file contents (JSON-serialisable)
+ */
+export function createScreeningExport(results, options = {}) {
+  const { responses = {}, informantResponses = {}, childId = null, notAsked = [], locale } = options;
+  const exportedAt = options.exportedAt || new Date();
+  const track = getTrack(results.track);
+
+  return {
+    format: EXPORT_FORMAT,
+    formatVersion: EXPORT_FORMAT_VERSION,
+    exportedAt: exportedAt.toISOString(),
+    locale: locale || null,
+    responseSet: track.informants
+      ? createLinkedResponseSet(childId, { ...informantResponses, parent: responses })
+      : createResponseSet(responses, track.id),
+    notAsked,
+    results
+  };
+}
+
+/**
+ * Read a screening file
+ * Response sets saved under older instrument versions are migrated, so the
+ * answers can be re-scored; the saved results are returned unchanged
+ * @param {Object} data - Parsed screening file
+ * @returns {Object} { track, childId, responses, informants, notAsked, results, exportedAt, locale, migratedFrom, warnings }
+ * @throws {Error} With a `code` (notAnExport, newerVersion, invalid) if the file cannot be opened
+ */
+export function readScreeningExport(data) {
+  if (!data || data.format !== EXPORT_FORMAT) {
+    throw exportError('notAnExport', 'This file is not a screening file saved from this tool');
+  }
+  if (!Number.isInteger(data.formatVersion) || data.formatVersion > EXPORT_FORMAT_VERSION) {
+    throw exportError('newerVersion', `Screening file version ${data.formatVersion} is newer than this tool can read (${EXPORT_FORMAT_VERSION})`);
+  }
+  if (!data.results || typeof data.results.probabilities !== 'object') {
+    throw exportError('invalid', 'The screening file has no results', { message: 'no results' });
+  }
+
+  let responseSet;
+  try {
+    responseSet = readLinkedResponseSet(data.responseSet);
+  } catch (error) {
+    throw exportError('invalid', error.message, { message: error.message });
+  }
+
+  if (responseSet.track !== getTrack(data.results.track).id) {
+    throw exportError('invalid', 'The answers and results are for different screening tracks', { message: 'track mismatch' });
+  }
+
+  return {
+    track: responseSet.track,
+    childId: responseSet.childId,
+    responses: responseSet.responses,
+    informants: responseSet.informants,
+    notAsked: Array.isArray(data.notAsked) ? data.notAsked : [],
+    results: data.results,
+    exportedAt: data.exportedAt || null,
+    locale: data.locale || null,
+    migratedFrom: responseSet.migratedFrom,
+    warnings: responseSet.warnings
+  };
+}
+
+/**
+ * Format a stored answer for a CSV cell
+ * Option codes are kept; several values are separated with ";"
+ */
+function formatCsvAnswer(question, response) {
+  if (isNotSure(response)) return response;
+  if (!isAnswered(response)) return '';
+  if (question.type === 'matrix') {
+    return question.rowCodes
+      .filter(rowCode => isAnswered(response[rowCode]) || isNotSure(response[rowCode]))
+      .map(rowCode => `${rowCode}:${response[rowCode]}`)
+      .join(';');
+  }
+  return Array.isArray(response) ? response.join(';') : response;
+}
+
+/**
+ * Answer columns for one form: every question, blank when hidden or unanswered
+ */
+function answerColumns(questionBank, responses, age, prefix) {
+  const visibility = getVisibility(responses, age, questionBank);
+  return getAllQuestions(questionBank).map(question => [
+    `${prefix}${question.id}`,
+    visibility.questions[question.id] ? formatCsvAnswer(question, responses[question.id]) : ''
+  ]);
+}
+
+/**
+ * Quote a CSV cell (RFC 4180)
+ * Text starting with a formula character is prefixed with an apostrophe so
+ * spreadsheets show it rather than run it
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Round a percentage for the CSV
+ */
+const roundPercent = value => Math.round(value * 10) / 10;
+
+/**
+ * Create a CSV with a header row and one row for the screening
+ * Columns are the same for every screening on a track, so rows from several
+ * files can be pasted into one spreadsheet. Result columns must not share a
+ * name with a question id, since the parent's answer columns are unprefixed
+ * @param {Object} results - Results from runScreening
+ * @param {Object} options - { responses, informantResponses, childId, exportedAt: Date }
+ * @returns {string} CSV text
+ */
+export function createScreeningCsv(results, options = {}) {
+  const { responses = {}, informantResponses = {}, childId } = options;
+  const exportedAt = options.exportedAt || new Date();
+  const track = getTrack(results.track);
+  const { completeness } = results;
+
+  const columns = [
+    ['exportedAt', exportedAt.toISOString()],
+    ['childId', childId || ''],
+    ['track', track.id],
+    ['instrumentVersion', results.instrumentVersion],
+    ['engineVersion', results.engineVersion],
+    ['childAge', results.childAge],
+    ['prevalenceProfile', results.prevalenceProfile],
+    ['probabilityMode', results.probabilityMode],
+    ['confidence', results.confidence],
+    ...Object.entries(results.probabilities).flatMap(([condition, probability]) => [
+      [`${condition}Probability`, roundPercent(probability)],
+      [`${condition}Lower`, roundPercent(results.intervals[condition].lower)],
+      [`${condition}Upper`, roundPercent(results.intervals[condition].upper)]
+    ]),
+    ...Object.keys(track.impairmentDomains).map(domain => [`${domain}ImpactScore`, results.impairment[domain]]),
+    ['impactTotal', results.impairment.total],
+    ['sleepScore', results.sleepScore],
+    ['answered', completeness.answered],
+    ['total', completeness.total],
+    ['notSure', completeness.notSure],
+    ['notAsked', completeness.notAsked],
+    ['insufficientInformation', completeness.insufficientInformation],
+    ['dsmStatus', results.dsmCriteria.completed ? results.dsmCriteria.status : ''],
+    ['asrsStatus', results.asrs.completed ? results.asrs.status : ''],
+    ...answerColumns(track.questionBank, responses, results.childAge, ''),
+    ...(track.informants
+      ? Object.values(INFORMANTS)
+        .filter(informant => informant.id !== 'parent')
+        .flatMap(informant => answerColumns(informant.questionBank, informantResponses[informant.id] || {}, results.childAge, `${informant.id}.`))
+      : [])
+  ];
+
+  return [
+    columns.map(([name]) => csvCell(name)).join(','),
+    columns.map(([, value]) => csvCell(value)).join(',')
+  ].join('\r\n') + '\r\n';
+}
@@ -0,0 +1,223 @@
+import ageNormsData from '../data/ageNorms.json';
+import { calculateScores } from './calculator.js';
+import {
+  calculateBayesianProbabilities,
+  applyPatternBoosts,
+  getConfidenceLevel,
+  calculateCredibleIntervals,
+  CREDIBLE_INTERVAL_LEVEL
+} from './bayesianEngine.js';
+import { matchPatterns } from './mlMatcher.js';
+import { explainResults } from './explainer.js';
+import { assertValidDataFiles } from './schemaValidator.js';
+import { mergeInformants, labelCrossSettingContributions } from './informants.js';
+import { evaluateDsmCriteria } from './dsmCriteria.js';
+import { evaluateAsrs } from './asrsScreener.js';
+import { getTrack } from './tracks.js';
+import { getAllQuestions } from './questionBank.js';
+import { localizeQuestionBank, localizeText } from './i18n.js';
+
+/**
+ * Screening Pipeline
+ * Runs the full scoring sequence without any UI dependencies
+ * Used by the React app and the command-line scorer
+ */
+
+/**
+ * Default age used when no age has been answered
+ */
+const DEFAULT_AGE = 10;
+
+/**
+ * Version of the scoring engine (scoring, Bayesian and pattern rules)
+ * Reported with every result alongside the instrument version; bump it when a
+ * change could give a different result for the same answers
+ */
+export const ENGINE_VERSION = '1.1.0';
+
+/**
+ * Run the complete screening calculation
+ * @param {Object} responses - Object with question IDs as keys and option codes as values
+ *   (current instrument version; use migrateResponseSet for older response sets)
+ * @param {Object} options - Pipeline options
+ * @param {string} options.track - 'child' (default) or 'adult'
+ * @param {number} options.age - Child's age (overrides responses.age)
+ * @param {string} options.prevalenceProfile - Prevalence profile id for the Bayesian priors
+ *   (defaults to the track's profile)
+ * @param {string} options.probabilityMode - 'relative' (shares summing to 100%) or 'independent'
+ * @param {Object} options.informants - Teacher and self-report responses keyed by informant id (child track)
+ * @param {Array} options.notAsked - Question ids left out by the adaptive route
+ * @param {string} options.locale - Language for question, answer, pattern and age note text in the
+ *   results (defaults to English); scores are the same in every language
+ * @returns {Object} Results object consumed by ResultsDisplay
+ * @throws {Error} If the bundled question bank fails schema validation
+ */
+export function runScreening(responses, options = {}) {
+  assertValidDataFiles();
+
+  const track = getTrack(options.track);
+  const { locale } = options;
+  const questionBank = localizeQuestionBank(track.questionBank, locale);
+  const age = options.age || responses.age || DEFAULT_AGE;
+  const prevalenceProfile = options.prevalenceProfile || track.prevalenceProfile;
+
+  // Step 1: Merge other informants' forms (cross-setting evidence and weighted scores)
+  const informants = track.informants
+    ? mergeInformants(responses, options.informants, age, locale)
+    : withoutInformants(responses, options.informants);
+
+  // Step 2: Calculate raw scores
+  const { scores, impairment, sleepScore, mlFeatures, contributions, completeness } = calculateScores(informants.responses, age, {
+    questionBank,
+    notAsked: options.notAsked,
+    locale
+  });
+  Object.entries(informants.scoreAdjustments).forEach(([condition, points]) => {
+    scores[condition] += points;
+    contributions[condition].push(...informants.contributions[condition]);
+  });
+  labelCrossSettingContributions(contributions, informants.crossSettingEvidence, locale);
+
+  // Step 3: Match ML patterns
+  const patternMatches = localizePatternNames(matchPatterns(mlFeatures), locale);
+
+  // Step 4: Apply Bayesian probabilities
+  const demographics = {
+    age,
+    gender: responses.gender,
+    familyHistory: responses.familyHistory
+  };
+
+  const bayesianResult = calculateBayesianProbabilities(scores, demographics, {
+    prevalenceProfile,
+    probabilityMode: options.probabilityMode,
+    questionBank
+  });
+  const { probabilityMode } = bayesianResult;
+
+  // Step 5: Apply pattern boosts
+  const probabilities = applyPatternBoosts(bayesianResult.probabilities, patternMatches, probabilityMode);
+
+  // Step 6: Estimate uncertainty and calculate confidence level (downgraded for missing answers)
+  const intervals = calculateCredibleIntervals(informants.responses, age, {
+    prevalenceProfile,
+    probabilityMode,
+    questionBank,
+    scoreAdjustments: informants.scoreAdjustments
+  }, probabilities);
+  const confidence = getConfidenceLevel(probabilities, impairment, {
+    probabilityMode,
+    intervals,
+    completeness
+  });
+
+  // Step 7: Get age context
+  const ageContext = getAgeContext(age, locale);
+
+  // DSM-5 symptom counts and criteria, reported alongside the weighted result
+  const dsmCriteria = evaluateDsmCriteria(informants.responses, age, questionBank);
+
+  // ASRS v1.1 Part A screener (adult track)
+  const asrs = evaluateAsrs(informants.responses, questionBank);
+
+  // Free-text answers are passed on with the results but never scored
+  // (answers that are not text, e.g. a number in a hand-written file, are left out)
+  const freeTextAnswers = getAllQuestions(questionBank)
+    .filter(question => question.type === 'text' && completeness.status[question.id] === 'answered')
+    .filter(question => typeof informants.responses[question.id] === 'string')
+    .map(question => ({
+      questionId: question.id,
+      questionText: question.text,
+      answer: informants.responses[question.id].trim()
+    }));
+
+  // Explain what drove each condition's result
+  const explanations = explainResults({
+    contributions,
+    priors: bayesianResult.priors,
+    patternMatches,
+    questionBank
+  });
+
+  return {
+    track: track.id,
+    instrumentVersion: questionBank.instrumentVersion,
+    engineVersion: ENGINE_VERSION,
+    probabilities,
+    probabilityMode,
+    intervals,
+    intervalLevel: CREDIBLE_INTERVAL_LEVEL,
+    patternMatches,
+    ageContext,
+    impairment,
+    sleepScore,
+    confidence,
+    completeness,
+    childAge: age,
+    scores,
+    mlFeatures,
+    priors: bayesianResult.priors,
+    prevalenceProfile: bayesianResult.prevalenceProfile,
+    likelihoods: bayesianResult.likelihoods,
+    contributions,
+    explanations,
+    dsmCriteria,
+    asrs,
+    freeTextAnswers,
+    informants: {
+      forms: informants.forms,
+      agreement: informants.agreement,
+      disagreements: informants.disagreements,
+      crossSettingEvidence: informants.crossSettingEvidence,
+      warnings: informants.warnings
+    }
+  };
+}
+
+/**
+ * Informant summary for tracks without other informants' forms
+ * Forms passed in anyway are ignored with a warning
+ */
+function withoutInformants(responses, informantResponses = {}) {
+  return {
+    responses,
+    scoreAdjustments: {},
+    contributions: {},
+    forms: [],
+    agreement: {},
+    disagreements: [],
+    crossSettingEvidence: [],
+    warnings: Object.keys(informantResponses).map(informantId =>
+      `Informant form "${informantId}" was ignored: other informants' forms are only used on the child track`
+    )
+  };
+}
+
+/**
+ * Show matched pattern names in the results language
+ */
+function localizePatternNames(patternMatches, locale) {
+  const localized = {};
+  Object.entries(patternMatches).forEach(([condition, match]) => {
+    localized[condition] = match.patternName
+      ? { ...match, patternName: localizeText(locale, ['patterns', match.patternName], match.patternName) }
+      : match;
+  });
+  return localized;
+}
+
+/**
+ * Get age context from norms data
+ * Uses the closest age band in ageNorms.json
+ * @param {number} age - Child's age
+ * @param {string} locale - Language for the note (defaults to English)
+ * @returns {Object} Developmental norms for the closest age
+ */
+export function getAgeContext(age, locale) {
+  const ages = Object.keys(ageNormsData).map(Number);
+  const closestAge = ages.reduce((prev, curr) =>
+    Math.abs(curr - age) < Math.abs(prev - age) ? curr : prev
+  );
+  const norms = ageNormsData[closestAge];
+  return { ...norms, note: localizeText(locale, ['ageNorms', String(closestAge)], norms.note) };
+}
@@ -0,0 +1,199 @@
+import { createResponseSet } from './responseMigration.js';
+import { createLinkedResponseSet, readLinkedResponseSet } from './informants.js';
+import { createSalt, deriveKey, encryptJson, decryptJson, toBase64, fromBase64 } from './pinCrypto.js';
+
+/**
+ * Saved Sessions
+ * Keeps an in-progress screening in browser storage so a refresh or a closed
+ * tab does not lose it. Answers are sensitive health data, so the saved state
+ * is encrypted (AES-GCM) with a key derived from a PIN the user chooses
+ * (PBKDF2); only the save and expiry times and the wrong-PIN count are stored
+ * in the clear. The wrong-PIN limit is enforced by this module alone, so it
+ * stops guessing in the app but not offline guessing against a copied record.
+ * Responses are saved as a linked response set and migrated on resume, so a
+ * session saved under an older instrument version can still be carried on
+ */
+
+export const SESSION_SETTINGS = {
+  storageKey: 'nhsAdhdScreening.session',
+  expiryHours: 24,          // default lifetime of a saved session, renewed on every save
+  pinPattern: /^\d{4,8}$/,  // 4-8 digit PIN
+  keyIterations: 250000,    // PBKDF2 iterations
+  maxPinAttempts: 5         // wrong PINs in the app before the saved session is deleted
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Create an error the interface can show in the user's language
+ * `code` names the message (session.errors.<code>) and `params` fills it in
+ */
+function sessionError(code, message, params = {}) {
+  const error = new Error(message);
+  error.code = code;
+  error.params = params;
+  return error;
+}
+
+/**
+ * Check whether this browser can save sessions (Web Crypto and localStorage)
+ * @returns {boolean}
+ */
+export function canSaveSessions() {
+  try {
+    return Boolean(globalThis.crypto && globalThis.crypto.subtle && globalThis.localStorage);
+  } catch {
+    return false; // storage access can throw when blocked by browser settings
+  }
+}
+
+/**
+ * Check that a PIN has the expected format
+ * @param {string} pin - PIN entered by the user
+ * @returns {boolean}
+ */
+export function isValidPin(pin) {
+  return SESSION_SETTINGS.pinPattern.test(pin || '');
+}
+
+/**
+ * Create the encryption key for a new saved session
+ * The key is derived once and reused for every automatic save
+ * @param {string} pin - PIN chosen by the user
+ * @returns {Promise<Object>} Session key { key, salt }
+ */
+export async function createSessionKey(pin) {
+  if (!isValidPin(pin)) {
+    throw sessionError('invalidPin', 'PIN must be 4 to 8 digits');
+  }
+
+  const salt = createSalt();
+  return { key: await deriveKey(pin, salt, SESSION_SETTINGS.keyIterations), salt };
+}
+
+/**
+ * Encrypt and save the current screening
+ * @param {Object} session - { track, childId, responses, informantResponses, progress }
+ *   progress holds where the user was (section, question order...) and is restored as given
+ * @param {Object} sessionKey - Key from createSessionKey or openSavedSession
+ * @param {Object} options - { expiryHours, now }
+ * @returns {Promise<Object>} Saved session summary { savedAt, expiresAt }
+ */
+export async function saveSession(session, sessionKey, options = {}) {
+  const { expiryHours = SESSION_SETTINGS.expiryHours, now = Date.now() } = options;
+
+  const linked = createLinkedResponseSet(session.childId, session.informantResponses || {});
+  const payload = {
+    responseSet: {
+      ...linked,
+      informants: { ...linked.informants, parent: createResponseSet(session.responses, session.track) }
+    },
+    progress: session.progress || {}
+  };
+
+  const record = {
+    savedAt: now,
+    expiresAt: now + expiryHours * HOUR_MS,
+    attempts: 0,
+    salt: toBase64(sessionKey.salt),
+    ...await encryptJson(sessionKey.key, payload)
+  };
+  globalThis.localStorage.setItem(SESSION_SETTINGS.storageKey, JSON.stringify(record));
+
+  return { savedAt: record.savedAt, expiresAt: record.expiresAt };
+}
+
+/**
+ * Look for a saved session without decrypting it
+ * Expired or unreadable sessions are deleted
+ * @param {number} now - Current time (ms)
+ * @returns {Object|null} { savedAt, expiresAt, attemptsLeft }, or null when there is none
+ */
+export function getSavedSession(now = Date.now()) {
+  const record = readRecord();
+  if (!record) return null;
+
+  if (record.expiresAt <= now) {
+    clearSavedSession();
+    return null;
+  }
+
+  return {
+    savedAt: record.savedAt,
+    expiresAt: record.expiresAt,
+    attemptsLeft: SESSION_SETTINGS.maxPinAttempts - record.attempts
+  };
+}
+
+/**
+ * Decrypt a saved session with the user's PIN
+ * A wrong PIN counts as a failed attempt; after too many the session is deleted.
+ * The count is stored unencrypted, so this is an interface lockout only
+ * @param {string} pin - PIN entered by the user
+ * @returns {Promise<Object>} { track, childId, responses, informantResponses, progress, warnings, sessionKey }
+ */
+export async function openSavedSession(pin) {
+  const record = readRecord();
+  if (!record || record.expiresAt <= Date.now()) {
+    clearSavedSession();
+    throw sessionError('noSavedSession', 'There is no saved screening to resume');
+  }
+
+  const salt = fromBase64(record.salt);
+  let payload;
+  let key;
+  try {
+    key = await deriveKey(pin || '', salt, SESSION_SETTINGS.keyIterations);
+    payload = await decryptJson(key, record);
+  } catch {
+    const attempts = record.attempts + 1;
+    if (attempts >= SESSION_SETTINGS.maxPinAttempts) {
+      clearSavedSession();
+      throw sessionError('tooManyAttempts', 'Incorrect PIN. The saved screening has been deleted after too many attempts');
+    }
+    globalThis.localStorage.setItem(SESSION_SETTINGS.storageKey, JSON.stringify({ ...record, attempts }));
+    const attemptsLeft = SESSION_SETTINGS.maxPinAttempts - attempts;
+    throw sessionError('incorrectPin', `Incorrect PIN. ${attemptsLeft} ${attemptsLeft === 1 ? 'attempt' : 'attempts'} left`, { count: attemptsLeft });
+  }
+
+  const linked = readLinkedResponseSet(payload.responseSet);
+  return {
+    track: linked.track,
+    childId: linked.childId,
+    responses: linked.responses,
+    informantResponses: linked.informants,
+    progress: payload.progress,
+    warnings: linked.warnings,
+    sessionKey: { key, salt }
+  };
+}
+
+/**
+ * Delete the saved session
+ */
+export function clearSavedSession() {
+  if (canSaveSessions()) {
+    globalThis.localStorage.removeItem(SESSION_SETTINGS.storageKey);
+  }
+}
+
+/**
+ * Read the stored session record, deleting it if it is malformed
+ */
+function readRecord() {
+  if (!canSaveSessions()) return null;
+
+  const stored = globalThis.localStorage.getItem(SESSION_SETTINGS.storageKey);
+  if (!stored) return null;
+
+  try {
+    const record = JSON.parse(stored);
+    if (typeof record.expiresAt === 'number' && record.salt && record.iv && record.data) {
+      return { attempts: 0, ...record };
+    }
+  } catch {
+    // fall through and delete the unreadable record
+  }
+  clearSavedSession();
+  return null;
+}
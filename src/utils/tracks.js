@@ -0,0 +1,56 @@
+import questionsData from '../data/questions.json';
+import adultQuestionsData from '../data/adultQuestions.json';
+
+/**
+ * Screening Tracks
+ * The child track is the parent questionnaire for ages 5-18; the adult track
+ * is a self-report built on the ASRS v1.1 (Part A screener plus Part B).
+ * Each track has its own question bank, impairment domains and prevalence
+ * priors, and both run through the same scoring pipeline
+ */
+
+/**
+ * Track definitions
+ * impairmentDomains:  functional impact domains (0-4 each) and their labels
+ * prevalenceProfile:  prevalence profile used unless another is requested
+ * informants:         whether teacher and young-person forms can be added
+ */
+export const TRACKS = {
+  child: {
+    id: 'child',
+    label: 'Child or young person (5-18)',
+    questionBank: questionsData,
+    impairmentDomains: {
+      academic: 'Academic Performance',
+      social: 'Social Relationships',
+      family: 'Family Life',
+      emotional: 'Emotional Wellbeing'
+    },
+    informants: true
+  },
+  adult: {
+    id: 'adult',
+    label: 'Adult (18+)',
+    questionBank: adultQuestionsData,
+    impairmentDomains: {
+      work: 'Work or Study',
+      finances: 'Managing Money',
+      relationships: 'Relationships',
+      emotional: 'Emotional Wellbeing'
+    },
+    prevalenceProfile: 'adultGeneralPopulation',
+    informants: false
+  }
+};
+
+export const DEFAULT_TRACK = 'child';
+
+/**
+ * Get a track definition
+ * Falls back to the child track when the id is unknown or missing
+ * @param {string} trackId - Track id
+ * @returns {Object} Track definition
+ */
+export function getTrack(trackId) {
+  return TRACKS[trackId] || TRACKS[DEFAULT_TRACK];
+}